@@ -0,0 +1,247 @@
+// admin-routes.js
+// Admin REST API for issuing, listing and retiring license codes and for
+// reviewing tamper reports and the audit log. Every route requires an admin
+// API key in the x-admin-key header, and every change is audited under the
+// name of the key that made it.
+const express = require('express');
+
+// Largest batch a single mint request may create
+const MAX_MINT_BATCH = 1000;
+
+// Largest page of tamper reports or audit entries a single query may return
+const MAX_PAGE = 1000;
+
+// Query filters are plain strings - a repeated parameter such as
+// ?event=a&event=b arrives as an array, and a[x]=y as an object
+function nonStringFilter(query, names) {
+    return names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+}
+
+// Reads limit and offset, answering with a 400 and returning null when either is out of range
+function readPage(req, res) {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE) {
+        res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE}` });
+        return null;
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        res.status(400).json({ error: 'offset must be a non-negative integer' });
+        return null;
+    }
+
+    return { limit, offset };
+}
+
+function serializeLicense(license) {
+    return {
+        code: license.code,
+        status: license.status,
+        status_reason: license.statusReason,
+        status_changed_at: license.statusChangedAt,
+        replaced_by: license.replacedBy || null,
+        created_at: license.createdAt,
+        batch_id: license.batchId,
+        sku: license.sku,
+        customer_email: license.customerEmail,
+        notes: license.notes,
+        redemption: license.redemption ? {
+            username: license.redemption.username,
+            hardware_id: license.redemption.hardwareID,
+            redeemed_at: license.redemption.redeemedAt
+        } : null
+    };
+}
+
+function serializeTamperReport(report) {
+    return {
+        id: report.id,
+        reason: report.reason,
+        details: report.details,
+        fingerprint: report.fingerprint,
+        install_id: report.installId,
+        mode: report.mode,
+        page_url: report.pageUrl,
+        user_agent: report.userAgent,
+        username: report.username,
+        ip: report.ip,
+        received_at: report.receivedAt
+    };
+}
+
+// `requireAdmin` is the admin guard from authorization.js and
+// `issueLicenseFile(username, code, hardwareID)` signs a .psylic file
+function createAdminRouter({ store, auditLog, tamperReports, requireAdmin, issueLicenseFile }) {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+
+    function audit(req, event, fields) {
+        auditLog.record({ event, result: 'success', actor: `admin:${req.adminKeyName}`, ip: req.ip, ...fields });
+    }
+
+    // Mint a batch of codes
+    router.post('/codes', (req, res) => {
+        const { count = 1, sku, customer_email: customerEmail, notes } = req.body || {};
+
+        if (!Number.isInteger(count) || count < 1 || count > MAX_MINT_BATCH) {
+            return res.status(400).json({ error: `count must be an integer between 1 and ${MAX_MINT_BATCH}` });
+        }
+
+        const { batchId, licenses } = store.mintCodes({ count, sku, customerEmail, notes });
+
+        console.log(`[Admin] Minted ${licenses.length} code(s) in batch ${batchId}`);
+        audit(req, 'admin.codes.mint', { details: { batch_id: batchId, count: licenses.length, sku: sku || null } });
+
+        res.status(201).json({
+            batch_id: batchId,
+            codes: licenses.map(serializeLicense)
+        });
+    });
+
+    // List codes with their redemption status
+    router.get('/codes', (req, res) => {
+        const { status, sku, batch_id: batchId } = req.query;
+        const redeemed = req.query.redeemed === undefined ? undefined : req.query.redeemed === 'true';
+
+        const licenses = store.listLicenses({ status, redeemed, sku, batchId });
+
+        res.json({
+            total: licenses.length,
+            codes: licenses.map(serializeLicense)
+        });
+    });
+
+    router.get('/codes/:code', (req, res) => {
+        const license = store.getLicense(req.params.code);
+
+        if (!license) {
+            return res.status(404).json({ error: 'License code not found' });
+        }
+
+        res.json(serializeLicense({ ...license, redemption: store.getRedemption(license.code) }));
+    });
+
+    // Attach or change customer email, SKU and notes
+    router.patch('/codes/:code', (req, res) => {
+        const { sku, customer_email: customerEmail, notes } = req.body || {};
+        const license = store.updateLicenseMetadata(req.params.code, { sku, customerEmail, notes });
+
+        if (!license) {
+            return res.status(404).json({ error: 'License code not found' });
+        }
+
+        audit(req, 'admin.license.update', { license: license.code });
+
+        res.json(serializeLicense({ ...license, redemption: store.getRedemption(license.code) }));
+    });
+
+    // Signed .psylic file for a new customer to activate with - bound to no
+    // account or device until the first activation issues one that is
+    router.post('/codes/:code/license-file', (req, res) => {
+        const license = store.getLicense(req.params.code);
+
+        if (!license) {
+            return res.status(404).json({ error: 'License code not found' });
+        }
+
+        if (license.status !== 'active') {
+            return res.status(409).json({ error: `License code is ${license.status}` });
+        }
+
+        audit(req, 'admin.license.issue_file', { license: license.code });
+
+        res.json(issueLicenseFile(null, license.code, null));
+    });
+
+    // Status changes - revoked and suspended codes fail every session check
+    const statusActions = { revoke: 'revoked', suspend: 'suspended', reinstate: 'active' };
+
+    for (const [action, status] of Object.entries(statusActions)) {
+        router.post(`/codes/:code/${action}`, (req, res) => {
+            const reason = (req.body && req.body.reason) || null;
+            const license = store.setLicenseStatus(req.params.code, status, reason);
+
+            if (!license) {
+                return res.status(404).json({ error: 'License code not found' });
+            }
+
+            console.log(`[Admin] License ${action} - now ${status}`);
+            audit(req, `admin.license.${action}`, { license: license.code, reason });
+
+            res.json(serializeLicense({ ...license, redemption: store.getRedemption(license.code) }));
+        });
+    }
+
+    // Tamper reports, newest first - support looks them up by the id the customer quotes
+    router.get('/tamper-reports', (req, res) => {
+        const invalid = nonStringFilter(req.query, ['reason', 'install_id', 'username']);
+        if (invalid) {
+            return res.status(400).json({ error: `${invalid} must be a single value` });
+        }
+
+        const page = readPage(req, res);
+        if (!page) {
+            return;
+        }
+
+        const { reason, install_id: installId, username } = req.query;
+        const reports = tamperReports.list({ reason, installId, username });
+
+        res.json({
+            total: reports.length,
+            offset: page.offset,
+            limit: page.limit,
+            reports: reports.slice(page.offset, page.offset + page.limit).map(serializeTamperReport)
+        });
+    });
+
+    router.get('/tamper-reports/:id', (req, res) => {
+        const report = tamperReports.get(req.params.id);
+
+        if (!report) {
+            return res.status(404).json({ error: 'Tamper report not found' });
+        }
+
+        res.json(serializeTamperReport(report));
+    });
+
+    // Audit log, newest first. Filters match exactly, `event` also takes a
+    // prefix like "admin.*", `license` takes a code or its logged hash, and
+    // since/until bound the timestamp.
+    router.get('/audit-log', (req, res) => {
+        const invalid = nonStringFilter(req.query, ['event', 'result', 'actor', 'license', 'device', 'ip', 'since', 'until']);
+        if (invalid) {
+            return res.status(400).json({ error: `${invalid} must be a single value` });
+        }
+
+        const { event, result, actor, license, device, ip } = req.query;
+        const since = req.query.since ? new Date(req.query.since) : null;
+        const until = req.query.until ? new Date(req.query.until) : null;
+
+        if ((since && isNaN(since)) || (until && isNaN(until))) {
+            return res.status(400).json({ error: 'since and until must be ISO 8601 timestamps' });
+        }
+
+        const page = readPage(req, res);
+        if (!page) {
+            return;
+        }
+
+        const { offset, limit } = page;
+        const found = auditLog.query({ event, result, actor, license, device, ip, since, until, offset, limit });
+
+        res.json({
+            total: found.total,
+            offset,
+            limit,
+            entries: found.entries
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
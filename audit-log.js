@@ -0,0 +1,123 @@
+// audit-log.js
+// Append-only audit trail of authentication, license and admin events - one
+// JSON object per line in audit-log.jsonl under the data directory:
+//
+//   { "id", "timestamp", "event", "result", "actor", "license", "device", "ip", "reason", "details" }
+//
+// `event` is a dotted name such as "auth.login" or "admin.license.revoke",
+// `result` is "success", "failure" or "blocked", and `actor` is the username,
+// or "admin:<key name>" for admin actions. License codes and hardware IDs are
+// stored as a short hash - enough to tell them apart and to search by, without
+// putting a working license code or a device fingerprint in the log.
+// Entries are never rewritten; rotate the file out of band if it grows too big.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUDIT_LOG_FILE = 'audit-log.jsonl';
+
+const RESULTS = ['success', 'failure', 'blocked'];
+
+// Null for anything but a non-empty string - request bodies are untrusted JSON
+function shortHash(value) {
+    if (typeof value !== 'string' || !value) {
+        return null;
+    }
+
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+const hashDevice = shortHash;
+const hashLicense = shortHash;
+
+class AuditLog {
+    constructor({ dataDir }) {
+        this.dataDir = dataDir;
+        this.filePath = path.join(dataDir, AUDIT_LOG_FILE);
+    }
+
+    open() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        return this;
+    }
+
+    record({ event, result, actor, license, hardwareID, ip, reason, details }) {
+        if (!RESULTS.includes(result)) {
+            throw new Error(`Unknown audit result: ${result}`);
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            event,
+            result,
+            actor: actor || null,
+            license: hashLicense(license),
+            device: hashDevice(hardwareID),
+            ip: ip || null,
+            reason: reason || null,
+            details: details || null
+        };
+
+        // One write per entry, so concurrent requests never interleave a line
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+        return entry;
+    }
+
+    // Newest first. `event` matches exactly, or by prefix when it ends in "*"
+    // (e.g. "admin.*"); `license` is a code or its hash; `since`/`until` are
+    // Dates. Reads the whole file, which is fine at the volume one license
+    // server produces.
+    query({ event, result, actor, license, device, ip, since, until, offset = 0, limit = 100 } = {}) {
+        if (!fs.existsSync(this.filePath)) {
+            return { total: 0, entries: [] };
+        }
+
+        const matchesEvent = !event
+            ? () => true
+            : event.endsWith('*')
+                ? name => name.startsWith(event.slice(0, -1))
+                : name => name === event;
+
+        const licenseHash = hashLicense(license);
+        const entries = [];
+
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A torn final line from a crash mid-write - skip it
+                continue;
+            }
+
+            const time = new Date(entry.timestamp);
+
+            if (!matchesEvent(entry.event) ||
+                (result && entry.result !== result) ||
+                (actor && entry.actor !== actor) ||
+                (license && entry.license !== license && entry.license !== licenseHash) ||
+                (device && entry.device !== device) ||
+                (ip && entry.ip !== ip) ||
+                (since && time < since) ||
+                (until && time > until)) {
+                continue;
+            }
+
+            entries.push(entry);
+        }
+
+        entries.reverse();
+
+        return {
+            total: entries.length,
+            entries: entries.slice(offset, offset + limit)
+        };
+    }
+}
+
+module.exports = { AuditLog, hashDevice, hashLicense };
@@ -0,0 +1,134 @@
+// authorization.js
+// Route guards. Every route declares who may call it as its first handler:
+//
+//   guards.public  - anyone; the route checks its own credentials, if it has any
+//   guards.session - a customer bearer access token for an active session
+//   guards.admin   - an admin API key in the x-admin-key header
+//
+// Customer license codes are never API credentials - they are only exchanged
+// for a session by the activation, login and redemption routes.
+// assertRoutesGuarded() refuses to start the server if a route was registered
+// without a guard, so a forgotten guard fails closed instead of open.
+const crypto = require('crypto');
+
+const GUARD = Symbol('guard');
+
+function keysMatch(provided, expected) {
+    const a = crypto.createHash('sha256').update(provided).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Admin keys come from ADMIN_API_KEYS as comma-separated name:key pairs, so each
+// operator or integration gets its own revocable key, plus the single
+// ADMIN_API_KEY of older deployments under the name "default"
+function parseAdminKeys({ ADMIN_API_KEYS, ADMIN_API_KEY }) {
+    const keys = [];
+
+    for (const entry of (ADMIN_API_KEYS || '').split(',')) {
+        const separator = entry.indexOf(':');
+        const name = entry.slice(0, separator).trim();
+        const key = entry.slice(separator + 1).trim();
+
+        if (separator < 1 || !key) {
+            if (entry.trim()) {
+                console.log('[Security] Ignoring malformed ADMIN_API_KEYS entry - expected name:key');
+            }
+            continue;
+        }
+
+        keys.push({ name, key });
+    }
+
+    if (ADMIN_API_KEY) {
+        keys.push({ name: 'default', key: ADMIN_API_KEY });
+    }
+
+    return keys;
+}
+
+function defineGuard(kind, handler) {
+    handler[GUARD] = kind;
+    return handler;
+}
+
+// `findSession(req)` resolves the bearer token to an active session or null;
+// rejected admin keys are written to `auditLog`
+function createGuards({ findSession, adminKeys, auditLog }) {
+    const guards = {};
+
+    guards.public = defineGuard('public', (req, res, next) => next());
+
+    // Exposes the session as req.authSession
+    guards.session = defineGuard('session', (req, res, next) => {
+        const session = findSession(req);
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session is invalid, expired or its license is no longer active'
+            });
+        }
+
+        req.authSession = session;
+        next();
+    });
+
+    // Exposes the matching key's name as req.adminKeyName
+    guards.admin = defineGuard('admin', (req, res, next) => {
+        if (adminKeys.length === 0) {
+            return res.status(503).json({ error: 'Admin API is not configured' });
+        }
+
+        const providedKey = req.headers['x-admin-key'];
+        const match = providedKey && adminKeys.find(({ key }) => keysMatch(providedKey, key));
+
+        if (!match) {
+            console.log('[Security] Unauthorized admin request - Invalid or missing admin key');
+            auditLog.record({
+                event: 'admin.auth',
+                result: 'failure',
+                ip: req.ip,
+                reason: providedKey ? 'INVALID_ADMIN_KEY' : 'MISSING_ADMIN_KEY',
+                details: { method: req.method, path: req.originalUrl.split('?')[0] }
+            });
+            return res.status(401).json({ error: 'Unauthorized: Invalid admin key' });
+        }
+
+        req.adminKeyName = match.name;
+        next();
+    });
+
+    return guards;
+}
+
+// A route is guarded when its first handler is a guard, or when a guard was
+// mounted with router.use() ahead of it in an enclosing router
+function findUnguardedRoutes(stack, guarded = false) {
+    const unguarded = [];
+
+    for (const layer of stack) {
+        if (layer.handle[GUARD]) {
+            guarded = true;
+        } else if (layer.route) {
+            if (!guarded && !layer.route.stack[0].handle[GUARD]) {
+                const methods = Object.keys(layer.route.methods).map(method => method.toUpperCase());
+                unguarded.push(`${methods.join(',')} ${layer.route.path}`);
+            }
+        } else if (layer.handle.stack) {
+            unguarded.push(...findUnguardedRoutes(layer.handle.stack, guarded));
+        }
+    }
+
+    return unguarded;
+}
+
+function assertRoutesGuarded(app) {
+    const unguarded = findUnguardedRoutes(app._router.stack);
+
+    if (unguarded.length > 0) {
+        throw new Error(`Routes registered without an authorization guard: ${unguarded.join('; ')}`);
+    }
+}
+
+module.exports = { createGuards, parseAdminKeys, assertRoutesGuarded };
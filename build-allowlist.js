@@ -0,0 +1,54 @@
+// build-allowlist.js
+// Released client builds that /api/attest vouches for. Each entry pairs a
+// version with the SHA-256 of that release's security.js - the digest
+// tools/build-integrity-manifest.js records - and can be marked revoked to
+// stop trusting a build without forgetting it:
+//
+//   { "builds": [{ "version": "1.4.0", "sha256": "<hex>", "revoked": false }] }
+const fs = require('fs');
+
+class BuildAllowlist {
+    constructor({ file }) {
+        this.file = file;
+        this.builds = new Map();
+    }
+
+    open() {
+        this.builds.clear();
+
+        if (!fs.existsSync(this.file)) {
+            console.log(`[Security] No build allowlist at ${this.file} - every build will attest as unknown`);
+            return this;
+        }
+
+        const { builds = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+        for (const build of builds) {
+            if (typeof build.sha256 !== 'string' || !/^[a-f0-9]{64}$/i.test(build.sha256)) {
+                console.log(`[Security] Skipping allowlisted build ${build.version || '(no version)'} - invalid sha256`);
+                continue;
+            }
+
+            this.builds.set(build.sha256.toLowerCase(), {
+                version: build.version || null,
+                revoked: Boolean(build.revoked)
+            });
+        }
+
+        console.log(`[Security] Build allowlist loaded - ${this.builds.size} build(s)`);
+        return this;
+    }
+
+    // 'trusted', 'revoked' or 'unknown', plus the matching release version
+    check(fingerprint) {
+        const build = this.builds.get(fingerprint);
+
+        if (!build) {
+            return { verdict: 'unknown', version: null };
+        }
+
+        return { verdict: build.revoked ? 'revoked' : 'trusted', version: build.version };
+    }
+}
+
+module.exports = { BuildAllowlist };
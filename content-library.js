@@ -0,0 +1,196 @@
+// content-library.js
+// Catalog of protected content packs - presets, sample packs and plugins - and
+// their encrypted delivery. Assets sit in CONTENT_DIR next to a manifest.json:
+//
+//   { "assets": [{ "id": "analog-keys", "name": "Analog Keys", "type": "preset",
+//                  "file": "analog-keys.psypreset", "entitlement": "pro", "version": "1.0.0" }] }
+//
+// Downloads are encrypted per session in the client's chunked AES-GCM format
+// (FileEncryption version 2, HKDF), keyed by a content key the client gets
+// with the manifest. A copied download is useless without that session's key.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+const SECRET_FILE = 'content-delivery-secret';
+const ASSET_TYPES = ['preset', 'sample-pack', 'plugin'];
+
+// Must match FileCipher in security.js
+const FILE_MAGIC = Buffer.from('PSYE');
+const CHUNKED_FORMAT_VERSION = 2;
+const KDF_HKDF_SHA256 = 2;
+const HKDF_INFO = 'psych-studio file encryption';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Streams a file through SHA-256 without holding it in memory
+function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    const buffer = Buffer.alloc(1024 * 1024);
+    const fd = fs.openSync(filePath, 'r');
+
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            hash.update(buffer.subarray(0, bytesRead));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return hash.digest('hex');
+}
+
+class ContentLibrary {
+    constructor({ contentDir, dataDir }) {
+        this.contentDir = contentDir;
+        this.secret = this.loadOrCreateSecret(path.join(dataDir, SECRET_FILE));
+        this.assets = new Map();
+    }
+
+    loadOrCreateSecret(secretPath) {
+        if (fs.existsSync(secretPath)) {
+            return fs.readFileSync(secretPath);
+        }
+
+        const secret = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+        fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+
+        console.log(`[Security] Generated new content delivery secret at ${secretPath}`);
+        return secret;
+    }
+
+    // Reads the manifest and fingerprints every asset. Entries that are
+    // malformed or point outside CONTENT_DIR are skipped with a warning.
+    open() {
+        const manifestPath = path.join(this.contentDir, MANIFEST_FILE);
+        this.assets.clear();
+
+        if (!fs.existsSync(manifestPath)) {
+            console.log(`[Store] No content manifest at ${manifestPath} - content library is empty`);
+            return this;
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+        for (const entry of manifest.assets || []) {
+            const filePath = path.resolve(this.contentDir, String(entry.file || ''));
+
+            if (!entry.id || !ASSET_TYPES.includes(entry.type) || !entry.entitlement
+                || !filePath.startsWith(path.resolve(this.contentDir) + path.sep) || !fs.existsSync(filePath)) {
+                console.log(`[Store] Skipping invalid content entry ${entry.id || '(no id)'}`);
+                continue;
+            }
+
+            this.assets.set(entry.id, {
+                id: entry.id,
+                name: entry.name || entry.id,
+                type: entry.type,
+                entitlement: entry.entitlement,
+                version: entry.version || null,
+                filePath,
+                size: fs.statSync(filePath).size,
+                sha256: hashFile(filePath)
+            });
+        }
+
+        console.log(`[Store] Content library loaded - ${this.assets.size} asset(s)`);
+        return this;
+    }
+
+    listFor(entitlements) {
+        return [...this.assets.values()].filter(asset => entitlements.includes(asset.entitlement));
+    }
+
+    getAsset(id) {
+        return this.assets.get(id) || null;
+    }
+
+    // Stable per session, so the manifest and later downloads agree without
+    // storing anything
+    contentKeyFor(sessionId) {
+        return crypto.createHmac('sha256', this.secret).update(`content:${sessionId}`).digest('base64url');
+    }
+
+    // Writes `asset` to `output` encrypted with `contentKey`. Each chunk is
+    // sealed with the file IV mixed with its index and authenticates the
+    // header, its index and whether it is the last chunk.
+    async writeEncrypted(asset, contentKey, output) {
+        const salt = crypto.randomBytes(SALT_BYTES);
+        const iv = crypto.randomBytes(IV_BYTES);
+        const key = Buffer.from(crypto.hkdfSync('sha256', Buffer.from(contentKey), salt, HKDF_INFO, 32));
+
+        const header = Buffer.alloc(4 + 1 + 1 + 4 + 1 + SALT_BYTES + 1 + IV_BYTES + 4);
+        let offset = FILE_MAGIC.copy(header, 0);
+        offset = header.writeUInt8(CHUNKED_FORMAT_VERSION, offset);
+        offset = header.writeUInt8(KDF_HKDF_SHA256, offset);
+        offset = header.writeUInt32BE(0, offset);
+        offset = header.writeUInt8(SALT_BYTES, offset);
+        offset += salt.copy(header, offset);
+        offset = header.writeUInt8(IV_BYTES, offset);
+        offset += iv.copy(header, offset);
+        header.writeUInt32BE(CHUNK_SIZE, offset);
+
+        await this.write(output, header);
+
+        const lastIndex = Math.max(1, Math.ceil(asset.size / CHUNK_SIZE)) - 1;
+        const buffer = Buffer.alloc(CHUNK_SIZE);
+        const file = await fs.promises.open(asset.filePath, 'r');
+
+        try {
+            for (let index = 0; index <= lastIndex; index++) {
+                const { bytesRead } = await file.read(buffer, 0, CHUNK_SIZE, index * CHUNK_SIZE);
+
+                const chunkIv = Buffer.from(iv);
+                chunkIv.writeUInt32BE((chunkIv.readUInt32BE(IV_BYTES - 4) ^ index) >>> 0, IV_BYTES - 4);
+
+                const additionalData = Buffer.alloc(header.length + 5);
+                header.copy(additionalData, 0);
+                additionalData.writeUInt32BE(index, header.length);
+                additionalData[header.length + 4] = index === lastIndex ? 1 : 0;
+
+                const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkIv);
+                cipher.setAAD(additionalData);
+                const sealed = Buffer.concat([
+                    cipher.update(buffer.subarray(0, bytesRead)),
+                    cipher.final(),
+                    cipher.getAuthTag()
+                ]);
+
+                await this.write(output, sealed);
+            }
+        } finally {
+            await file.close();
+        }
+    }
+
+    // Respects backpressure so large packs don't pile up in memory
+    write(output, data) {
+        return new Promise((resolve, reject) => {
+            if (output.destroyed) {
+                return reject(new Error('Connection closed'));
+            }
+
+            if (output.write(data)) {
+                return resolve();
+            }
+
+            const onDrain = () => {
+                output.off('close', onClose);
+                resolve();
+            };
+            const onClose = () => {
+                output.off('drain', onDrain);
+                reject(new Error('Connection closed'));
+            };
+
+            output.once('drain', onDrain);
+            output.once('close', onClose);
+        });
+    }
+}
+
+module.exports = { ContentLibrary };
@@ -0,0 +1,89 @@
+// device-matching.js
+// Decides whether a sign-in comes from a device the license already knows.
+// Clients send a compact device ID plus one SHA-256 hash per fingerprint
+// signal. An exact ID or install ID match is the same device. A different
+// install ID is a different device, however alike the hardware - identical lab
+// machines or cloned images each take a slot. Only when one side has no
+// install ID are the hardware signals compared, so a GPU driver or font
+// update, which shifts a signal or two, doesn't use up another device slot.
+const crypto = require('crypto');
+
+const HARDWARE_SIGNALS = ['platform', 'language', 'timezone', 'screen', 'cores', 'memory', 'canvas', 'webgl'];
+const KNOWN_SIGNALS = ['install', ...HARDWARE_SIGNALS];
+
+// Share of hardware signals that must agree for a fuzzy match
+const MATCH_THRESHOLD = 0.75;
+
+// Keeps only known signals that look like SHA-256 hex digests
+function normalizeSignals(signals) {
+    if (!signals || typeof signals !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    for (const name of KNOWN_SIGNALS) {
+        if (typeof signals[name] === 'string' && /^[a-f0-9]{64}$/.test(signals[name])) {
+            normalized[name] = signals[name];
+        }
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// Fraction of hardware signals present on both sides that agree
+function signalSimilarity(a, b) {
+    const shared = HARDWARE_SIGNALS.filter(name => a[name] && b[name]);
+    if (shared.length === 0) {
+        return 0;
+    }
+
+    return shared.filter(name => a[name] === b[name]).length / shared.length;
+}
+
+function matchDevice(devices, { hardwareID, signals }) {
+    const exact = devices.find(d => d.hardwareID === hardwareID);
+    if (exact || !signals) {
+        return exact || null;
+    }
+
+    const sameInstall = signals.install && devices.find(d => d.signals && d.signals.install === signals.install);
+    if (sameInstall) {
+        return sameInstall;
+    }
+
+    let best = null;
+    let bestScore = 0;
+
+    for (const device of devices) {
+        const otherInstall = signals.install && device.signals && device.signals.install;
+        const score = device.signals && !otherInstall ? signalSimilarity(device.signals, signals) : 0;
+        if (score > bestScore) {
+            best = device;
+            bestScore = score;
+        }
+    }
+
+    return bestScore >= MATCH_THRESHOLD ? best : null;
+}
+
+// Device identity from a sign-in request. Older clients send the whole canvas
+// data URL as their hardware ID and no signals - it is kept by hash, and that
+// hash doubles as the device's canvas signal. Anything but a non-empty string
+// comes back as a null hardware ID, which the routes reject as missing.
+function identifyDevice(hardwareID, signals) {
+    if (typeof hardwareID !== 'string' || !hardwareID) {
+        return { hardwareID: null, signals: null };
+    }
+
+    if (hardwareID.length > 64) {
+        const compactID = crypto.createHash('sha256').update(hardwareID).digest('hex');
+        return {
+            hardwareID: compactID,
+            signals: normalizeSignals(signals) || { canvas: compactID }
+        };
+    }
+
+    return { hardwareID, signals: normalizeSignals(signals) };
+}
+
+module.exports = { matchDevice, identifyDevice };
@@ -0,0 +1,75 @@
+// key-escrow.js
+// Optional server-side escrow for each user's file-encryption key. The client
+// normally keeps its key wrapped by the account password, which the server
+// can't open. When the user opts in, the client also hands over the raw key
+// and it is sealed here with AES-256-GCM under the escrow key, so it can be
+// recovered after a password reset instead of every file being lost.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_FILE = 'key-escrow-key';
+const SEALED_PREFIX = 'v1';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+class KeyEscrow {
+    // The escrow key comes from KEY_ESCROW_KEY (32 bytes, base64) when set.
+    // Otherwise one is generated once and kept in the data directory.
+    constructor({ dataDir, escrowKey }) {
+        this.key = escrowKey
+            ? Buffer.from(escrowKey, 'base64')
+            : this.loadOrCreateKey(path.join(dataDir, KEY_FILE));
+
+        if (this.key.length !== 32) {
+            throw new Error('KEY_ESCROW_KEY must be 32 bytes encoded as base64');
+        }
+    }
+
+    loadOrCreateKey(keyPath) {
+        if (fs.existsSync(keyPath)) {
+            return fs.readFileSync(keyPath);
+        }
+
+        const key = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+        fs.writeFileSync(keyPath, key, { mode: 0o600 });
+
+        console.log(`[Security] Generated new key escrow key at ${keyPath}`);
+        return key;
+    }
+
+    // Seals a raw key for one user. The username is authenticated with it, so
+    // a sealed key copied onto another account won't open.
+    seal(rawKey, username) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        cipher.setAAD(Buffer.from(username));
+
+        const sealed = Buffer.concat([iv, cipher.update(rawKey), cipher.final(), cipher.getAuthTag()]);
+        return `${SEALED_PREFIX}.${sealed.toString('base64url')}`;
+    }
+
+    // Returns the raw key, or null if the sealed value is malformed or was
+    // sealed for someone else or under another escrow key
+    open(sealed, username) {
+        const [prefix, body] = String(sealed).split('.');
+        const data = Buffer.from(body || '', 'base64url');
+
+        if (prefix !== SEALED_PREFIX || data.length <= IV_BYTES + TAG_BYTES) {
+            return null;
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, data.subarray(0, IV_BYTES));
+            decipher.setAAD(Buffer.from(username));
+            decipher.setAuthTag(data.subarray(data.length - TAG_BYTES));
+
+            return Buffer.concat([decipher.update(data.subarray(IV_BYTES, data.length - TAG_BYTES)), decipher.final()]);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = { KeyEscrow };
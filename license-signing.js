@@ -0,0 +1,87 @@
+// license-signing.js
+// Issues signed offline license files (.psylic). A license file is a JSON
+// envelope holding a base64url payload and an Ed25519 signature over that
+// payload string, so the desktop client can check it with the embedded public
+// key and any hand edit to the file breaks the signature. Build attestation
+// verdicts use the same envelope under their own format name.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_FILE = 'license-signing-key.pem';
+const LICENSE_FORMAT = 'psylic';
+const LICENSE_VERSION = 2;
+const ATTESTATION_FORMAT = 'psyattest';
+const ATTESTATION_VERSION = 1;
+
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+class LicenseSigner {
+    // The private key comes from LICENSE_SIGNING_KEY (PKCS#8 PEM) when set.
+    // Otherwise a key is generated once and kept in the data directory.
+    constructor({ dataDir, privateKeyPem }) {
+        if (privateKeyPem) {
+            this.privateKey = crypto.createPrivateKey(privateKeyPem);
+        } else {
+            this.privateKey = this.loadOrCreateKey(path.join(dataDir, KEY_FILE));
+        }
+
+        this.publicKey = crypto.createPublicKey(this.privateKey);
+    }
+
+    loadOrCreateKey(keyPath) {
+        if (fs.existsSync(keyPath)) {
+            return crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf8'));
+        }
+
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+        fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+        console.log(`[Security] Generated new license signing key at ${keyPath}`);
+        console.log(`[Security] Embed this public key in the client: ${this.exportRawPublicKey(crypto.createPublicKey(privateKey))}`);
+
+        return privateKey;
+    }
+
+    // Raw 32-byte Ed25519 public key as base64 - the form WebCrypto imports
+    exportRawPublicKey(publicKey = this.publicKey) {
+        const jwk = publicKey.export({ format: 'jwk' });
+        return Buffer.from(jwk.x, 'base64url').toString('base64');
+    }
+
+    // Signs a license for one account and device. `entitlements` lists the
+    // features the license unlocks and `expiresAt` bounds how long the file
+    // is honoured offline.
+    signLicense({ licenseCode, username, hardwareID, entitlements, expiresAt }) {
+        return this.signEnvelope(LICENSE_FORMAT, LICENSE_VERSION, {
+            license: licenseCode,
+            username,
+            hardware_id: hardwareID,
+            entitlements,
+            issued_at: new Date().toISOString(),
+            expires_at: expiresAt.toISOString()
+        });
+    }
+
+    // Signs a build attestation verdict for /api/attest
+    signAttestation(verdict) {
+        return this.signEnvelope(ATTESTATION_FORMAT, ATTESTATION_VERSION, verdict);
+    }
+
+    signEnvelope(format, version, data) {
+        const payload = toBase64Url(JSON.stringify(data));
+        const signature = crypto.sign(null, Buffer.from(payload), this.privateKey);
+
+        return {
+            format,
+            version,
+            payload,
+            signature: toBase64Url(signature)
+        };
+    }
+}
+
+module.exports = { LicenseSigner };
@@ -0,0 +1,779 @@
+// license-store.js
+// File-backed store for licenses, users, devices, sessions, code redemptions
+// and one-time account tokens. Tamper reports live in tamper-report-log.js.
+// The whole store is kept in memory and written to a single JSON file on every
+// change. Writes go to a temporary file first and are then renamed over the
+// old one, so a crash mid-write never leaves a half-written store behind.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_FILE = 'license-store.json';
+
+// SHA-256 of the license codes that shipped in plain text in early client and
+// server source - anyone could read them. The first 21 are the server's list.
+// The last is the client's copy of the first Unicode code, which differs from
+// the server's from its 117th character on; the old client accepted it
+// offline, so it is just as public. retireLegacyPublicCodes() revokes them.
+const LEGACY_PUBLIC_CODE_HASHES = new Set([
+    '8817aa891909e985d10fe1ecbfa79147e7e9b7b6dce50f4e0a6d1919f946dc94',
+    '4384724452d5418ffeb1418fdc085f3ab0ee2004139b17baa05d6f3f91e06c27',
+    '64f64482dbd043bf7a778ca8055472ddc9bd0c69523c7116013bed4dea21d540',
+    '8ca8769bc3b1973d48da43ef23e161decdefd5938db541355fa6489dde1456ab',
+    'a2e4f50248a9dc28261764b70cabec3619b9fedb3f4185f2b0412fad4e5df294',
+    '7c2d7eb1f2db72f6855e70714f671cb65fa3bdd19d122038980c345ef591ed02',
+    'f44e1ebc6ef476c91b704150cd97c6aa887eadfc643de258fa077b7972fbd9c3',
+    '173df9cd64cb3c037092162bd3062c6fe5e21af3fc7ab1e9a36b14e509b45639',
+    'd632118ae29916bdd0d1d8773fdc060394a973e2c41131fb9f486681731dcc85',
+    'a4d47b84d3d5a6adc7fc39af5ce4158cfe9a9480a842a5f32677d839a38b6212',
+    'dd5042d45b025bb4549bdd6d2e86f081f07dce701ed8cbd3821f094907c901e9',
+    '9c7d0ff8d833ed6aa8d0deaf1c9fb8bd76fdc79f9b4634ae57ffd8e161ab3294',
+    '453c100b0b505a515d360caa2d47d143c3c57ee4af37bd68cc2ea48b48cea354',
+    '353960e107cc6d838731649bb658929b368c0855cb37315dd4635655e5f3a457',
+    '9211225a0aa87943ac5051f0aec9cb5161b7ff02adaf1331285c6545fea65dbc',
+    'f8df31101ef27c775969e65b564bc2b570074a9a78236814a32f959f0572953b',
+    '99f53c4351d93dd404722f28f61d3826b9021ede74c7cc8de406a0f6c7638f11',
+    '5df135e9194c7e8261fed910f5fbad6cc435b3466edcc209c99561ca5fc0107b',
+    '1b599271f75e4af7b1432bf594be4a3319c429eaf97bde1fa665ce34bd17a543',
+    '9d5e9cc9b11ff87ab24e660f5f4cacf7383825ed81753823ec324e350d7ea54a',
+    '31098fc812f2bb17bb79e47d01a415c789fc385a0efc41bfef6dcb6fa93f4cd2',
+    'b3f91f2f1eeb954a583b2fafe58b3369dd8688e8df1e4e6295a678cfc69c0122'
+]);
+
+// Schema migrations - applied in order at startup to bring older store files
+// up to date. Never change a migration that has shipped; add a new one instead.
+const migrations = [
+    {
+        version: 1,
+        description: 'Create licenses, users, devices, sessions and redemptions',
+        up(data, options) {
+            const now = new Date().toISOString();
+
+            data.licenses = {};
+            for (const code of options.seedCodes || []) {
+                data.licenses[code] = { code, status: 'active', createdAt: now };
+            }
+
+            data.users = {};
+            data.devices = {};
+            data.sessions = {};
+            data.redemptions = {};
+        }
+    },
+    {
+        version: 2,
+        description: 'Add status history and customer metadata to licenses',
+        up(data) {
+            for (const license of Object.values(data.licenses)) {
+                license.statusChangedAt = license.createdAt;
+                license.statusReason = null;
+                license.batchId = null;
+                license.sku = null;
+                license.customerEmail = null;
+                license.notes = '';
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Key sessions by id and track rotating refresh tokens',
+        up(data) {
+            const sessions = {};
+
+            // Opaque session tokens issued before this version carry on as refresh tokens
+            for (const [tokenHash, session] of Object.entries(data.sessions)) {
+                const id = crypto.randomUUID();
+                sessions[id] = {
+                    id,
+                    username: session.username,
+                    licenseCode: session.licenseCode,
+                    hardwareID: session.hardwareID,
+                    createdAt: session.createdAt,
+                    refreshTokenHash: tokenHash,
+                    refreshExpiresAt: session.expiresAt,
+                    previousRefreshTokenHashes: [],
+                    revokedAt: null,
+                    revokeReason: null
+                };
+            }
+
+            data.sessions = sessions;
+        }
+    },
+    {
+        version: 4,
+        description: 'Compact legacy canvas hardware IDs and add device signals',
+        up(data) {
+            // Older clients sent the whole canvas data URL as the hardware ID. Keep
+            // its hash as the device's canvas signal so updated clients still match it.
+            const compact = id => (id && id.length > 64 ? crypto.createHash('sha256').update(id).digest('hex') : id);
+
+            for (const device of Object.values(data.devices)) {
+                device.signals = device.hardwareID && device.hardwareID.startsWith('data:')
+                    ? { canvas: compact(device.hardwareID) }
+                    : null;
+                device.hardwareID = compact(device.hardwareID);
+            }
+
+            for (const record of [...Object.values(data.sessions), ...Object.values(data.redemptions)]) {
+                record.hardwareID = compact(record.hardwareID);
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Name devices and link sessions to the device they run on',
+        up(data) {
+            const devices = Object.values(data.devices);
+
+            for (const device of devices) {
+                device.name = null;
+            }
+
+            for (const session of Object.values(data.sessions)) {
+                const device = devices.find(d => d.licenseCode === session.licenseCode && d.hardwareID === session.hardwareID);
+                session.deviceId = device ? device.id : null;
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Add file-encryption keyrings to users',
+        up(data) {
+            for (const user of Object.values(data.users)) {
+                user.keyring = null;
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Collect tamper reports from clients',
+        up(data) {
+            data.tamperReports = {};
+        }
+    },
+    {
+        version: 8,
+        description: 'Add email addresses to users and one-time account tokens',
+        up(data) {
+            // Accounts created by license activation have no email, and only
+            // accounts with one need it verified - they keep signing in as before
+            for (const user of Object.values(data.users)) {
+                user.email = null;
+                user.emailVerifiedAt = null;
+            }
+
+            data.accountTokens = {};
+        }
+    },
+    {
+        version: 9,
+        description: 'Move tamper reports to their own append-only log',
+        up(data, options) {
+            // Writes the log format of the time itself rather than going
+            // through tamper-report-log.js, which may change after this ships
+            const lines = Object.values(data.tamperReports).map(report => JSON.stringify(report) + '\n');
+
+            if (lines.length > 0) {
+                fs.mkdirSync(options.dataDir, { recursive: true });
+                fs.appendFileSync(path.join(options.dataDir, 'tamper-reports.jsonl'), lines.join(''), { mode: 0o600 });
+            }
+
+            delete data.tamperReports;
+        }
+    }
+];
+
+const LICENSE_STATUSES = ['active', 'suspended', 'revoked'];
+
+// Rotated-out refresh tokens remembered per session for reuse detection
+const REFRESH_TOKEN_HISTORY = 20;
+
+const ACCOUNT_TOKEN_PURPOSES = ['verify_email', 'reset_password'];
+
+// Alphabet for minted codes - no 0/O or 1/I so codes survive being read aloud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateCode() {
+    const groups = [];
+
+    for (let g = 0; g < 4; g++) {
+        let group = '';
+        for (let i = 0; i < 5; i++) {
+            group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        groups.push(group);
+    }
+
+    return `PSY-${groups.join('-')}`;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class LicenseStore {
+    constructor({ dataDir, seedCodes = [] }) {
+        this.dataDir = dataDir;
+        this.filePath = path.join(dataDir, STORE_FILE);
+        this.seedCodes = seedCodes;
+        this.data = null;
+    }
+
+    open() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+
+        if (fs.existsSync(this.filePath)) {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } else {
+            this.data = { schemaVersion: 0 };
+        }
+
+        this.migrate();
+        this.purgeExpiredSessions();
+        this.save();
+
+        return this;
+    }
+
+    migrate() {
+        const latest = migrations[migrations.length - 1].version;
+
+        if (this.data.schemaVersion > latest) {
+            throw new Error(`License store schema v${this.data.schemaVersion} is newer than this server (v${latest})`);
+        }
+
+        for (const migration of migrations) {
+            if (migration.version <= this.data.schemaVersion) {
+                continue;
+            }
+
+            console.log(`[Store] Applying migration v${migration.version}: ${migration.description}`);
+            migration.up(this.data, { seedCodes: this.seedCodes, dataDir: this.dataDir });
+            this.data.schemaVersion = migration.version;
+        }
+    }
+
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Licenses
+
+    getLicense(code) {
+        return Object.prototype.hasOwnProperty.call(this.data.licenses, code)
+            ? this.data.licenses[code]
+            : null;
+    }
+
+    isLicenseActive(code) {
+        const license = this.getLicense(code);
+        return Boolean(license && license.status === 'active');
+    }
+
+    // Creates `count` new active codes sharing one batch id and metadata
+    mintCodes({ count, sku = null, customerEmail = null, notes = '' }) {
+        const now = new Date().toISOString();
+        const batchId = crypto.randomUUID();
+        const minted = [];
+
+        while (minted.length < count) {
+            const code = generateCode();
+            if (this.getLicense(code)) {
+                continue;
+            }
+
+            const license = {
+                code,
+                status: 'active',
+                createdAt: now,
+                statusChangedAt: now,
+                statusReason: null,
+                batchId,
+                sku,
+                customerEmail,
+                notes
+            };
+
+            this.data.licenses[code] = license;
+            minted.push(license);
+        }
+
+        this.save();
+        return { batchId, licenses: minted };
+    }
+
+    // Lists licenses with their redemption, optionally filtered by status,
+    // redemption state, SKU or batch
+    listLicenses({ status, redeemed, sku, batchId } = {}) {
+        return Object.values(this.data.licenses)
+            .map(license => ({ ...license, redemption: this.getRedemption(license.code) }))
+            .filter(license => !status || license.status === status)
+            .filter(license => redeemed === undefined || Boolean(license.redemption) === redeemed)
+            .filter(license => !sku || license.sku === sku)
+            .filter(license => !batchId || license.batchId === batchId);
+    }
+
+    setLicenseStatus(code, status, reason = null) {
+        if (!LICENSE_STATUSES.includes(status)) {
+            throw new Error(`Unknown license status: ${status}`);
+        }
+
+        const license = this.getLicense(code);
+        if (!license) {
+            return null;
+        }
+
+        license.status = status;
+        license.statusChangedAt = new Date().toISOString();
+        license.statusReason = reason;
+        this.save();
+
+        return license;
+    }
+
+    // Active or suspended licenses whose code shipped in plain text
+    listLegacyPublicCodes() {
+        return Object.values(this.data.licenses)
+            .filter(license => license.status !== 'revoked' && LEGACY_PUBLIC_CODE_HASHES.has(hashToken(license.code)));
+    }
+
+    // Revokes every legacy public code. A redeemed one first moves its account,
+    // devices and sessions to a fresh code, so the customer keeps signing in
+    // with their password. Returns { code, replacedBy } for each code revoked,
+    // with a null `replacedBy` for codes nobody had redeemed.
+    retireLegacyPublicCodes() {
+        const now = new Date().toISOString();
+        const retired = [];
+
+        for (const license of this.listLegacyPublicCodes()) {
+            const redemption = this.getRedemption(license.code);
+            let replacedBy = null;
+
+            if (redemption) {
+                do {
+                    replacedBy = generateCode();
+                } while (this.getLicense(replacedBy));
+
+                this.data.licenses[replacedBy] = {
+                    ...license,
+                    code: replacedBy,
+                    createdAt: now,
+                    batchId: null,
+                    notes: [license.notes, `Replaces a legacy public code (${hashToken(license.code).slice(0, 16)})`]
+                        .filter(Boolean).join('\n')
+                };
+                this.data.redemptions[replacedBy] = { ...redemption, licenseCode: replacedBy };
+                delete this.data.redemptions[license.code];
+
+                const records = [...Object.values(this.data.users), ...Object.values(this.data.devices), ...Object.values(this.data.sessions)];
+                for (const record of records) {
+                    if (record.licenseCode === license.code) {
+                        record.licenseCode = replacedBy;
+                    }
+                }
+
+                license.replacedBy = replacedBy;
+            }
+
+            license.status = 'revoked';
+            license.statusChangedAt = now;
+            license.statusReason = 'rotated: legacy public code';
+            retired.push({ code: license.code, replacedBy });
+        }
+
+        if (retired.length > 0) {
+            this.save();
+        }
+
+        return retired;
+    }
+
+    updateLicenseMetadata(code, { sku, customerEmail, notes }) {
+        const license = this.getLicense(code);
+        if (!license) {
+            return null;
+        }
+
+        if (sku !== undefined) {
+            license.sku = sku;
+        }
+        if (customerEmail !== undefined) {
+            license.customerEmail = customerEmail;
+        }
+        if (notes !== undefined) {
+            license.notes = notes;
+        }
+        this.save();
+
+        return license;
+    }
+
+    // Users
+
+    getUser(username) {
+        return typeof username === 'string' && Object.prototype.hasOwnProperty.call(this.data.users, username)
+            ? this.data.users[username]
+            : null;
+    }
+
+    // Usernames key a plain object, so one like __proto__ would never be saved
+    createUser(user) {
+        if (typeof user.username !== 'string' || user.username in Object.prototype) {
+            throw new Error(`Invalid username: ${user.username}`);
+        }
+
+        this.data.users[user.username] = user;
+        this.save();
+        return user;
+    }
+
+    // Emails are stored lower-cased, so lookups are case-insensitive
+    findUserByEmail(email) {
+        return Object.values(this.data.users).find(user => user.email === email) || null;
+    }
+
+    markEmailVerified(username) {
+        const user = this.getUser(username);
+        if (!user) {
+            return null;
+        }
+
+        if (!user.emailVerifiedAt) {
+            user.emailVerifiedAt = new Date().toISOString();
+            this.save();
+        }
+
+        return user;
+    }
+
+    // Binds a license to an account registered without one
+    setUserLicense(username, licenseCode) {
+        const user = this.getUser(username);
+        if (!user) {
+            return null;
+        }
+
+        user.licenseCode = licenseCode;
+        this.save();
+
+        return user;
+    }
+
+    // Replaces the stored password hash, dropping the separate salt that
+    // legacy SHA-256 hashes needed
+    setUserPasswordHash(username, passwordHash) {
+        const user = this.getUser(username);
+        if (!user) {
+            return null;
+        }
+
+        user.passwordHash = passwordHash;
+        user.passwordUpdatedAt = new Date().toISOString();
+        delete user.salt;
+        this.save();
+
+        return user;
+    }
+
+    // Keyrings - each user's file-encryption key wrapped by their password,
+    // plus an optional escrowed copy sealed by the server
+
+    getKeyring(username) {
+        const user = this.getUser(username);
+        return user ? user.keyring : null;
+    }
+
+    setKeyring(username, { keyId, wrappedKey, escrowedKey }) {
+        const user = this.getUser(username);
+        if (!user) {
+            return null;
+        }
+
+        user.keyring = {
+            keyId,
+            wrappedKey,
+            escrowedKey: escrowedKey || null,
+            updatedAt: new Date().toISOString()
+        };
+        this.save();
+
+        return user.keyring;
+    }
+
+    // Devices
+
+    listDevices(licenseCode) {
+        return Object.values(this.data.devices).filter(d => d.licenseCode === licenseCode);
+    }
+
+    getDevice(deviceId) {
+        return Object.prototype.hasOwnProperty.call(this.data.devices, deviceId)
+            ? this.data.devices[deviceId]
+            : null;
+    }
+
+    addDevice(licenseCode, hardwareID, signals, name = null) {
+        const now = new Date().toISOString();
+        const device = {
+            id: crypto.randomUUID(),
+            licenseCode,
+            hardwareID,
+            signals,
+            name,
+            firstSeen: now,
+            lastSeen: now
+        };
+
+        this.data.devices[device.id] = device;
+        this.save();
+        return device;
+    }
+
+    // Marks the device as seen, adopting the latest ID and signals it reported
+    touchDevice(device, { hardwareID, signals } = {}) {
+        if (hardwareID) {
+            device.hardwareID = hardwareID;
+        }
+        if (signals) {
+            device.signals = signals;
+        }
+        device.lastSeen = new Date().toISOString();
+        this.save();
+        return device;
+    }
+
+    renameDevice(deviceId, name) {
+        const device = this.getDevice(deviceId);
+        if (!device) {
+            return null;
+        }
+
+        device.name = name;
+        this.save();
+        return device;
+    }
+
+    // Frees the device's slot on its license and revokes every session on it
+    removeDevice(deviceId) {
+        const device = this.getDevice(deviceId);
+        if (!device) {
+            return null;
+        }
+
+        for (const session of Object.values(this.data.sessions)) {
+            if (session.deviceId === deviceId && !session.revokedAt) {
+                session.revokedAt = new Date().toISOString();
+                session.revokeReason = 'device_deactivated';
+            }
+        }
+
+        delete this.data.devices[deviceId];
+        this.save();
+        return device;
+    }
+
+    // Sessions - each holds one rotating refresh token, stored only as a hash.
+    // A revoked session stays on file until its refresh expiry so every access
+    // token that names it is rejected.
+
+    createSession({ username, licenseCode, hardwareID, deviceId, refreshExpiresAt }) {
+        const refreshToken = crypto.randomBytes(32).toString('hex');
+        const session = {
+            id: crypto.randomUUID(),
+            username,
+            licenseCode,
+            hardwareID,
+            deviceId,
+            createdAt: new Date().toISOString(),
+            refreshTokenHash: hashToken(refreshToken),
+            refreshExpiresAt: refreshExpiresAt.toISOString(),
+            previousRefreshTokenHashes: [],
+            revokedAt: null,
+            revokeReason: null
+        };
+
+        this.data.sessions[session.id] = session;
+        this.save();
+
+        return { session, refreshToken };
+    }
+
+    getSession(sessionId) {
+        return Object.prototype.hasOwnProperty.call(this.data.sessions, sessionId)
+            ? this.data.sessions[sessionId]
+            : null;
+    }
+
+    isSessionActive(session) {
+        return Boolean(session) &&
+            !session.revokedAt &&
+            new Date(session.refreshExpiresAt).getTime() > Date.now();
+    }
+
+    findSessionByRefreshToken(refreshToken) {
+        const tokenHash = hashToken(refreshToken);
+        return Object.values(this.data.sessions).find(s => s.refreshTokenHash === tokenHash) || null;
+    }
+
+    // Swaps a refresh token for a new one. Presenting a token that was already
+    // rotated out means it leaked, so the whole session is revoked. Returns
+    // { session, refreshToken } on success, or { error } with
+    // 'INVALID_REFRESH_TOKEN' or 'REFRESH_TOKEN_REUSED'.
+    rotateRefreshToken(refreshToken, refreshExpiresAt) {
+        const tokenHash = hashToken(refreshToken);
+        const sessions = Object.values(this.data.sessions);
+        const session = sessions.find(s => s.refreshTokenHash === tokenHash);
+
+        if (!session) {
+            const reused = sessions.find(s => s.previousRefreshTokenHashes.includes(tokenHash));
+            if (reused) {
+                this.revokeSession(reused.id, 'refresh_token_reused');
+                return { error: 'REFRESH_TOKEN_REUSED' };
+            }
+            return { error: 'INVALID_REFRESH_TOKEN' };
+        }
+
+        if (!this.isSessionActive(session)) {
+            return { error: 'INVALID_REFRESH_TOKEN' };
+        }
+
+        const nextToken = crypto.randomBytes(32).toString('hex');
+        session.previousRefreshTokenHashes = [
+            ...session.previousRefreshTokenHashes,
+            session.refreshTokenHash
+        ].slice(-REFRESH_TOKEN_HISTORY);
+        session.refreshTokenHash = hashToken(nextToken);
+        session.refreshExpiresAt = refreshExpiresAt.toISOString();
+        session.lastRefreshedAt = new Date().toISOString();
+        this.save();
+
+        return { session, refreshToken: nextToken };
+    }
+
+    revokeSession(sessionId, reason) {
+        const session = this.getSession(sessionId);
+        if (!session || session.revokedAt) {
+            return session;
+        }
+
+        session.revokedAt = new Date().toISOString();
+        session.revokeReason = reason;
+        this.save();
+
+        return session;
+    }
+
+    // Signs the user out everywhere - e.g. after a password reset - except
+    // for `exceptSessionId`, the session that made the change, if given
+    revokeUserSessions(username, reason, exceptSessionId = null) {
+        let revoked = 0;
+
+        for (const session of Object.values(this.data.sessions)) {
+            if (session.username === username && !session.revokedAt && session.id !== exceptSessionId) {
+                session.revokedAt = new Date().toISOString();
+                session.revokeReason = reason;
+                revoked++;
+            }
+        }
+
+        this.save();
+        return revoked;
+    }
+
+    purgeExpiredSessions() {
+        const now = Date.now();
+
+        for (const [id, session] of Object.entries(this.data.sessions || {})) {
+            if (new Date(session.refreshExpiresAt).getTime() <= now) {
+                delete this.data.sessions[id];
+            }
+        }
+    }
+
+    // One-time account tokens for email verification and password reset links.
+    // Only their hashes are stored. Issuing a token replaces the user's earlier
+    // one for the same purpose, and consuming a token deletes it.
+
+    createAccountToken({ username, purpose, expiresAt }) {
+        if (!ACCOUNT_TOKEN_PURPOSES.includes(purpose)) {
+            throw new Error(`Unknown account token purpose: ${purpose}`);
+        }
+
+        const now = Date.now();
+
+        for (const [tokenHash, record] of Object.entries(this.data.accountTokens)) {
+            const replaced = record.username === username && record.purpose === purpose;
+            if (replaced || new Date(record.expiresAt).getTime() <= now) {
+                delete this.data.accountTokens[tokenHash];
+            }
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        this.data.accountTokens[hashToken(token)] = {
+            username,
+            purpose,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: expiresAt.toISOString()
+        };
+        this.save();
+
+        return token;
+    }
+
+    // Returns the token's record, or null if it is unknown, expired or for
+    // another purpose. A token can only be consumed once.
+    consumeAccountToken(token, purpose) {
+        const tokenHash = hashToken(token);
+        const record = Object.prototype.hasOwnProperty.call(this.data.accountTokens, tokenHash)
+            ? this.data.accountTokens[tokenHash]
+            : null;
+
+        if (!record || record.purpose !== purpose) {
+            return null;
+        }
+
+        delete this.data.accountTokens[tokenHash];
+        this.save();
+
+        return new Date(record.expiresAt).getTime() > Date.now() ? record : null;
+    }
+
+    // Redemptions
+
+    getRedemption(licenseCode) {
+        return Object.prototype.hasOwnProperty.call(this.data.redemptions, licenseCode)
+            ? this.data.redemptions[licenseCode]
+            : null;
+    }
+
+    // Redeems a license code for an account. The check and the write happen in
+    // one synchronous step, so two concurrent requests can never both redeem
+    // the same code. Returns { redemption } on success, or { error } with
+    // 'INVALID_CODE' or 'CODE_ALREADY_REDEEMED'.
+    redeemCode({ licenseCode, username, hardwareID }) {
+        if (!this.isLicenseActive(licenseCode)) {
+            return { error: 'INVALID_CODE' };
+        }
+
+        if (this.getRedemption(licenseCode)) {
+            return { error: 'CODE_ALREADY_REDEEMED', redemption: this.getRedemption(licenseCode) };
+        }
+
+        const redemption = {
+            licenseCode,
+            username,
+            hardwareID,
+            redeemedAt: new Date().toISOString()
+        };
+
+        this.data.redemptions[licenseCode] = redemption;
+        this.save();
+
+        return { redemption };
+    }
+}
+
+module.exports = { LicenseStore };
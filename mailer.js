@@ -0,0 +1,83 @@
+// mailer.js
+// Outgoing account mail - verification and password reset links. Delivery goes
+// through a pluggable transport chosen by MAIL_TRANSPORT:
+//
+//   console        - prints each message to the log (the default)
+//   file           - writes each message as JSON to <data dir>/outbox/
+//   <module path>  - any module exporting `async send({ from, to, subject, text })`,
+//                    e.g. a wrapper around a real mail provider
+//
+// The console and file transports are for local testing; they deliver nothing.
+// The console transport prints whole messages, links included, so the verify
+// and reset flows can be finished from the log. Logs are shipped and kept, so
+// in production (NODE_ENV=production) it is refused outright and the mailer
+// reports itself as not configured until MAIL_TRANSPORT names a real one.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const consoleTransport = {
+    async send({ from, to, subject, text }) {
+        console.log(`[Mail] From: ${from}\n[Mail] To: ${to}\n[Mail] Subject: ${subject}\n${text}`);
+    }
+};
+
+function createFileTransport(outboxDir) {
+    return {
+        async send(message) {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+
+            const file = path.join(outboxDir, `${Date.now()}-${crypto.randomUUID()}.json`);
+            const entry = { ...message, created_at: new Date().toISOString() };
+            await fs.promises.writeFile(file, JSON.stringify(entry, null, 2) + '\n', { mode: 0o600 });
+
+            console.log(`[Mail] Wrote "${message.subject}" for ${message.to} to ${file}`);
+        }
+    };
+}
+
+function loadTransport(name, dataDir) {
+    if (!name || name === 'console') {
+        return consoleTransport;
+    }
+
+    if (name === 'file') {
+        return createFileTransport(path.join(dataDir, 'outbox'));
+    }
+
+    const transport = require(path.resolve(name));
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error(`Mail transport ${name} does not export send()`);
+    }
+
+    return transport;
+}
+
+class Mailer {
+    constructor({ transport, from, dataDir, production = false }) {
+        this.from = from;
+        this.transportName = transport || 'console';
+
+        if (production && this.transportName === 'console') {
+            console.error(`[Mail] MAIL_TRANSPORT is ${transport ? 'console' : 'not set'} - account emails are disabled. ` +
+                'Set it to a mail provider transport module; the console transport is not allowed in production.');
+            this.transport = null;
+        } else {
+            this.transport = loadTransport(transport, dataDir);
+        }
+    }
+
+    isConfigured() {
+        return Boolean(this.transport);
+    }
+
+    async send({ to, subject, text }) {
+        if (!this.transport) {
+            throw new Error('Mail delivery is not configured');
+        }
+
+        return this.transport.send({ from: this.from, to, subject, text });
+    }
+}
+
+module.exports = { Mailer };
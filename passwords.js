@@ -0,0 +1,69 @@
+// passwords.js
+// Password hashing with scrypt. Hashes are stored as self-describing strings -
+// scrypt$<N>$<r>$<p>$<salt>$<hash> - so the cost can be raised later while
+// older hashes keep verifying until they are upgraded on the next login.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+class PasswordHasher {
+    // `cost` holds the scrypt N, r and p parameters used for new hashes
+    constructor({ cost }) {
+        this.cost = cost;
+    }
+
+    async hash(password) {
+        const { N, r, p } = this.cost;
+        const salt = crypto.randomBytes(SALT_BYTES);
+        const key = await this.derive(password, salt, { N, r, p });
+
+        return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+    }
+
+    derive(password, salt, { N, r, p }) {
+        return scrypt(password, salt, KEY_BYTES, { N, r, p, maxmem: 256 * N * r });
+    }
+
+    // Checks a password against a stored user record. Accounts created before
+    // scrypt carry a salted SHA-256 hash in `passwordHash` plus a separate `salt`.
+    async verify(password, user) {
+        if (this.isLegacy(user)) {
+            const hash = crypto.createHash('sha256').update(user.salt + password).digest();
+            return crypto.timingSafeEqual(hash, Buffer.from(user.passwordHash, 'hex'));
+        }
+
+        const [scheme, N, r, p, salt, expected] = user.passwordHash.split('$');
+        if (scheme !== 'scrypt') {
+            return false;
+        }
+
+        const expectedKey = Buffer.from(expected, 'base64');
+        const key = await this.derive(password, Buffer.from(salt, 'base64'), {
+            N: Number(N),
+            r: Number(r),
+            p: Number(p)
+        });
+
+        return key.length === expectedKey.length && crypto.timingSafeEqual(key, expectedKey);
+    }
+
+    isLegacy(user) {
+        return Boolean(user.salt);
+    }
+
+    // True when the stored hash is legacy or was made with different scrypt costs
+    needsRehash(user) {
+        if (this.isLegacy(user)) {
+            return true;
+        }
+
+        const [, N, r, p] = user.passwordHash.split('$');
+        return Number(N) !== this.cost.N || Number(r) !== this.cost.r || Number(p) !== this.cost.p;
+    }
+}
+
+module.exports = { PasswordHasher };
@@ -0,0 +1,82 @@
+// rate-limiter.js
+// In-memory sliding-window limiter with exponential backoff. Each key - an IP
+// address, an account - may record `limit` events within `windowMs`. The event
+// that reaches the limit locks the key out for `baseLockoutMs`, and every
+// further lockout doubles that, up to `maxLockoutMs`. A key's lockout history
+// is forgotten after `strikeMemoryMs` without another lockout.
+//
+// State is per process and resets on restart, which is fine for a single
+// instance; it only has to outlast an attack, not a deploy.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class RateLimiter {
+    constructor({ windowMs, limit, baseLockoutMs, maxLockoutMs, strikeMemoryMs = 24 * 60 * 60 * 1000 }) {
+        this.windowMs = windowMs;
+        this.limit = limit;
+        this.baseLockoutMs = baseLockoutMs;
+        this.maxLockoutMs = maxLockoutMs;
+        this.strikeMemoryMs = strikeMemoryMs;
+        this.entries = new Map();
+
+        setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+    }
+
+    // Milliseconds until `key` may try again, or 0 if it isn't locked out
+    retryAfter(key) {
+        const entry = this.entries.get(key);
+        const remaining = entry ? entry.lockedUntil - Date.now() : 0;
+
+        return remaining > 0 ? remaining : 0;
+    }
+
+    // Counts one event against `key`. Returns the lockout it triggered in
+    // milliseconds, or 0 if the key is still under its limit.
+    record(key) {
+        const now = Date.now();
+        let entry = this.entries.get(key);
+
+        if (!entry) {
+            entry = { events: [], strikes: 0, lockedUntil: 0, lastLockoutAt: 0 };
+            this.entries.set(key, entry);
+        }
+
+        entry.events = entry.events.filter(time => time > now - this.windowMs);
+        entry.events.push(now);
+
+        if (entry.events.length < this.limit) {
+            return 0;
+        }
+
+        if (now - entry.lastLockoutAt > this.strikeMemoryMs) {
+            entry.strikes = 0;
+        }
+
+        const lockoutMs = Math.min(this.baseLockoutMs * (2 ** entry.strikes), this.maxLockoutMs);
+        entry.strikes++;
+        entry.lastLockoutAt = now;
+        entry.lockedUntil = now + lockoutMs;
+        entry.events = [];
+
+        return lockoutMs;
+    }
+
+    // Clears `key` entirely - e.g. after a successful sign-in to that account
+    reset(key) {
+        this.entries.delete(key);
+    }
+
+    // Drops keys with nothing left to remember
+    sweep() {
+        const now = Date.now();
+
+        for (const [key, entry] of this.entries) {
+            const idle = entry.lockedUntil <= now && entry.events.every(time => time <= now - this.windowMs);
+
+            if (idle && now - entry.lastLockoutAt > this.strikeMemoryMs) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = { RateLimiter };
@@ -70,386 +70,998 @@ class BackgroundCanvas {
     }
 }
 
-class FileEncryption {
-    constructor(password) {
-        this.password = password;
-    }
+// AES-256-GCM file encryption. Every encrypted file starts with a versioned
+// header describing how its key was derived, so files written today stay
+// decryptable after the KDF or its parameters change:
+//
+//   magic "PSYE" | version (1) | kdf id (1) | iterations (uint32 BE)
+//   | salt length (1) | salt | iv length (1) | iv
+//   [version 2 only: chunk size (uint32 BE)]
+//
+// Version 1 is followed by a single ciphertext + GCM tag. Version 2 splits the
+// plaintext into fixed-size chunks, each sealed separately with its own IV, so
+// large projects can be streamed and any chunk decrypted on its own. The header
+// is bound to every ciphertext as additional authenticated data, so editing any
+// header field makes decryption fail rather than misbehave.
+//
+// Everything below runs both on the main thread and inside the encryption
+// worker, so it must not touch the DOM. It is wrapped in a function so its
+// source can be turned into the worker script as-is.
+function defineFileCipher() {
+    const FILE_MAGIC = [0x50, 0x53, 0x59, 0x45];
+    const FILE_FORMAT_VERSION = 1;
+    const CHUNKED_FORMAT_VERSION = 2;
+    const KDF_PBKDF2_SHA256 = 1;  // For passwords and license codes
+    const KDF_HKDF_SHA256 = 2;    // For secrets that are already high-entropy keys
+    const PBKDF2_ITERATIONS = 310000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+    const GCM_TAG_BYTES = 16;
+    const CHUNK_SIZE = 4 * 1024 * 1024;
+    const MAX_HEADER_BYTES = 4 + 1 + 1 + 4 + 1 + 255 + 1 + 255 + 4;
 
-    encryptFile(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const content = e.target.result;
-                const encrypted = this._xorEncrypt(content, this.password);
-                resolve(encrypted);
-            };
-            reader.readAsArrayBuffer(file);
-        });
-    }
+    class FileCipher {
+        // `secret` is the user's key material. `kdf` picks how it is stretched
+        // into an AES key - PBKDF2 unless the secret is already random bytes.
+        constructor(secret, { kdf = KDF_PBKDF2_SHA256, iterations = PBKDF2_ITERATIONS, chunkSize = CHUNK_SIZE } = {}) {
+            this.secret = secret;
+            this.kdf = kdf;
+            this.iterations = kdf === KDF_PBKDF2_SHA256 ? iterations : 0;
+            this.chunkSize = chunkSize;
+            this.salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+            this.keyCache = new Map();
+        }
 
-    decryptFile(encryptedData) {
-        return this._xorEncrypt(encryptedData, this.password);
-    }
+        // Streams `file` through the chunked format and resolves to an encrypted
+        // Blob. `onProgress(processedBytes, totalBytes)` fires after every chunk;
+        // aborting `signal` stops the read and rejects with the abort reason.
+        async encryptFile(file, { onProgress, signal } = {}) {
+            const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+            const params = { version: CHUNKED_FORMAT_VERSION, kdf: this.kdf, iterations: this.iterations, salt: this.salt, iv, chunkSize: this.chunkSize };
+            const header = this.buildHeader(params);
+            const key = await this.deriveKey(params);
 
-    _xorEncrypt(data, password) {
-        const encoder = new TextEncoder();
-        const passwordBytes = encoder.encode(password);
-        const dataView = new DataView(data);
-        const result = new ArrayBuffer(data.byteLength);
-        const resultView = new DataView(result);
+            const total = file.size;
+            const lastIndex = Math.max(1, Math.ceil(total / this.chunkSize)) - 1;
+            const parts = [header];
+            let index = 0;
+            let processed = 0;
 
-        for (let i = 0; i < data.byteLength; i++) {
-            const passwordByte = passwordBytes[i % passwordBytes.length];
-            resultView.setUint8(i, dataView.getUint8(i) ^ passwordByte);
+            for await (const chunk of this.readChunks(file.stream(), this.chunkSize, signal)) {
+                parts.push(await this.sealChunk(key, header, iv, index, index === lastIndex, chunk));
+                index++;
+                processed += chunk.length;
+
+                if (onProgress) {
+                    onProgress(processed, total);
+                }
+            }
+
+            // An empty file still gets one (empty) final chunk so truncation is detectable
+            if (index === 0) {
+                parts.push(await this.sealChunk(key, header, iv, 0, true, new Uint8Array(0)));
+            }
+
+            return new Blob(parts, { type: 'application/octet-stream' });
         }
 
-        return result;
-    }
-}
+        // Single-shot encryption of an in-memory buffer (version 1)
+        async encrypt(data) {
+            const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+            const params = { version: FILE_FORMAT_VERSION, kdf: this.kdf, iterations: this.iterations, salt: this.salt, iv };
+            const header = this.buildHeader(params);
+            const key = await this.deriveKey(params);
 
-class SecurityManager {
-    constructor() {
-        this.devMode = true;
-        this.db = null;
-        this.usedCodes = []; // Cache for used codes
-        this.userName = '';
-        this.userEmail = '';
-        this.userPassword = '';
-        this.registeredUsers = []; // Cache for registered users
-        
-        // API URL - Connected to Render backend
-        this.API_URL = window.location.hostname === 'localhost' || window.location.protocol === 'file:'
-            ? 'http://localhost:3001'
-            : 'https://psbe-gl5j.onrender.com';
-        
-        console.log('[Security] API URL:', this.API_URL);
-        
-        if (this.devMode) {
-            this.initSecurity();
-        } else {
-            this.performIntegrityCheck().then(() => {
-                if (!this.verifySignature()) {
-                    this.handleTampering();
-                }
-                
-                this.validateWithServer().catch(error => {
-                    console.error('Server validation failed:', error);
-                });
-                
-                this.initSecurity();
-            }).catch(error => {
-                console.error('Integrity check failed:', error);
-                this.handleTampering();
-            });
+            const ciphertext = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv, additionalData: header },
+                key,
+                data
+            );
+
+            const result = new Uint8Array(header.length + ciphertext.byteLength);
+            result.set(header, 0);
+            result.set(new Uint8Array(ciphertext), header.length);
+            return result.buffer;
         }
-    }
-    
-    async initSecurity() {
-        // Initialize available codes
-        // Accept only codes from the provided lists
-        this.correctCode = [
-            // String codes
-            "020PSY969666POWER900", "030PSY969666POWER800", "040PSY969666POWER700", "050PSY969666POWER600", "060PSY969666POWER500", "070PSY969666POWER400", "080PSY969666POWER300", "090PSY969666POWER200", "100PSY969666POWER001", "200PSY969666POWER002", "0a2b0c9x6y9z61626392010", "0a2b0c9x6y9z62626392010", "0a2b0c9x6z9z62696392010", "0a2b0c9x6y9w62626392810", "0a2f0c9x6y9z62626390010", "0a2bhc9x6y9z62w26392010", "0a2x0c9xwy9z6262y392010",
-            // Unicode codes (all provided blocks)
-            "⹿⺀⺁⺂⺃⺄⺅⺆⺇⺈⺉⺊⺋⺌⺍⺎⺏⺐⺑⺒⺓⺔⺕⺖⺗⺘⺙⺚⺛⭖⭗⭘⭙⭚⭛⭜⭝⭞⭟⭠⭡⭢⭣⭤⭥⭦⭧⭨⭩⭪⭫⭬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⮷⮸⮹⮺⮻⮼⮽⮾⮿⯀⯁⯂⯃⯄⯅⯆⯇⯈⯉⯊⯋⯌⯍⯎⯏⯐⯑⯒⯓⯔⯕⯖⯗⯘⯙⯚⯛⯜⯝⯞⯟⯠⯡⯢⯣⯤⯥⯦⯧⯨⯩⯪⯫⯬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⮷⮸⮹⮺⮻⮼⮽⮾⮿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌⰍⰎⰏⰐⰑⰒⰓⰔⰕⰖⰗⰘⰙⰚⰛⰜⰝⰞⰟⰠⰡⰢⰣⰤⰥⰦⰧⰨⰩⰪⰫⰬⰭⰮⰰⰱⰲⰳⰴⰵⰶⰷⰸⰹⰺⰻⰼⰽⰾⰿⱀⱁⱂⱃⱄⱅⱆⱇⱈⱉⱊⱋⱌⱍⱎⱏⱐⱑⱒⱓⱔⱕⱖⱗⱘⱙⱚⱛⱜⱝⱞⱟⱠⱡⱢⱣⱤⱥⱦⱧⱨⱩⱪⱫⱬⱭⱮⱯⱰⱱⱲⱳⱴⱵⱶⱷⱸⱹⱺⱻⱼⱽⱾⱿⲀⲁⲂⲃⲄⲅⲆⲇⲈⲉⲊⲋⲌⲍⲎⲏⲐⲑⲒⲓⲔⲕ",
-            "⯿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌ⭖⭗⭘⭙⭚⭛⭜⭝⭞⭟⭠⭡⭢⭣⭤⭥⭦⭧⭨⭩⭪⭫⭬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⮷⮸⮹⮺⮻⮼⮽⮾⮿⯀⯁⯂⯃⯄⯅⯆⯇⯈⯉⯊⯋⯌⯍⯎⯏⯐⯑⯒⯓⯔⯕⯖⯗⯘⯙⯚⯛⯜⯝⯞⯟⯠⯡⯢⯣⯤⯥⯦⯧⯨⯩⯪⯫⯬⯭⯮⯯⯰⯱⯲⯳⯴⯵⯶⯷⯸⯹⯺⯻⯼⯽⯾⯿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌⰍⰎⰏⰐⰑⰒⰓⰔⰕⰖⰗⰘⰙⰚⰛⰜⰝⰞⰟⰠⰡⰢⰣⰤⰥⰦⰧⰨⰩⰪⰫⰬⰭⰮⰰⰱⰲⰳⰴⰵⰶⰷⰸⰹⰺⰻⰼⰽⰾⰿⱀⱁⱂⱃⱄⱅⱆⱇⱈⱉⱊⱋⱌⱍⱎⱏⱐⱑⱒⱓⱔⱕⱖⱗⱘⱙⱚⱛⱜⱝⱞⱟⱠⱡⱢⱣⱤⱥⱦⱧⱨⱩⱪⱫⱬⱭⱮⱯⱰⱱⱲⱳⱴⱵⱶⱷⱸⱹⱺⱻⱼⱽⱾⱿⲀⲁⲂⲃⲄⲅⲆⲇⲈⲉⲊⲋⲌⲍⲎⲏⲐⲑⲒⲓⲔⲕ",
-            "⺃⺄⺅⺆⺇⺈⺉⺊⺋⺌⺍⺎⺏⺐⺑⺒⺓⺔⺕⺖⺗⺘⺙⺚⺛⭖⭗⭘⭙⭚⭛⭜⭝⭞⭟⭠⭡⭢⭣⭤⭥⭦⭧⭨⭩⭪⭫⭬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⮷⮸⮹⮺⮻⮼⮽⮾⮿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌⰍⰎⰏⰐⰑⰒⰓⰔⰕⰖⰗⰘⰙⰚⰛⰜⰝⰞⰟⰠⰡⰢⰣⰤⰥⰦⰧⰨⰩⰪⰫⰬⰭⰮⰰⰱⰲⰳⰴⰵⰶⰷⰸⰹⰺⰻⰼⰽⰾⰿⱀⱁⱂⱃⱄⱅⱆⱇⱈⱉⱊⱋⱌⱍⱎⱏⱐⱑⱒⱓⱔⱕⱖⱗⱘⱙⱚⱛⱜⱝⱞⱟⱠⱡⱢⱣⱤⱥⱦⱧⱨⱩⱪⱫⱬⱭⱮⱯⱰⱱⱲⱳⱴⱵⱶⱷⱸⱹⱺⱻⱼⱽⱾⱿⲀⲁⲂⲃⲄⲅⲆⲇⲈⲉⲊⲋⲌⲍⲎⲏⲐⲑⲒⲓⲔⲕ",
-            "⮷⮸⮹⮺⮻⮼⮽⮾⮿⯀⯁⯂⯃⯄⯅⯆⯇⯈⯉⯊⯋⯌⯍⯎⯏⯐⯑⯒⯓⯔⯕⯖⯗⯘⯙⯚⯛⯜⯝⯞⯟⯠⯡⯢⯣⯤⯥⯦⯧⯨⯩⯪⯫⯬⯭⯮⯯⯰⯱⯲⯳⯴⯵⯶⯷⯸⯹⯺⯻⯼⯽⯾⯿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌⰍⰎⰏⰐⰑⰒⰓⰔⰕⰖⰗⰘⰙⰚⰛⰜⰝⰞⰟⰠⰡⰢⰣⰤⰥⰦⰧⰨⰩⰪⰫⰬⰭⰮⰰⰱⰲⰳⰴⰵⰶⰷⰸⰹⰺⰻⰼⰽⰾⰿⱀⱁⱂⱃⱄⱅⱆⱇⱈⱉⱊⱋⱌⱍⱎⱏⱐⱑⱒⱓⱔⱕⱖⱗⱘⱙⱚⱛⱜⱝⱞⱟⱠⱡⱢⱣⱤⱥⱦⱧⱨⱩⱪⱫⱬⱭⱮⱯⱰⱱⱲⱳⱴⱵⱶⱷⱸⱹⱺⱻⱼⱽⱾⱿⲀⲁⲂⲃⲄⲅⲆⲇⲈⲉⲊⲋⲌⲍⲎⲏⲐⲑⲒⲓⲔⲕ⹿⺀⺁⺂⺃⺄⺅⺆⺇⺈⺉⺊⺋⺌⺍⺎⺏⺐⺑⺒⺓⺔⺕⺖⺗⺘⺙⺚⺛⭖⭗⭘⭙⭚⭛⭜⭝⭞⭟⭠⭡⭢⭣⭤⭥⭦⭧⭨⭩⭪⭫⭬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶"
-        ];
-        
-        this.maxAttempts = 3;
-        this.lockoutTime = 300000;
-        this.isLocked = false;
-        this.lockoutEndTime = 0;
-        this.fileEncryption = null;
-        this.backgroundCanvas = null;
-        
-        // Initialize IndexedDB for persistent storage
-        await this.initIndexedDB();
-        
-        // Load used codes from both storage systems
-        await this.loadUsedCodes();
-        
-        // Load registered users
-        await this.loadRegisteredUsers();
-        
-        this.loadSecurityState();
-        this.init();
-    }
-    
-    async initIndexedDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('PsychStudioDB', 2);
-            
-            request.onerror = (event) => {
-                console.error('Database error:', event.target.error);
-                reject(event.target.error);
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create usedCodes object store if it doesn't exist
-                if (!db.objectStoreNames.contains('usedCodes')) {
-                    const codeStore = db.createObjectStore('usedCodes', { keyPath: 'code' });
+
+        // Decrypts a Blob or ArrayBuffer in any supported format and resolves to a
+        // Blob. Rejects if the data was tampered with, truncated or the secret is
+        // wrong. Files without the header predate AES-GCM and go through the old
+        // XOR cipher.
+        async decryptFile(data, { onProgress, signal } = {}) {
+            const blob = data instanceof Blob ? data : new Blob([data]);
+            const head = new Uint8Array(await blob.slice(0, MAX_HEADER_BYTES).arrayBuffer());
+
+            if (!FileCipher.hasHeader(head)) {
+                console.warn('[Security] Decrypting legacy XOR-encrypted file - re-encrypt it to upgrade');
+                return new Blob([this._xorDecrypt(await blob.arrayBuffer(), this.secret)]);
+            }
+
+            const header = FileCipher.parseHeader(head);
+            const key = await this.deriveKey(header);
+
+            if (header.version === FILE_FORMAT_VERSION) {
+                const bytes = new Uint8Array(await blob.arrayBuffer());
+                const plaintext = await this.open(key, header.iv, bytes.subarray(0, header.length), bytes.subarray(header.length));
+                return new Blob([plaintext]);
+            }
+
+            const count = FileCipher.chunkCount(blob, header);
+            const total = blob.size - header.length - (count * GCM_TAG_BYTES);
+            const parts = [];
+            let processed = 0;
+
+            for (let index = 0; index < count; index++) {
+                if (signal) {
+                    signal.throwIfAborted();
                 }
-                
-                // Create registeredUsers object store if it doesn't exist
-                if (!db.objectStoreNames.contains('registeredUsers')) {
-                    const userStore = db.createObjectStore('registeredUsers', { keyPath: 'email' });
+
+                const plaintext = await this.openChunk(blob, head, header, key, index, count);
+                parts.push(plaintext);
+                processed += plaintext.byteLength;
+
+                if (onProgress) {
+                    onProgress(processed, total);
                 }
-            };
-            
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                resolve();
-            };
-        });
-    }
-    
-    async loadUsedCodes() {
-        try {
-            // Get used codes from IndexedDB
-            const indexedDBUsedCodes = await this.getAllUsedCodesFromIndexedDB();
-            
-            // Get used codes from localStorage
-            const localUsedCodes = this.getUsedCodes();
-            
-            // Merge both sources, with IndexedDB taking precedence
-            this.usedCodes = [...new Set([...localUsedCodes, ...indexedDBUsedCodes])];
-            
-            // Sync any used codes that are only in localStorage to IndexedDB
-            for (const codeData of localUsedCodes) {
-                if (!indexedDBUsedCodes.some(c => c.code === codeData.code)) {
-                    await this.saveUsedCodeToIndexedDB(codeData);
+            }
+
+            return new Blob(parts);
+        }
+
+        // Random access into a chunked file - decrypts only chunk `index`
+        async decryptChunk(blob, index) {
+            const head = new Uint8Array(await blob.slice(0, MAX_HEADER_BYTES).arrayBuffer());
+            if (!FileCipher.hasHeader(head)) {
+                throw new Error('Not an encrypted file');
+            }
+
+            const header = FileCipher.parseHeader(head);
+            if (header.version !== CHUNKED_FORMAT_VERSION) {
+                throw new Error('File is not in the chunked format');
+            }
+
+            const count = FileCipher.chunkCount(blob, header);
+            if (!Number.isInteger(index) || index < 0 || index >= count) {
+                throw new RangeError(`Chunk ${index} is out of range (file has ${count})`);
+            }
+
+            return this.openChunk(blob, head, header, await this.deriveKey(header), index, count);
+        }
+
+        // Splits a byte stream into chunks of exactly `chunkSize`, except the last
+        async *readChunks(stream, chunkSize, signal) {
+            const reader = stream.getReader();
+            let buffer = new Uint8Array(chunkSize);
+            let filled = 0;
+
+            try {
+                while (true) {
+                    if (signal) {
+                        signal.throwIfAborted();
+                    }
+
+                    const { done, value } = await reader.read();
+                    if (done) {
+                        break;
+                    }
+
+                    let offset = 0;
+                    while (offset < value.length) {
+                        const take = Math.min(chunkSize - filled, value.length - offset);
+                        buffer.set(value.subarray(offset, offset + take), filled);
+                        filled += take;
+                        offset += take;
+
+                        if (filled === chunkSize) {
+                            yield buffer;
+                            buffer = new Uint8Array(chunkSize);
+                            filled = 0;
+                        }
+                    }
+                }
+
+                if (filled > 0) {
+                    yield buffer.subarray(0, filled);
                 }
+            } finally {
+                reader.cancel().catch(() => {});
             }
-            
-            // Update localStorage with any data only in IndexedDB
-            localStorage.setItem('psychStudioUsedCodes', JSON.stringify(this.usedCodes));
-            
-            // Filter out used codes from available codes
-            const usedCodeStrings = this.usedCodes.map(c => c.code);
-            this.correctCode = this.correctCode.filter(code => !usedCodeStrings.includes(code));
-            
-            return this.usedCodes;
-        } catch (error) {
-            console.error('Error loading used codes:', error);
-            return [];
         }
-    }
-    
-    async saveUsedCodeToIndexedDB(codeData) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                reject(new Error('Database not initialized'));
-                return;
+
+        // Each chunk gets the file IV with its index mixed into the last four
+        // bytes, and authenticates its index and whether it is the final chunk -
+        // so chunks can't be reordered, dropped or the file cut short unnoticed.
+        chunkParams(header, iv, index, final) {
+            const chunkIv = iv.slice();
+            const view = new DataView(chunkIv.buffer);
+            view.setUint32(IV_BYTES - 4, view.getUint32(IV_BYTES - 4) ^ index);
+
+            const additionalData = new Uint8Array(header.length + 5);
+            additionalData.set(header, 0);
+            new DataView(additionalData.buffer).setUint32(header.length, index);
+            additionalData[header.length + 4] = final ? 1 : 0;
+
+            return { iv: chunkIv, additionalData };
+        }
+
+        async sealChunk(key, header, iv, index, final, chunk) {
+            const ciphertext = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', ...this.chunkParams(header, iv, index, final) },
+                key,
+                chunk
+            );
+            return new Uint8Array(ciphertext);
+        }
+
+        async openChunk(blob, head, header, key, index, count) {
+            const stride = header.chunkSize + GCM_TAG_BYTES;
+            const start = header.length + (index * stride);
+            const ciphertext = await blob.slice(start, start + stride).arrayBuffer();
+            const { iv, additionalData } = this.chunkParams(head.subarray(0, header.length), header.iv, index, index === count - 1);
+
+            return this.open(key, iv, additionalData, ciphertext);
+        }
+
+        async open(key, iv, additionalData, ciphertext) {
+            try {
+                return await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData }, key, ciphertext);
+            } catch (error) {
+                throw new Error('File could not be decrypted - it is corrupted or the key is wrong');
             }
-            
-            const transaction = this.db.transaction('usedCodes', 'readwrite');
-            const objectStore = transaction.objectStore('usedCodes');
-            const request = objectStore.put(codeData);
-            
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
-    }
-    
-    async getAllUsedCodesFromIndexedDB() {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                reject(new Error('Database not initialized'));
-                return;
+        }
+
+        buildHeader({ version, kdf, iterations, salt, iv, chunkSize }) {
+            const chunked = version === CHUNKED_FORMAT_VERSION;
+            const header = new Uint8Array(4 + 1 + 1 + 4 + 1 + salt.length + 1 + iv.length + (chunked ? 4 : 0));
+            const view = new DataView(header.buffer);
+            let offset = 0;
+
+            header.set(FILE_MAGIC, offset);
+            offset += 4;
+            header[offset++] = version;
+            header[offset++] = kdf;
+            view.setUint32(offset, iterations);
+            offset += 4;
+            header[offset++] = salt.length;
+            header.set(salt, offset);
+            offset += salt.length;
+            header[offset++] = iv.length;
+            header.set(iv, offset);
+            offset += iv.length;
+
+            if (chunked) {
+                view.setUint32(offset, chunkSize);
             }
-            
-            const transaction = this.db.transaction('usedCodes', 'readonly');
-            const objectStore = transaction.objectStore('usedCodes');
-            const request = objectStore.getAll();
-            
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
-    }
-    
-    getUsedCodes() {
-        const usedCodesJson = localStorage.getItem('psychStudioUsedCodes');
-        return usedCodesJson ? JSON.parse(usedCodesJson) : [];
-    }
-    
-    async markCodeAsUsed(code) {
-        const codeUsageData = {
-            code: code,
-            usedAt: new Date().toISOString()
-        };
-        
-        // Store in localStorage
-        const localUsedCodes = this.getUsedCodes();
-        localUsedCodes.push(codeUsageData);
-        localStorage.setItem('psychStudioUsedCodes', JSON.stringify(localUsedCodes));
-        
-        // Store in IndexedDB
-        await this.saveUsedCodeToIndexedDB(codeUsageData);
-        
-        // Update cache
-        this.usedCodes.push(codeUsageData);
-        
-        // Remove code from available codes
-        const codeIndex = this.correctCode.indexOf(code);
-        if (codeIndex !== -1) {
-            this.correctCode.splice(codeIndex, 1);
+
+            return header;
+        }
+
+        static hasHeader(bytes) {
+            return bytes.length >= FILE_MAGIC.length && FILE_MAGIC.every((b, i) => bytes[i] === b);
+        }
+
+        static parseHeader(bytes) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            let offset = FILE_MAGIC.length;
+
+            const version = bytes[offset++];
+            if (version !== FILE_FORMAT_VERSION && version !== CHUNKED_FORMAT_VERSION) {
+                throw new Error(`Unsupported encrypted file version ${version}`);
+            }
+
+            const kdf = bytes[offset++];
+            if (kdf !== KDF_PBKDF2_SHA256 && kdf !== KDF_HKDF_SHA256) {
+                throw new Error(`Unsupported key derivation ${kdf}`);
+            }
+
+            const iterations = view.getUint32(offset);
+            offset += 4;
+            const salt = bytes.slice(offset + 1, offset + 1 + bytes[offset]);
+            offset += 1 + salt.length;
+            const iv = bytes.slice(offset + 1, offset + 1 + bytes[offset]);
+            offset += 1 + iv.length;
+
+            let chunkSize = null;
+            if (version === CHUNKED_FORMAT_VERSION && offset + 4 <= bytes.length) {
+                chunkSize = view.getUint32(offset);
+                offset += 4;
+            }
+
+            if (iv.length !== IV_BYTES || offset > bytes.length || (version === CHUNKED_FORMAT_VERSION && !chunkSize)) {
+                throw new Error('Encrypted file header is malformed');
+            }
+
+            return { version, kdf, iterations, salt, iv, chunkSize, length: offset };
+        }
+
+        static chunkCount(blob, header) {
+            const body = blob.size - header.length;
+            const count = Math.ceil(body / (header.chunkSize + GCM_TAG_BYTES));
+
+            if (body < GCM_TAG_BYTES || count < 1) {
+                throw new Error('Encrypted file is truncated');
+            }
+
+            return count;
+        }
+
+        // Derived keys are cached per KDF parameters - PBKDF2 is deliberately slow
+        async deriveKey({ kdf, iterations, salt }) {
+            const cacheKey = `${kdf}:${iterations}:${Array.from(salt).join(',')}`;
+            if (this.keyCache.has(cacheKey)) {
+                return this.keyCache.get(cacheKey);
+            }
+
+            const baseKey = await crypto.subtle.importKey(
+                'raw',
+                new TextEncoder().encode(this.secret),
+                kdf === KDF_PBKDF2_SHA256 ? 'PBKDF2' : 'HKDF',
+                false,
+                ['deriveKey']
+            );
+
+            const params = kdf === KDF_PBKDF2_SHA256
+                ? { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }
+                : { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode('psych-studio file encryption') };
+
+            const key = await crypto.subtle.deriveKey(
+                params,
+                baseKey,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+
+            this.keyCache.set(cacheKey, key);
+            return key;
+        }
+
+        // Read-only support for files written before the header existed
+        _xorDecrypt(data, password) {
+            const passwordBytes = new TextEncoder().encode(password);
+            const dataView = new DataView(data);
+            const result = new ArrayBuffer(data.byteLength);
+            const resultView = new DataView(result);
+
+            for (let i = 0; i < data.byteLength; i++) {
+                const passwordByte = passwordBytes[i % passwordBytes.length];
+                resultView.setUint8(i, dataView.getUint8(i) ^ passwordByte);
+            }
+
+            return result;
         }
     }
-    
-    async loadRegisteredUsers() {
-        try {
-            // Get registered users from IndexedDB
-            const indexedDBUsers = await this.getAllRegisteredUsersFromIndexedDB();
-            
-            // Get registered users from localStorage
-            const localUsers = this.getRegisteredUsers();
-            
-            // Merge both sources, with IndexedDB taking precedence
-            this.registeredUsers = [...new Map([...localUsers, ...indexedDBUsers].map(u => [u.email, u])).values()];
 
-            // Sync any users that are only in localStorage to IndexedDB
-            for (const userData of localUsers) {
-                if (!indexedDBUsers.some(u => u.email === userData.email)) {
-                    await this.saveUserToIndexedDB(userData);
-                }
+    FileCipher.KDF_PBKDF2_SHA256 = KDF_PBKDF2_SHA256;
+    FileCipher.KDF_HKDF_SHA256 = KDF_HKDF_SHA256;
+
+    return FileCipher;
+}
+
+const FileCipher = defineFileCipher();
+
+// Worker entry point. FileEncryption posts one job at a time; a `cancel`
+// message aborts the running job.
+function fileEncryptionWorkerMain() {
+    let cipher = null;
+    let current = null;
+
+    self.onmessage = async (e) => {
+        const message = e.data;
+
+        if (message.type === 'init') {
+            cipher = new FileCipher(message.secret, message.options);
+            return;
+        }
+
+        if (message.type === 'cancel') {
+            if (current && current.id === message.id) {
+                current.controller.abort();
             }
-            
-            // Update localStorage with all users
-            localStorage.setItem('psychStudioRegisteredUsers', JSON.stringify(this.registeredUsers));
-            
-            return this.registeredUsers;
+            return;
+        }
+
+        const controller = new AbortController();
+        current = { id: message.id, controller };
+        const jobCipher = typeof message.secret === 'string' ? new FileCipher(message.secret, message.cipherOptions) : cipher;
+
+        const options = {
+            signal: controller.signal,
+            onProgress: (processed, total) => self.postMessage({ type: 'progress', id: message.id, processed, total })
+        };
+
+        try {
+            let result;
+            switch (message.type) {
+                case 'encryptFile':
+                    result = await jobCipher.encryptFile(message.data, options);
+                    break;
+                case 'decryptFile':
+                    result = await jobCipher.decryptFile(message.data, options);
+                    break;
+                case 'decryptChunk':
+                    result = await jobCipher.decryptChunk(message.data, message.index);
+                    break;
+                case 'encrypt':
+                    result = await jobCipher.encrypt(message.data);
+                    break;
+                default:
+                    throw new Error(`Unknown encryption job ${message.type}`);
+            }
+
+            // Hand raw buffers back without copying them
+            self.postMessage({ type: 'done', id: message.id, result }, result instanceof ArrayBuffer ? [result] : []);
         } catch (error) {
-            console.error('Error loading registered users:', error);
-            // Fallback to localStorage only
-            const localUsers = this.getRegisteredUsers();
-            this.registeredUsers = localUsers;
-            return localUsers;
+            self.postMessage({ type: 'error', id: message.id, name: error.name, message: error.message });
+        } finally {
+            current = null;
         }
+    };
+}
+
+// Public encryption API. Jobs are queued and run one at a time on a dedicated
+// worker so large files don't stall the studio UI. Where workers aren't
+// available the same cipher runs on the main thread instead.
+//
+// ArrayBuffer input, or the buffer behind a typed-array input, is transferred
+// to the worker rather than copied: the caller gives up ownership, and the
+// buffer is detached (zero length) once the job starts. Copy it first if you
+// still need it. Blobs are never affected.
+class FileEncryption {
+    constructor(secret, options = {}) {
+        this.secret = secret;
+        this.options = options;
+        this.worker = null;
+        this.workerUrl = null;
+        this.workerUnavailable = false;
+        this.localCipher = null;
+        this.queue = [];
+        this.activeJob = null;
+        this.nextJobId = 1;
     }
-    
-    async saveUserToIndexedDB(userData) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                reject(new Error('Database not initialized'));
-                return;
-            }
-            
-            const transaction = this.db.transaction('registeredUsers', 'readwrite');
-            const objectStore = transaction.objectStore('registeredUsers');
-            const request = objectStore.put(userData);
-            
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+
+    encryptFile(file, options) {
+        return this.run('encryptFile', { data: file }, options);
     }
-    
-    async getAllRegisteredUsersFromIndexedDB() {
+
+    decryptFile(data, options) {
+        return this.run('decryptFile', { data }, options);
+    }
+
+    decryptChunk(blob, index) {
+        return this.run('decryptChunk', { data: blob, index });
+    }
+
+    encrypt(data) {
+        return this.run('encrypt', { data });
+    }
+
+    // Queues one job. A `secret` (and `cipherOptions`) in the payload replace
+    // the instance's own key for that job only - KeyVault uses this to run
+    // every file under its own data key on the same worker.
+    run(type, payload, { onProgress, signal } = {}) {
+        if (!this.getWorker()) {
+            return this.runLocally(type, payload, { onProgress, signal });
+        }
+
         return new Promise((resolve, reject) => {
-            if (!this.db) {
-                console.warn('Database not initialized, returning empty array');
-                resolve([]);
+            if (signal && signal.aborted) {
+                reject(FileEncryption.abortError(signal));
                 return;
             }
-            
-            try {
-                const transaction = this.db.transaction('registeredUsers', 'readonly');
-                const objectStore = transaction.objectStore('registeredUsers');
-                const request = objectStore.getAll();
-                
-                request.onsuccess = () => resolve(request.result || []);
-                request.onerror = () => {
-                    console.error('Error getting users from IndexedDB:', request.error);
-                    resolve([]);
-                };
-            } catch (error) {
-                console.error('Error accessing IndexedDB:', error);
-                resolve([]);
+
+            const job = { id: this.nextJobId++, type, payload, onProgress, resolve, reject };
+
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancel(job, signal), { once: true });
             }
+
+            this.queue.push(job);
+            this.pump();
         });
     }
-    
-    getRegisteredUsers() {
-        const usersJson = localStorage.getItem('psychStudioRegisteredUsers');
-        return usersJson ? JSON.parse(usersJson) : [];
-    }
-    
-    async registerUser(email, username, password) {
-        const userData = {
-            email: email,
-            username: username,
-            password: this.hashPassword(password), // Hash password before storing
-            registeredAt: new Date().toISOString()
-        };
-        
-        // Store in localStorage
-        const localUsers = this.getRegisteredUsers();
-        localUsers.push(userData);
-        localStorage.setItem('psychStudioRegisteredUsers', JSON.stringify(localUsers));
-        
-        // Store in IndexedDB
-        await this.saveUserToIndexedDB(userData);
-        
-        // Update cache
-        this.registeredUsers.push(userData);
-    }
-    
-    hashPassword(password) {
-        // Simple hash function - in production use bcrypt or similar
-        let hash = 0;
-        for (let i = 0; i < password.length; i++) {
-            const char = password.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+
+    runLocally(type, payload, options) {
+        if (!this.localCipher) {
+            this.localCipher = new FileCipher(this.secret, this.options);
         }
-        return Math.abs(hash).toString(16);
-    }
-    
-    verifyPassword(password, storedHash) {
-        return this.hashPassword(password) === storedHash;
-    }
-    
-    findUserByEmail(email) {
-        return this.registeredUsers.find(u => u.email === email);
+
+        const cipher = typeof payload.secret === 'string' ? new FileCipher(payload.secret, payload.cipherOptions) : this.localCipher;
+
+        if (type === 'decryptChunk') {
+            return cipher.decryptChunk(payload.data, payload.index);
+        }
+
+        return cipher[type](payload.data, options);
     }
-    
-    init() {
-        if (this.isAuthenticated()) {
-            this.showApp();
-        } else {
-            this.showLoginScreen();
+
+    pump() {
+        if (this.activeJob || this.queue.length === 0) {
+            return;
         }
+
+        const job = this.queue.shift();
+        this.activeJob = job;
+        this.worker.postMessage({ type: job.type, id: job.id, ...job.payload }, FileEncryption.transferList(job.payload.data));
     }
     
-    isAuthenticated() {
-        const authData = localStorage.getItem('psychStudioAuth');
-        if (!authData) return false;
+    static transferList(data) {
+        if (data instanceof ArrayBuffer) {
+            return [data];
+        }
         
+        return ArrayBuffer.isView(data) && data.buffer instanceof ArrayBuffer ? [data.buffer] : [];
+    }
+
+    cancel(job, signal) {
+        const queued = this.queue.indexOf(job);
+
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            job.reject(FileEncryption.abortError(signal));
+        } else if (this.activeJob === job) {
+            // The worker answers with an AbortError once it stops
+            this.worker.postMessage({ type: 'cancel', id: job.id });
+        }
+    }
+
+    handleMessage(message) {
+        const job = this.activeJob;
+        if (!job || message.id !== job.id) {
+            return;
+        }
+
+        if (message.type === 'progress') {
+            if (job.onProgress) {
+                job.onProgress(message.processed, message.total);
+            }
+            return;
+        }
+
+        this.activeJob = null;
+
+        if (message.type === 'done') {
+            job.resolve(message.result);
+        } else if (message.name === 'AbortError') {
+            job.reject(new DOMException(message.message, 'AbortError'));
+        } else {
+            job.reject(new Error(message.message));
+        }
+
+        this.pump();
+    }
+
+    getWorker() {
+        if (this.worker || this.workerUnavailable) {
+            return this.worker;
+        }
+
+        try {
+            const source = `const FileCipher = (${defineFileCipher.toString()})();\n(${fileEncryptionWorkerMain.toString()})();`;
+            this.workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('[Security] Encryption worker unavailable - running on the main thread:', error);
+            this.workerUnavailable = true;
+            return null;
+        }
+
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            console.error('[Security] Encryption worker crashed:', e.message);
+            this.terminate(new Error('Encryption worker crashed'));
+        };
+        this.worker.postMessage({ type: 'init', secret: this.secret, options: this.options });
+
+        return this.worker;
+    }
+
+    // Stops the worker and rejects every pending job. The next job starts a fresh worker.
+    terminate(reason = new Error('File encryption was stopped')) {
+        if (this.worker) {
+            this.worker.terminate();
+            URL.revokeObjectURL(this.workerUrl);
+            this.worker = null;
+            this.workerUrl = null;
+        }
+
+        const pending = this.activeJob ? [this.activeJob, ...this.queue] : this.queue;
+        this.activeJob = null;
+        this.queue = [];
+        pending.forEach(job => job.reject(reason));
+    }
+
+    static abortError(signal) {
+        return signal.reason || new DOMException('The operation was aborted', 'AbortError');
+    }
+}
+
+// Envelope encryption for the user's own project files. Every file gets a
+// random data key, which is wrapped by the user's key and stored in front of
+// the FileEncryption output:
+//
+//   magic "PSYV" | version (1) | key id length (1) | key id
+//   | wrapped data key length (1) | iv + wrapped data key + GCM tag | file
+//
+// The user key is itself wrapped by the account password and kept on the
+// server (which can't open it), optionally alongside an escrowed copy the
+// server can hand back after a password reset. Changing the password re-wraps
+// that one key - file data is never re-encrypted.
+const VAULT_MAGIC = [0x50, 0x53, 0x59, 0x56];
+const VAULT_FORMAT_VERSION = 1;
+const USER_KEY_ITERATIONS = 310000;
+
+// Files from before envelopes existed were keyed by the license code after an
+// activation, and by SecurityManager's `userPassword` after a credential
+// login - which older builds never set past its initial empty string
+const LEGACY_LOGIN_SECRET = '';
+
+class KeyVault {
+    // `fetchApi(path, options)` performs authenticated backend requests.
+    // `escrow` only applies to a newly created key - an existing key keeps
+    // whatever the account chose, and setEscrow() changes it.
+    constructor({ fetchApi, escrow = false }) {
+        this.fetchApi = fetchApi;
+        this.escrow = escrow;
+        this.legacySecrets = [];
+        this.keyId = null;
+        this.userKey = null;
+        this.files = new FileEncryption(null);
+    }
+
+    isUnlocked() {
+        return Boolean(this.userKey);
+    }
+    
+    // A license code older files of this account may be keyed with
+    addLegacySecret(secret) {
+        if (typeof secret === 'string' && secret && !this.legacySecrets.includes(secret)) {
+            this.legacySecrets.push(secret);
+        }
+    }
+
+    // Opens the user key with the account password, creating it on first use.
+    // If the password no longer opens it (it was reset elsewhere) the
+    // escrowed copy is recovered and re-wrapped under the current password.
+    async unlock(password) {
+        const keyring = await this.fetchKeyring();
+
+        if (!keyring) {
+            this.keyId = crypto.randomUUID();
+            this.userKey = crypto.getRandomValues(new Uint8Array(32));
+            await this.saveKeyring(password);
+            return;
+        }
+
+        this.escrow = keyring.escrowed;
+
+        try {
+            this.userKey = await this.unwrapUserKey(keyring.wrapped_key, password, keyring.key_id);
+            this.keyId = keyring.key_id;
+        } catch (error) {
+            if (!(await this.restore(password))) {
+                throw new Error('Your file encryption key could not be unlocked with this password');
+            }
+            await this.saveKeyring(password);
+        }
+    }
+
+    // Unlocks from the server escrow. The server only hands the key out to a
+    // request carrying the account password.
+    async restore(password) {
+        const response = await this.fetchApi('/api/keys/recover', {
+            method: 'POST',
+            body: JSON.stringify({ password })
+        });
+        if (!response.ok) {
+            return false;
+        }
+
+        const result = await response.json();
+        this.keyId = result.key_id;
+        this.userKey = KeyVault.fromBase64(result.key);
+        return true;
+    }
+
+    // Changes the account password and re-wraps the user key under the new
+    // one in the same request, so the two can't drift apart
+    async changePassword(currentPassword, newPassword) {
+        if (!this.isUnlocked()) {
+            throw new Error('File encryption key is locked');
+        }
+
+        const response = await this.fetchApi('/api/account/password', {
+            method: 'POST',
+            body: JSON.stringify({
+                current_password: currentPassword,
+                new_password: newPassword,
+                key_id: this.keyId,
+                wrapped_key: await this.wrapUserKey(newPassword)
+            })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Could not change password');
+        }
+    }
+
+    async setEscrow(enabled, password) {
+        if (!this.isUnlocked()) {
+            throw new Error('File encryption key is locked');
+        }
+
+        const previous = this.escrow;
+        this.escrow = enabled;
+
+        try {
+            await this.saveKeyring(password);
+        } catch (error) {
+            this.escrow = previous;
+            throw error;
+        }
+    }
+
+    async fetchKeyring() {
+        const response = await this.fetchApi('/api/keys');
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Could not load file encryption key');
+        }
+
+        return result.keyring;
+    }
+
+    async saveKeyring(password) {
+        const response = await this.fetchApi('/api/keys', {
+            method: 'PUT',
+            body: JSON.stringify({
+                password,
+                key_id: this.keyId,
+                wrapped_key: await this.wrapUserKey(password),
+                ...(this.escrow ? { escrow_key: KeyVault.toBase64(this.userKey) } : { escrow: false })
+            })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Could not save file encryption key');
+        }
+    }
+
+    // Password-wrapped user key as a self-describing JSON string
+    async wrapUserKey(password) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrappingKey = await this.derivePasswordKey(password, salt, USER_KEY_ITERATIONS);
+
+        const wrapped = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(this.keyId) },
+            wrappingKey,
+            this.userKey
+        );
+
+        return JSON.stringify({
+            v: 1,
+            kdf: 'PBKDF2-SHA256',
+            iterations: USER_KEY_ITERATIONS,
+            salt: KeyVault.toBase64(salt),
+            iv: KeyVault.toBase64(iv),
+            key: KeyVault.toBase64(new Uint8Array(wrapped))
+        });
+    }
+
+    async unwrapUserKey(wrappedKey, password, keyId) {
+        const wrapped = JSON.parse(wrappedKey);
+        if (wrapped.v !== 1 || wrapped.kdf !== 'PBKDF2-SHA256') {
+            throw new Error('Unsupported key wrapping');
+        }
+
+        const wrappingKey = await this.derivePasswordKey(password, KeyVault.fromBase64(wrapped.salt), wrapped.iterations);
+        const userKey = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: KeyVault.fromBase64(wrapped.iv), additionalData: new TextEncoder().encode(keyId) },
+            wrappingKey,
+            KeyVault.fromBase64(wrapped.key)
+        );
+
+        return new Uint8Array(userKey);
+    }
+
+    async derivePasswordKey(password, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async importUserKey() {
+        if (!this.isUnlocked()) {
+            throw new Error('File encryption key is locked');
+        }
+
+        return crypto.subtle.importKey('raw', this.userKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    // Same contract as FileEncryption.encryptFile - resolves to an encrypted Blob
+    async encryptFile(file, options) {
+        const userKey = await this.importUserKey();
+        const dataKey = crypto.getRandomValues(new Uint8Array(32));
+        const keyId = new TextEncoder().encode(this.keyId);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+
+        const wrapped = new Uint8Array(await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: keyId },
+            userKey,
+            dataKey
+        ));
+
+        const header = new Uint8Array(4 + 1 + 1 + keyId.length + 1 + iv.length + wrapped.length);
+        let offset = 0;
+        header.set(VAULT_MAGIC, offset);
+        offset += 4;
+        header[offset++] = VAULT_FORMAT_VERSION;
+        header[offset++] = keyId.length;
+        header.set(keyId, offset);
+        offset += keyId.length;
+        header[offset++] = iv.length + wrapped.length;
+        header.set(iv, offset);
+        header.set(wrapped, offset + iv.length);
+
+        const body = await this.files.run('encryptFile', { data: file, ...this.dataKeyPayload(dataKey) }, options);
+        return new Blob([header, body], { type: 'application/octet-stream' });
+    }
+
+    // Same contract as FileEncryption.decryptFile. Files without an envelope
+    // are handed to FileEncryption under the legacy secrets.
+    async decryptFile(data, options) {
+        const blob = data instanceof Blob ? data : new Blob([data]);
+        const head = new Uint8Array(await blob.slice(0, 4 + 1 + 1 + 255 + 1 + 255).arrayBuffer());
+
+        if (!VAULT_MAGIC.every((b, i) => head[i] === b)) {
+            return this.decryptLegacyFile(blob, head, options);
+        }
+
+        if (head[4] !== VAULT_FORMAT_VERSION) {
+            throw new Error(`Unsupported key envelope version ${head[4]}`);
+        }
+
+        let offset = 5;
+        const keyId = head.slice(offset + 1, offset + 1 + head[offset]);
+        offset += 1 + keyId.length;
+        const wrapped = head.slice(offset + 1, offset + 1 + head[offset]);
+        offset += 1 + wrapped.length;
+
+        if (new TextDecoder().decode(keyId) !== this.keyId) {
+            throw new Error('File was encrypted with a different account key');
+        }
+
+        let dataKey;
         try {
-            const { token, expiry, user } = JSON.parse(authData);
+            dataKey = new Uint8Array(await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: wrapped.subarray(0, 12), additionalData: keyId },
+                await this.importUserKey(),
+                wrapped.subarray(12)
+            ));
+        } catch (error) {
+            throw new Error('File key could not be unwrapped - the file is corrupted');
+        }
+
+        return this.files.run('decryptFile', { data: blob.slice(offset), ...this.dataKeyPayload(dataKey) }, options);
+    }
+
+    // AES-GCM files reject a wrong secret, so each candidate is tried in turn.
+    // XOR files accept any secret, so they get the license code when one is
+    // known - files XORed with the empty secret were never scrambled at all.
+    async decryptLegacyFile(blob, head, options) {
+        const secrets = [...this.legacySecrets, LEGACY_LOGIN_SECRET];
+
+        if (!FileCipher.hasHeader(head)) {
+            return this.files.run('decryptFile', { data: blob, secret: secrets[0] }, options);
+        }
+
+        let lastError = null;
+        for (const secret of secrets) {
+            try {
+                return await this.files.run('decryptFile', { data: blob, secret }, options);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    dataKeyPayload(dataKey) {
+        return {
+            secret: KeyVault.toBase64(dataKey),
+            cipherOptions: { kdf: FileCipher.KDF_HKDF_SHA256 }
+        };
+    }
+
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    static fromBase64(value) {
+        return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+    }
+
+    // Forgets the unlocked key and stops the encryption worker
+    lock() {
+        this.keyId = null;
+        this.userKey = null;
+        this.files.terminate();
+    }
+}
+
+// Compact, stable device ID built from a locally persisted install ID plus
+// hardware and environment signals. Every signal is hashed on its own before it
+// leaves the browser, so the server can tell a small drift (a GPU driver or
+// font update) from a different machine without seeing the raw values.
+class DeviceFingerprint {
+    constructor() {
+        this.result = null;
+    }
+    
+    // Resolves to { deviceId, signals } - computed once per page load
+    async collect() {
+        if (!this.result) {
+            const installId = this.getInstallId();
+            const raw = { install: installId, ...this.collectSignals() };
             
-            // Check if token is still valid
-            if (new Date().getTime() >= expiry) {
-                return false;
+            const signals = {};
+            for (const [name, value] of Object.entries(raw)) {
+                signals[name] = await DeviceFingerprint.sha256(String(value));
             }
             
-            // For returning users (stored user email), verify token
-            // For code-based auth, verify token with code
-            return token === this.generateToken() || (user && this.findUserByEmail(user));
-        } catch (e) {
-            return false;
+            // The ID itself only mixes in the signals least likely to drift
+            const deviceId = await DeviceFingerprint.sha256(
+                [installId, raw.platform, raw.cores, raw.memory, raw.webgl].join('|')
+            );
+            
+            this.result = { deviceId, signals };
+        }
+        
+        return this.result;
+    }
+    
+    getInstallId() {
+        let installId = localStorage.getItem('psychStudioInstallId');
+        if (!installId) {
+            installId = crypto.randomUUID();
+            localStorage.setItem('psychStudioInstallId', installId);
         }
+        return installId;
     }
     
-    generateToken() {
-        const fingerprint = this.getDeviceFingerprint();
-        return btoa(this.correctCode[0] + fingerprint).substring(0, 32);
+    collectSignals() {
+        const width = Math.max(screen.width, screen.height);
+        const height = Math.min(screen.width, screen.height);
+        
+        return {
+            platform: (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '',
+            language: navigator.language || '',
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || '',
+            screen: `${width}x${height}x${screen.colorDepth}`,
+            cores: navigator.hardwareConcurrency || 0,
+            memory: navigator.deviceMemory || 0,
+            canvas: this.getCanvasSignal(),
+            webgl: this.getWebGLSignal()
+        };
     }
     
-    getDeviceFingerprint() {
+    // Same drawing older builds used as the whole hardware ID, so the server
+    // can still recognise devices registered by them
+    getCanvasSignal() {
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
         ctx.textBaseline = 'top';
@@ -464,61 +1076,386 @@ class SecurityManager {
         return canvas.toDataURL();
     }
     
-    showLoginScreen() {
-        // Hide the existing background canvas from HTML
-        const existingCanvas = document.getElementById('backgroundCanvas');
-        if (existingCanvas) {
-            existingCanvas.style.display = 'none';
+    getWebGLSignal() {
+        try {
+            const gl = document.createElement('canvas').getContext('webgl');
+            if (!gl) {
+                return '';
+            }
+            
+            const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+            if (!debugInfo) {
+                return `${gl.getParameter(gl.VENDOR)}|${gl.getParameter(gl.RENDERER)}`;
+            }
+            
+            return `${gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL)}|${gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)}`;
+        } catch (e) {
+            return '';
         }
+    }
+    
+    // Friendly default name the user sees in "My devices"
+    getDeviceName() {
+        const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || 'Unknown OS';
+        const ua = navigator.userAgent;
+        const browser = /Electron\//.test(ua) ? 'Psychological Studio'
+            : /Edg\//.test(ua) ? 'Edge'
+            : /Chrome\//.test(ua) ? 'Chrome'
+            : /Firefox\//.test(ua) ? 'Firefox'
+            : /Safari\//.test(ua) ? 'Safari'
+            : 'Browser';
+        
+        return `${browser} on ${platform}`;
+    }
+    
+    static async sha256(value) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Ed25519 public key (raw, base64) that signed .psylic license files are checked against.
+// Served by the license backend at /api/license/public-key - set this when building a release.
+const LICENSE_PUBLIC_KEY = '';
+
+// Ed25519 public key (raw, base64) for release signatures made by tools/sign-release.js.
+// Printed by `node tools/sign-release.js --generate-key` - set this when building a release.
+const RELEASE_PUBLIC_KEY = '';
+
+// Written by tools/build-integrity-manifest.js, signed by tools/sign-release.js
+// and deployed next to the page
+const INTEGRITY_MANIFEST_URL = 'integrity-manifest.json';
+
+// Where the tamper screen sends customers for help - set when building a release
+const SUPPORT_CONTACT = { email: '', url: '' };
+
+// How each tamper signal is answered. Every signal is reported to the backend
+// and locks the studio behind a screen that can re-verify. Confirmed signals
+// also quarantine this app's psychStudio* storage keys - moved aside, never
+// deleted - and a later clean check puts them back, so a false positive costs
+// the customer nothing.
+const TAMPER_RESPONSES = {
+    integrity_unavailable: { quarantine: false, message: 'The studio could not confirm that its files are genuine.' },
+    integrity_mismatch: { quarantine: true, message: 'Some studio files do not match the released version.' },
+    signature_invalid: { quarantine: true, message: 'The studio\'s security script does not carry a valid release signature.' },
+    build_rejected: { quarantine: true, message: 'This version of the studio is not recognised by our servers.' },
+    build_misconfigured: {
+        quarantine: false,
+        message: 'This copy of the studio was built without its security keys, so it cannot check that it is genuine.',
+        reassurance: 'Nothing has been deleted. Please download the studio again from the official site.'
+    }
+};
+const QUARANTINE_KEY = 'psychStudioQuarantine';
+
+// Origins the shipped studio is served from. Dev mode is always refused on
+// these - set them when building a release, like LICENSE_PUBLIC_KEY.
+const PRODUCTION_ORIGINS = [];
+
+// Pages served from this machine - a loopback host or a file: URL
+function isLocalOrigin() {
+    const { protocol, hostname } = window.location;
+    return protocol === 'file:' || ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+}
+
+// Reads the security mode from, in order of precedence, an injected
+// `window.PSYCH_STUDIO_CONFIG = { mode, apiUrl }` global or a
+// <meta name="psych-studio-mode" content="development"> tag. Builds default to
+// production. Dev mode is refused on a production origin and on any page
+// served over HTTPS from a non-loopback host, so a stray config can't switch
+// the checks off for real users.
+function loadSecurityConfig() {
+    const injected = (typeof window.PSYCH_STUDIO_CONFIG === 'object' && window.PSYCH_STUDIO_CONFIG) || {};
+    const meta = document.querySelector('meta[name="psych-studio-mode"]');
+    
+    let mode = 'production';
+    let source = 'default';
+    
+    if (injected.mode) {
+        mode = injected.mode;
+        source = 'PSYCH_STUDIO_CONFIG';
+    } else if (meta && meta.content) {
+        mode = meta.content.trim();
+        source = 'meta tag';
+    }
+    
+    if (mode !== 'development' && mode !== 'production') {
+        console.error(`[Security] Unknown mode "${mode}" from ${source} - using production`);
+        mode = 'production';
+    }
+    
+    const { origin, protocol } = window.location;
+    
+    if (mode === 'development' && (PRODUCTION_ORIGINS.includes(origin) || (protocol === 'https:' && !isLocalOrigin()))) {
+        console.error(`[Security] Dev mode requested by ${source} on ${origin} - refused, using production`);
+        mode = 'production';
+    }
+    
+    return {
+        mode,
+        source,
+        devMode: mode === 'development',
+        apiUrl: typeof injected.apiUrl === 'string' ? injected.apiUrl : null
+    };
+}
+
+class SecurityManager {
+    constructor() {
+        this.config = loadSecurityConfig();
+        this.devMode = this.config.devMode;
+        this.userName = '';
         
-        // Ensure app container is hidden
-        const appContainer = document.querySelector('.app-container');
-        if (appContainer) {
-            appContainer.style.display = 'none';
-        }
+        // API URL - Connected to Render backend unless the config points elsewhere
+        this.API_URL = this.config.apiUrl || (window.location.hostname === 'localhost' || window.location.protocol === 'file:'
+            ? 'http://localhost:3001'
+            : 'https://psbe-gl5j.onrender.com');
         
-        const existingLoginScreen = document.getElementById('login-screen');
-        if (existingLoginScreen) {
-            existingLoginScreen.remove();
-        }
+        console.log('[Security] API URL:', this.API_URL);
+        console.log(`[Security] Running in ${this.config.mode} mode (${this.config.source})`);
         
-        const loginScreen = document.createElement('div');
-        loginScreen.id = 'login-screen';
-        loginScreen.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            display: flex;
-            flex-direction: column;
-            justify-content: center;
-            align-items: center;
-            z-index: 10000;
-            color: white;
-            font-family: Arial, sans-serif;
-            overflow: hidden;
-        `;
+        // Session refresh state is needed before initSecurity() - a failed
+        // startup check reports through authorizedFetch()
+        this.tokenRefreshMargin = 60000;
+        this.sessionRefreshTimer = null;
+        this.refreshPromise = null;
         
-        this.backgroundCanvas = new BackgroundCanvas(loginScreen);
+        if (this.devMode) {
+            this.showDevModeBanner();
+            this.initSecurity();
+        } else {
+            this.runStartupChecks().then(passed => {
+                if (passed) {
+                    this.initSecurity();
+                }
+            });
+        }
+    }
+    
+    async initSecurity() {
+        this.lockoutTime = 300000;
+        this.isLocked = false;
+        this.lockoutEndTime = 0;
+        this.fileEncryption = null;
+        this.backgroundCanvas = null;
+        this.deviceFingerprint = new DeviceFingerprint();
+        this.protectedContent = new Map();
+        this.protectedContentPromise = null;
+        this.keyVault = new KeyVault({ fetchApi: (path, options) => this.authorizedFetch(path, options) });
         
-        const loginForm = document.createElement('div');
-        loginForm.style.cssText = `
-            position: relative;
-            z-index: 10;
-            text-align: center; 
-            max-width: 400px; 
-            padding: 40px; 
-            background: rgba(0,0,0,0.3); 
-            border-radius: 10px; 
-            box-shadow: 0 10px 30px rgba(0,0,0,0.5);
-            backdrop-filter: blur(5px);
-        `;
+        // Accounts and code redemptions live on the server - drop the
+        // per-browser copies older builds kept
+        localStorage.removeItem('psychStudioRegisteredUsers');
+        localStorage.removeItem('psychStudioUsedCodes');
+        indexedDB.deleteDatabase('PsychStudioDB');
         
-        loginForm.innerHTML = `
-            <h1 style="margin-bottom: 30px; color: #717d9f;">Psychological Studio</h1>
-            
-            <div style="display: flex; gap: 10px; margin-bottom: 20px;">
+        this.loadSecurityState();
+        this.init();
+    }
+    
+    async init() {
+        if (await this.isAuthenticated()) {
+            this.scheduleSessionRefresh();
+            this.showApp();
+            
+            // The key vault only lives in memory - ask for the password again
+            this.keyVault.addLegacySecret(this.getAuthData().licenseCode);
+            this.showUnlockFilesPrompt();
+        } else {
+            this.showLoginScreen();
+        }
+    }
+    
+    getAuthData() {
+        try {
+            return JSON.parse(localStorage.getItem('psychStudioAuth'));
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    async isAuthenticated() {
+        const authData = this.getAuthData();
+        
+        // Sessions from before refresh tokens existed are no longer accepted
+        if (!authData || !authData.token || !authData.refreshToken) {
+            return false;
+        }
+        
+        // Access token is still good
+        if (Date.now() < authData.expiry - this.tokenRefreshMargin) {
+            return true;
+        }
+        
+        // Otherwise refresh it silently
+        return this.refreshSession();
+    }
+    
+    // Stores the access and refresh tokens from a sign-in or refresh response
+    storeSession(result, username, extra = {}) {
+        const authData = {
+            ...extra,
+            token: result.session_token,
+            expiry: new Date(result.expires_at).getTime(),
+            refreshToken: result.refresh_token,
+            refreshExpiry: new Date(result.refresh_expires_at).getTime(),
+            username: username,
+            user: username
+        };
+        
+        localStorage.setItem('psychStudioAuth', JSON.stringify(authData));
+        this.scheduleSessionRefresh();
+    }
+    
+    async refreshSession() {
+        // Share one request between concurrent callers - each refresh token only works once
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+        
+        this.refreshPromise = (async () => {
+            const authData = this.getAuthData();
+            if (!authData || !authData.refreshToken || Date.now() >= authData.refreshExpiry) {
+                localStorage.removeItem('psychStudioAuth');
+                return false;
+            }
+            
+            try {
+                const response = await fetch(`${this.API_URL}/api/session/refresh`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        refresh_token: authData.refreshToken
+                    })
+                });
+                
+                const result = await response.json();
+                
+                // Too many refreshes - keep the session and let the scheduler retry
+                if (response.status === 429) {
+                    console.warn('[Security] Session refresh rate limited');
+                    return false;
+                }
+                
+                if (!response.ok || !result.success) {
+                    // The server revoked or expired the session - sign in again
+                    console.log('[Security] Session refresh rejected:', result.error_code || response.status);
+                    localStorage.removeItem('psychStudioAuth');
+                    return false;
+                }
+                
+                const { token, expiry, refreshToken, refreshExpiry, ...extra } = authData;
+                this.storeSession(result, authData.username, extra);
+                return true;
+            } catch (error) {
+                console.error('Session refresh error:', error);
+                return false;
+            }
+        })();
+        
+        try {
+            return await this.refreshPromise;
+        } finally {
+            this.refreshPromise = null;
+        }
+    }
+    
+    // Refreshes the access token shortly before it expires while the app is open
+    scheduleSessionRefresh() {
+        clearTimeout(this.sessionRefreshTimer);
+        
+        const authData = this.getAuthData();
+        if (!authData || !authData.refreshToken) {
+            return;
+        }
+        
+        const delay = authData.expiry - this.tokenRefreshMargin - Date.now();
+        
+        // A corrupt expiry would otherwise fire the timer at once, over and over
+        if (!Number.isFinite(delay)) {
+            console.warn('[Security] Session expiry unreadable - not scheduling a refresh');
+            return;
+        }
+        
+        this.sessionRefreshTimer = setTimeout(async () => {
+            const refreshed = await this.refreshSession();
+            
+            if (!refreshed) {
+                if (this.getAuthData()) {
+                    // Network trouble - keep the session and try again shortly
+                    this.sessionRefreshTimer = setTimeout(() => this.scheduleSessionRefresh(), 60000);
+                } else {
+                    this.showLoginScreen();
+                }
+            }
+        }, Math.max(delay, 0));
+    }
+    
+    // Resolves to { deviceId, signals } for this device
+    getDeviceFingerprint() {
+        return this.deviceFingerprint.collect();
+    }
+    
+    showLoginScreen() {
+        // Hide the existing background canvas from HTML
+        const existingCanvas = document.getElementById('backgroundCanvas');
+        if (existingCanvas) {
+            existingCanvas.style.display = 'none';
+        }
+        
+        // Ensure app container is hidden
+        const appContainer = document.querySelector('.app-container');
+        if (appContainer) {
+            appContainer.style.display = 'none';
+        }
+        
+        const existingLoginScreen = document.getElementById('login-screen');
+        if (existingLoginScreen) {
+            existingLoginScreen.remove();
+        }
+        
+        const loginScreen = document.createElement('div');
+        loginScreen.id = 'login-screen';
+        loginScreen.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            z-index: 10000;
+            color: white;
+            font-family: Arial, sans-serif;
+            overflow: hidden;
+        `;
+        
+        this.backgroundCanvas = new BackgroundCanvas(loginScreen);
+        
+        const loginForm = document.createElement('div');
+        loginForm.style.cssText = `
+            position: relative;
+            z-index: 10;
+            text-align: center; 
+            max-width: 400px; 
+            padding: 40px; 
+            background: rgba(0,0,0,0.3); 
+            border-radius: 10px; 
+            box-shadow: 0 10px 30px rgba(0,0,0,0.5);
+            backdrop-filter: blur(5px);
+        `;
+        
+        // Shared by the register and reset forms
+        const inputStyle = 'width: 100%; padding: 15px; margin-bottom: 15px; border: none; border-radius: 5px; background: rgba(255,255,255,0.1); color: white; font-size: 16px; box-sizing: border-box;';
+        const buttonStyle = 'width: 100%; padding: 15px; background: #930018; color: white; border: none; border-radius: 5px; font-size: 16px; cursor: pointer; transition: background 0.3s;';
+        const linkStyle = 'display: inline-block; margin-top: 15px; color: #aaa; font-size: 13px;';
+        
+        loginForm.innerHTML = `
+            <h1 style="margin-bottom: 30px; color: #717d9f;">Psychological Studio</h1>
+            
+            <div style="display: flex; gap: 10px; margin-bottom: 20px;">
                 <button id="license-tab" class="auth-tab active-tab" style="
                     flex: 1;
                     padding: 10px;
@@ -539,6 +1476,16 @@ class SecurityManager {
                     cursor: pointer;
                     transition: background 0.3s;
                 ">Login</button>
+                <button id="register-tab" class="auth-tab" style="
+                    flex: 1;
+                    padding: 10px;
+                    background: rgba(255,255,255,0.1);
+                    color: #aaa;
+                    border: none;
+                    border-radius: 5px;
+                    cursor: pointer;
+                    transition: background 0.3s;
+                ">Register</button>
             </div>
             
             <div id="license-form" class="login-form">
@@ -636,6 +1583,31 @@ class SecurityManager {
                     cursor: pointer;
                     transition: background 0.3s;
                 ">Sign In</button>
+                <a href="#" id="forgot-password-link" style="${linkStyle}">Forgot password?</a>
+            </div>
+            
+            <div id="register-form" class="login-form" style="display: none;">
+                <p style="margin-bottom: 20px; color: #aaa;">Create an account to use on any device</p>
+                <input type="text" id="register-username" placeholder="Choose Username" style="${inputStyle}">
+                <input type="email" id="register-email" placeholder="Email" style="${inputStyle}">
+                <input type="password" id="register-password" placeholder="Create Password (6+ characters)" style="${inputStyle} margin-bottom: 20px;">
+                <button id="register-btn" style="${buttonStyle} margin-bottom: 20px;">Create Account</button>
+                <input type="text" id="verify-token" placeholder="Confirmation code from the email" style="${inputStyle}">
+                <button id="verify-email-btn" style="${buttonStyle}">Confirm Email</button>
+                <a href="#" id="resend-verification-link" style="${linkStyle}">Resend confirmation email</a>
+                <div style="margin-top: 15px; padding: 10px; background: rgba(147, 0, 24, 0.2); border-radius: 5px; font-size: 12px; color: #aaa;">
+                    <strong>Note:</strong> We'll email you a link to confirm your address. Then activate your license file with the same username and password.
+                </div>
+            </div>
+            
+            <div id="reset-form" class="login-form" style="display: none;">
+                <p style="margin-bottom: 20px; color: #aaa;">Reset your password</p>
+                <input type="email" id="reset-email" placeholder="Account Email" style="${inputStyle}">
+                <button id="send-reset-btn" style="${buttonStyle} margin-bottom: 20px;">Email Me a Reset Link</button>
+                <input type="text" id="reset-token" placeholder="Reset code from the email" style="${inputStyle}">
+                <input type="password" id="reset-new-password" placeholder="New Password (6+ characters)" style="${inputStyle} margin-bottom: 20px;">
+                <button id="reset-password-btn" style="${buttonStyle}">Set New Password</button>
+                <a href="#" id="back-to-login-link" style="${linkStyle}">Back to sign in</a>
             </div>
             
             <div id="error-message" style="color: #ff4444; margin-top: 15px; min-height: 20px;"></div>
@@ -643,27 +1615,18 @@ class SecurityManager {
         document.body.appendChild(loginScreen);
         
         // Tab switching
-        const licenseTab = document.getElementById('license-tab');
-        const loginTab = document.getElementById('login-tab');
-        const licenseForm = document.getElementById('license-form');
-        const loginCredentialsForm = document.getElementById('login-credentials-form');
-        
-        licenseTab.addEventListener('click', () => {
-            licenseTab.style.background = '#930018';
-            licenseTab.style.color = 'white';
-            loginTab.style.background = 'rgba(255,255,255,0.1)';
-            loginTab.style.color = '#aaa';
-            licenseForm.style.display = 'block';
-            loginCredentialsForm.style.display = 'none';
+        for (const name of ['license', 'login', 'register']) {
+            document.getElementById(`${name}-tab`).addEventListener('click', () => this.selectLoginForm(name));
+        }
+        
+        document.getElementById('forgot-password-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.selectLoginForm('reset');
         });
         
-        loginTab.addEventListener('click', () => {
-            loginTab.style.background = '#930018';
-            loginTab.style.color = 'white';
-            licenseTab.style.background = 'rgba(255,255,255,0.1)';
-            licenseTab.style.color = '#aaa';
-            licenseForm.style.display = 'none';
-            loginCredentialsForm.style.display = 'block';
+        document.getElementById('back-to-login-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.selectLoginForm('login');
         });
         
         // License file upload
@@ -686,344 +1649,1373 @@ class SecurityManager {
             dropZone.style.background = 'rgba(255,255,255,0.05)';
         });
         
-        dropZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            dropZone.style.borderColor = 'rgba(255,255,255,0.3)';
-            dropZone.style.background = 'rgba(255,255,255,0.05)';
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.style.borderColor = 'rgba(255,255,255,0.3)';
+            dropZone.style.background = 'rgba(255,255,255,0.05)';
+            
+            if (e.dataTransfer.files.length > 0) {
+                selectedLicenseFile = e.dataTransfer.files[0];
+                document.getElementById('file-name').textContent = selectedLicenseFile.name;
+                activateBtn.disabled = false;
+                activateBtn.style.opacity = '1';
+            }
+        });
+        
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                selectedLicenseFile = e.target.files[0];
+                document.getElementById('file-name').textContent = selectedLicenseFile.name;
+                activateBtn.disabled = false;
+                activateBtn.style.opacity = '1';
+            }
+        });
+        
+        activateBtn.addEventListener('click', () => this.activateLicense(selectedLicenseFile));
+        
+        // Login with credentials
+        const loginBtn = document.getElementById('login-btn');
+        const loginUsername = document.getElementById('login-username');
+        const loginPassword = document.getElementById('login-password');
+        
+        loginBtn.addEventListener('click', () => {
+            this.loginWithCredentials(loginUsername.value, loginPassword.value);
+        });
+        
+        loginPassword.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.loginWithCredentials(loginUsername.value, loginPassword.value);
+            }
+        });
+        
+        // Registration and password reset
+        const registerEmail = document.getElementById('register-email');
+        const resetEmail = document.getElementById('reset-email');
+        
+        document.getElementById('register-btn').addEventListener('click', () => {
+            this.registerAccount(
+                document.getElementById('register-username').value.trim(),
+                registerEmail.value.trim(),
+                document.getElementById('register-password').value
+            );
+        });
+        
+        document.getElementById('verify-email-btn').addEventListener('click', () => {
+            const token = document.getElementById('verify-token').value.trim();
+            if (token) {
+                this.verifyEmail(token);
+            } else {
+                this.showError('Enter the confirmation code from the email');
+            }
+        });
+        
+        document.getElementById('resend-verification-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.resendVerificationEmail(registerEmail.value.trim());
+        });
+        
+        document.getElementById('send-reset-btn').addEventListener('click', () => {
+            this.requestPasswordReset(resetEmail.value.trim());
+        });
+        
+        document.getElementById('reset-password-btn').addEventListener('click', () => {
+            this.confirmPasswordReset(
+                document.getElementById('reset-token').value.trim(),
+                document.getElementById('reset-new-password').value
+            );
+        });
+        
+        this.handleAccountLink();
+    }
+    
+    // Shows one of the login screen's forms - 'license', 'login', 'register'
+    // or 'reset' (which has no tab of its own)
+    selectLoginForm(name) {
+        const forms = {
+            license: 'license-form',
+            login: 'login-credentials-form',
+            register: 'register-form',
+            reset: 'reset-form'
+        };
+        
+        for (const [formName, formId] of Object.entries(forms)) {
+            const active = formName === name;
+            const tab = document.getElementById(`${formName}-tab`);
+            
+            if (tab) {
+                tab.style.background = active ? '#930018' : 'rgba(255,255,255,0.1)';
+                tab.style.color = active ? 'white' : '#aaa';
+            }
+            document.getElementById(formId).style.display = active ? 'block' : 'none';
+        }
+    }
+    
+    // Email links open the app with #verify-email=<token> or #reset-password=<token>
+    handleAccountLink() {
+        const match = window.location.hash.match(/^#(verify-email|reset-password)=(.+)$/);
+        if (!match) {
+            return;
+        }
+        
+        // Tokens are single-use, but keep them out of the address bar and history anyway
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        
+        const token = decodeURIComponent(match[2]);
+        
+        if (match[1] === 'verify-email') {
+            this.verifyEmail(token);
+        } else {
+            this.selectLoginForm('reset');
+            document.getElementById('reset-token').value = token;
+            document.getElementById('reset-new-password').focus();
+        }
+    }
+    
+    // Posts to one of the public account routes. Resolves to the result, or
+    // to null once the error (or a rate-limit lockout) has been shown.
+    async postAccountRequest(path, body) {
+        if (this.isLocked) {
+            const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
+            this.showError(`Too many attempts. Try again in ${remainingTime} seconds.`);
+            return null;
+        }
+        
+        let response;
+        let result;
+        try {
+            response = await fetch(`${this.API_URL}${path}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body)
+            });
+            result = await response.json();
+        } catch (error) {
+            console.error(`Account request to ${path} failed:`, error);
+            this.showError('Connection error. Please check your internet connection.');
+            return null;
+        }
+        
+        const retryAfterMs = this.rateLimitDelay(response, result);
+        if (retryAfterMs > 0) {
+            this.lockout(retryAfterMs);
+            return null;
+        }
+        
+        if (!response.ok || !result.success) {
+            this.showError(result.error || 'Request failed. Please try again.');
+            return null;
+        }
+        
+        return result;
+    }
+    
+    async registerAccount(username, email, password) {
+        if (!username || !email || !password) {
+            this.showError('Please enter a username, email and password');
+            return;
+        }
+        
+        if (password.length < 6) {
+            this.showError('Password must be at least 6 characters');
+            return;
+        }
+        
+        const registerBtn = document.getElementById('register-btn');
+        registerBtn.disabled = true;
+        registerBtn.textContent = 'Creating account...';
+        
+        const result = await this.postAccountRequest('/api/register', { username, email, password });
+        
+        registerBtn.disabled = false;
+        registerBtn.textContent = 'Create Account';
+        
+        if (result) {
+            document.getElementById('register-password').value = '';
+            document.getElementById('license-username').value = username;
+            this.showNotice(`Account created. Check ${email} for a link to confirm your address.`);
+        }
+    }
+    
+    async resendVerificationEmail(email) {
+        if (!email) {
+            this.showError('Enter the email address you registered with');
+            return;
+        }
+        
+        if (await this.postAccountRequest('/api/verify-email/resend', { email })) {
+            this.showNotice('If that address has an unconfirmed account, a new link is on its way.');
+        }
+    }
+    
+    async verifyEmail(token) {
+        const result = await this.postAccountRequest('/api/verify-email', { token });
+        if (!result) {
+            return;
+        }
+        
+        // Accounts registered without a license still need one activated before they can sign in
+        if (result.has_license) {
+            this.selectLoginForm('login');
+            document.getElementById('login-username').value = result.username;
+            this.showNotice('Email confirmed - you can sign in now.');
+        } else {
+            this.selectLoginForm('license');
+            document.getElementById('license-username').value = result.username;
+            this.showNotice('Email confirmed. Activate your license file with your username and password to finish.');
+        }
+    }
+    
+    async requestPasswordReset(email) {
+        if (!email) {
+            this.showError('Enter the email address on your account');
+            return;
+        }
+        
+        if (await this.postAccountRequest('/api/password-reset', { email })) {
+            this.showNotice('If an account uses that address, a reset link is on its way.');
+        }
+    }
+    
+    // Files stay readable after a reset - the next sign-in recovers the file
+    // encryption key from the server escrow and re-wraps it under the new password
+    async confirmPasswordReset(token, password) {
+        if (!token || !password) {
+            this.showError('Enter the reset code from the email and a new password');
+            return;
+        }
+        
+        if (password.length < 6) {
+            this.showError('Password must be at least 6 characters');
+            return;
+        }
+        
+        const resetBtn = document.getElementById('reset-password-btn');
+        resetBtn.disabled = true;
+        
+        const result = await this.postAccountRequest('/api/password-reset/confirm', { token, password });
+        
+        resetBtn.disabled = false;
+        
+        if (result) {
+            document.getElementById('reset-token').value = '';
+            document.getElementById('reset-new-password').value = '';
+            this.selectLoginForm('login');
+            document.getElementById('login-username').value = result.username;
+            this.showNotice('Password changed - sign in with your new password.');
+        }
+    }
+    
+    async activateLicense(file) {
+        if (this.isLocked) {
+            const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
+            this.showError(`Too many attempts. Try again in ${remainingTime} seconds.`);
+            return;
+        }
+        
+        if (!file) {
+            this.showError('Please select a license file');
+            return;
+        }
+        
+        const username = document.getElementById('license-username').value;
+        const password = document.getElementById('license-password').value;
+        
+        if (!username || !password) {
+            this.showError('Please enter username and password');
+            return;
+        }
+        
+        const activateBtn = document.getElementById('activate-license-btn');
+        activateBtn.disabled = true;
+        activateBtn.textContent = 'Activating...';
+        
+        try {
+            const reader = new FileReader();
+            reader.onload = async (e) => {
+                try {
+                    const licenseData = JSON.parse(e.target.result);
+                    
+                    // Get hardware ID
+                    const { deviceId: hardwareID, signals } = await this.getDeviceFingerprint();
+                    
+                    // Only signed license files are trusted, and only within the
+                    // terms of their verified payload
+                    const license = await this.verifyLicenseFile(licenseData);
+                    const problem = license
+                        ? this.checkLicenseTerms(license, { username, hardwareID })
+                        : licenseData.signature
+                            ? 'License file is not genuine or has been modified'
+                            : 'Unsigned license files are no longer accepted - contact support for a signed license file';
+                    
+                    if (problem) {
+                        this.showError(problem);
+                        activateBtn.disabled = false;
+                        activateBtn.textContent = 'Activate License';
+                        return;
+                    }
+                    
+                    const code = license.license;
+                    
+                    // Call backend API to activate license with timeout
+                    const controller = new AbortController();
+                    const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout (Render free tier can be slow)
+                    
+                    const response = await fetch(`${this.API_URL}/api/activate-license`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                        },
+                        body: JSON.stringify({
+                            licenseCode: code,
+                            username: username,
+                            password: password,
+                            hardwareID: hardwareID,
+                            device_signals: signals,
+                            device_name: this.deviceFingerprint.getDeviceName()
+                        }),
+                        signal: controller.signal
+                    });
+                    
+                    clearTimeout(timeoutId);
+
+                    // Handle non-2xx responses gracefully
+                    if (!response.ok) {
+                        let text = '';
+                        try {
+                            text = await response.text();
+                        } catch (e) {
+                            text = response.statusText || 'No response body';
+                        }
+                        console.error('Activation API error:', response.status, text);
+                        
+                        let message = `Activation failed: ${response.status} ${response.statusText}`;
+                        let body = null;
+                        try {
+                            body = JSON.parse(text);
+                            message = body.error_code === 'DEVICE_LIMIT_REACHED'
+                                ? this.deviceLimitMessage()
+                                : body.error || message;
+                        } catch (e) {
+                            // Not JSON - keep the status line
+                        }
+                        
+                        const retryAfterMs = this.rateLimitDelay(response, body);
+                        if (retryAfterMs > 0) {
+                            this.lockout(retryAfterMs);
+                        } else {
+                            this.showError(message);
+                        }
+                        activateBtn.disabled = false;
+                        activateBtn.textContent = 'Activate License';
+                        return;
+                    }
+
+                    let result = null;
+                    try {
+                        result = await response.json();
+                    } catch (jsonErr) {
+                        console.error('Failed to parse activation response as JSON:', jsonErr);
+                        this.showError('Activation server returned an unexpected response. Try again later.');
+                        activateBtn.disabled = false;
+                        activateBtn.textContent = 'Activate License';
+                        return;
+                    }
+
+                    if (!result || !result.success) {
+                        this.showError((result && result.error) || 'Activation failed');
+                        activateBtn.disabled = false;
+                        activateBtn.textContent = 'Activate License';
+                        return;
+                    }
+                    
+                    // Download the signed license the server issued for this account and device
+                    if (result.license_file) {
+                        this.downloadUpdatedLicense(result.license_file, username);
+                    }
+                    
+                    // Store the session issued by the backend
+                    this.storeSession(result, username, {
+                        licenseCode: code,
+                        hardwareID: hardwareID
+                    });
+                    
+                    this.keyVault.addLegacySecret(code);
+                    await this.unlockFileKeys(password);
+                    
+                    // Show success message
+                    this.showError('✓ License activated successfully!');
+                    document.getElementById('error-message').style.color = '#4CAF50';
+                    
+                    // Launch app after 1 second
+                    setTimeout(() => {
+                        this.showApp();
+                    }, 1000);
+                    
+                } catch (parseError) {
+                    console.error('Parse error:', parseError);
+                    
+                    // Check if it's a timeout error
+                    if (parseError.name === 'AbortError') {
+                        this.showError('Activation timeout - backend server may be starting up. Please try again in 30 seconds.');
+                    } else if (parseError.message && parseError.message.includes('fetch')) {
+                        this.showError('Network error - cannot reach activation server. Check your internet connection.');
+                    } else {
+                        this.showError('Invalid license file format or server error');
+                    }
+                    
+                    activateBtn.disabled = false;
+                    activateBtn.textContent = 'Activate License';
+                }
+            };
+            
+            reader.readAsText(file);
+            
+        } catch (error) {
+            console.error('File read error:', error);
+            this.showError('Failed to read license file');
+            activateBtn.disabled = false;
+            activateBtn.textContent = 'Activate License';
+        }
+    }
+    
+    async verifyLicenseFile(licenseFile) {
+        return this.verifySignedEnvelope(licenseFile, 'psylic');
+    }
+    
+    // Checks a verified license payload against this sign-in. Files issued
+    // from the admin API before first activation carry no username or
+    // device; files issued at sign-in are bound to both. Returns the reason
+    // the file can't be used, or null.
+    checkLicenseTerms(license, { username, hardwareID }) {
+        if (typeof license.license !== 'string' || !license.license) {
+            return 'Invalid license file format';
+        }
+        
+        if (!Array.isArray(license.entitlements) || license.entitlements.length === 0) {
+            return 'This license file does not grant any features';
+        }
+        
+        const expiresAt = new Date(license.expires_at).getTime();
+        if (!(expiresAt > Date.now())) {
+            return 'This license file has expired - sign in with your username and password to get a new one';
+        }
+        
+        if (license.hardware_id && license.hardware_id !== hardwareID) {
+            return 'This license file was issued for another device - sign in with your username and password instead';
+        }
+        
+        if (license.username && license.username !== username) {
+            return 'This license file belongs to a different account';
+        }
+        
+        return null;
+    }
+    
+    // Checks a JSON envelope signed with the license key - .psylic files and
+    // attestation verdicts - and returns its decoded payload, or null
+    async verifySignedEnvelope(envelope, format) {
+        if (!LICENSE_PUBLIC_KEY) {
+            console.error('[Security] No license public key embedded - signed licenses cannot be verified');
+            return null;
+        }
+        
+        if (!envelope || envelope.format !== format ||
+            typeof envelope.payload !== 'string' || typeof envelope.signature !== 'string') {
+            return null;
+        }
+        
+        try {
+            const publicKey = await crypto.subtle.importKey(
+                'raw',
+                this.base64ToBytes(LICENSE_PUBLIC_KEY),
+                { name: 'Ed25519' },
+                false,
+                ['verify']
+            );
+            
+            // The signature covers the encoded payload string exactly as it appears in the envelope
+            const valid = await crypto.subtle.verify(
+                { name: 'Ed25519' },
+                publicKey,
+                this.base64ToBytes(envelope.signature),
+                new TextEncoder().encode(envelope.payload)
+            );
+            
+            if (!valid) {
+                return null;
+            }
+            
+            return JSON.parse(new TextDecoder().decode(this.base64ToBytes(envelope.payload)));
+        } catch (error) {
+            console.error('Signature verification error:', error);
+            return null;
+        }
+    }
+    
+    // Accepts both base64 and base64url input
+    base64ToBytes(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+    }
+    
+    downloadUpdatedLicense(licenseFile, username) {
+        const blob = new Blob([JSON.stringify(licenseFile, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `PsyStudio_License_${username}.psylic`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    async loginWithCredentials(username, password) {
+        if (this.isLocked) {
+            const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
+            this.showError(`Too many attempts. Try again in ${remainingTime} seconds.`);
+            return;
+        }
+        
+        if (!username || !password) {
+            this.showError('Please enter username and password');
+            return;
+        }
+        
+        const loginBtn = document.getElementById('login-btn');
+        loginBtn.disabled = true;
+        loginBtn.textContent = 'Signing in...';
+        
+        try {
+            // Get hardware ID
+            const { deviceId: hardwareID, signals } = await this.getDeviceFingerprint();
+            
+            // Call backend API to login
+            const response = await fetch(`${this.API_URL}/api/login`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    username: username,
+                    password: password,
+                    hardware_id: hardwareID,  // Backend expects hardware_id with underscore
+                    device_signals: signals,
+                    device_name: this.deviceFingerprint.getDeviceName()
+                })
+            });
+            
+            const result = await response.json();
+            
+            // Check for error response
+            if (!response.ok || !result.success) {
+                const retryAfterMs = this.rateLimitDelay(response, result);
+                if (retryAfterMs > 0) {
+                    this.lockout(retryAfterMs);
+                    loginBtn.disabled = false;
+                    loginBtn.textContent = 'Sign In';
+                    return;
+                }
+                
+                this.showError(result.error_code === 'DEVICE_LIMIT_REACHED'
+                    ? this.deviceLimitMessage()
+                    : result.error_code === 'NO_ACTIVE_LICENSE'
+                        ? 'No active license is bound to this account. Activate your license file in the Activate License tab.'
+                        : result.error || 'Login failed');
+                loginBtn.disabled = false;
+                loginBtn.textContent = 'Sign In';
+                return;
+            }
+            
+            // The signed license names the code older files may be keyed with
+            const license = result.license_file ? await this.verifyLicenseFile(result.license_file) : null;
+            const licenseCode = license ? license.license : undefined;
+            
+            // Store the session issued by the backend
+            this.storeSession(result, username, {
+                licenseCode,
+                hardwareID: hardwareID,
+                device_count: result.device_count
+            });
+            
+            this.keyVault.addLegacySecret(licenseCode);
+            await this.unlockFileKeys(password);
+            
+            // Show success message
+            this.showError('✓ Login successful!');
+            document.getElementById('error-message').style.color = '#4CAF50';
+            
+            // Launch app after 1 second
+            setTimeout(() => {
+                this.showApp();
+            }, 1000);
+            
+        } catch (error) {
+            this.showError('Connection error. Please check your internet connection.');
+            loginBtn.disabled = false;
+            loginBtn.textContent = 'Sign In';
+        }
+    }
+    
+    async attemptUnlock() {
+        if (this.isLocked) {
+            const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
+            this.showError(`Too many attempts. Try again in ${remainingTime} seconds.`);
+            return;
+        }
+        
+        // Get user input - the code is redeemed onto an existing account, so its password is required
+        const usernameInput = document.getElementById('username-input');
+        const passwordInput = document.getElementById('unlock-password');
+        const codeInput = document.getElementById('unlock-code');
+        
+        this.userName = usernameInput ? usernameInput.value.trim() : '';
+        const password = passwordInput ? passwordInput.value : '';
+        const enteredCode = codeInput ? codeInput.value.trim() : '';
+        
+        // Validate username and password
+        if (!this.userName || !password) {
+            this.showError('Please enter your username and password.');
+            return;
+        }
+        
+        // Validate code
+        if (!enteredCode) {
+            this.showError('Please enter a registration code.');
+            return;
+        }
+        
+        // Redeem the code on the server - it is the only authority on which codes are valid or used
+        let response;
+        let result;
+        try {
+            const { deviceId, signals } = await this.getDeviceFingerprint();
+            response = await fetch(`${this.API_URL}/api/redeem-code`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    code: enteredCode,
+                    username: this.userName,
+                    password: password,
+                    hardwareID: deviceId,
+                    device_signals: signals,
+                    device_name: this.deviceFingerprint.getDeviceName()
+                })
+            });
+            result = await response.json();
+        } catch (error) {
+            console.error('Code redemption error:', error);
+            this.showError('Connection error. Please check your internet connection.');
+            return;
+        }
+        
+        const retryAfterMs = this.rateLimitDelay(response, result);
+        if (retryAfterMs > 0) {
+            this.lockout(retryAfterMs);
+            return;
+        }
+        
+        if (result.success) {
+            // Authenticate with the code and the session the server issued for it
+            this.authenticate(enteredCode, result, password);
+        } else if (result.error_code === 'CODE_ALREADY_REDEEMED') {
+            this.showError('This code has already been used and cannot be used again.');
+        } else {
+            // Repeated wrong codes are answered with a 429, handled above
+            this.showError(result.error_code === 'INVALID_CODE' ? 'Incorrect code.' : result.error || 'Code redemption failed.');
+            
+            if (result.error_code === 'INVALID_CODE' && codeInput) {
+                codeInput.value = '';
+            }
+        }
+    }
+    
+    authenticate(code, session, password) {
+        this.storeSession(session, this.userName, { licenseCode: code });
+        
+        this.keyVault.addLegacySecret(code);
+        this.unlockFileKeys(password);
+        this.resetSecurityState();
+        
+        const loginScreen = document.getElementById('login-screen');
+        if (loginScreen) {
+            if (this.backgroundCanvas) {
+                this.backgroundCanvas.destroy();
+                this.backgroundCanvas = null;
+            }
+            loginScreen.remove();
+        }
+        
+        // Show welcome popup
+        this.showWelcomePopup();
+        
+        this.loadProtectedFiles().catch(error => {
+            console.error('Failed to load protected files:', error);
+        });
+    }
+    
+    showWelcomePopup() {
+        const popupOverlay = document.createElement('div');
+        popupOverlay.id = 'welcome-popup-overlay';
+        popupOverlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.7);
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            z-index: 10001;
+            font-family: Arial, sans-serif;
+        `;
+        
+        const popupContent = document.createElement('div');
+        popupContent.style.cssText = `
+            background: rgba(0, 0, 0, 0.9);
+            border: 2px solid #930018;
+            border-radius: 10px;
+            padding: 50px;
+            max-width: 600px;
+            text-align: center;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.8);
+            color: white;
+        `;
+        
+        popupContent.innerHTML = `
+            <h2 style="color: #717d9f; margin-bottom: 20px; font-size: 28px;">Welcome ${this.userName}!</h2>
+            <p style="color: #aaa; margin-bottom: 10px; font-size: 18px;">You now have access to <span style="color: #930018; font-weight: bold;">Pro</span>!</p>
+            
+            <h3 style="color: #717d9f; margin-top: 30px; margin-bottom: 20px; font-size: 20px;">You can now access:</h3>
+            
+            <ul style="
+                list-style: none;
+                text-align: left;
+                padding: 20px;
+                background: rgba(255, 255, 255, 0.05);
+                border-radius: 5px;
+                margin: 0 auto;
+                width: fit-content;
+            ">
+                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
+                    <span style="color: #930018; margin-right: 10px;">●</span>Record Session
+                </li>
+                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
+                    <span style="color: #930018; margin-right: 10px;">●</span>Record directly into Button
+                </li>
+                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
+                    <span style="color: #930018; margin-right: 10px;">●</span>Unlimited Sample Upload
+                </li>
+                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
+                    <span style="color: #930018; margin-right: 10px;">●</span>LFO's & Automations
+                </li>
+                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
+                    <span style="color: #930018; margin-right: 10px;">●</span>Synth with Piano Roll & Sound design controls
+                </li>
+                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
+                    <span style="color: #930018; margin-right: 10px;">●</span>App Themes
+                </li>
+                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
+                    <span style="color: #930018; margin-right: 10px;">●</span>Arrangement Mode/Track View
+                </li>
+                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
+                    <span style="color: #930018; margin-right: 10px;">●</span>Future updates
+                </li>
+            </ul>
+            
+            <button id="close-welcome-btn" style="
+                margin-top: 30px;
+                padding: 15px 40px;
+                background: #930018;
+                color: white;
+                border: none;
+                border-radius: 5px;
+                font-size: 16px;
+                cursor: pointer;
+                transition: background 0.3s;
+            ">Get Started</button>
+        `;
+        
+        popupOverlay.appendChild(popupContent);
+        document.body.appendChild(popupOverlay);
+        
+        const closeBtn = document.getElementById('close-welcome-btn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                popupOverlay.remove();
+                this.showApp();
+            });
+        }
+    }
+    
+    // Compares security.js and every app bundle on the page against the
+    // SHA-256 digests tools/build-integrity-manifest.js recorded at build time.
+    // A missing manifest, or a security.js it doesn't cover, is an error - the
+    // check fails closed rather than passing by default.
+    async performIntegrityCheck() {
+        if (this.devMode) return true;
+        
+        const manifestUrl = new URL(INTEGRITY_MANIFEST_URL, document.baseURI);
+        const response = await fetch(manifestUrl, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Integrity manifest unavailable: ${response.status}`);
+        }
+        
+        // The manifest is only trusted if the release key signed it
+        const manifestBytes = await response.arrayBuffer();
+        if (!(await this.verifyReleaseSignature(manifestBytes, `${manifestUrl.href}.sig`))) {
+            throw new Error('Integrity manifest signature is missing or invalid');
+        }
+        
+        const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+        const baseUrl = new URL('.', manifestUrl);
+        const mismatches = [];
+        let checkedSelf = false;
+        
+        for (const script of document.getElementsByTagName('script')) {
+            const target = this.integrityTarget(script, baseUrl);
+            const entry = target && manifest.files[target.name];
+            if (!entry) {
+                continue;
+            }
+            
+            const content = target.inline
+                ? new TextEncoder().encode(script.textContent)
+                : await (await fetch(script.src)).arrayBuffer();
+            
+            if (await this.digestHex(content) !== entry.sha256) {
+                mismatches.push(target.name);
+            }
+            
+            checkedSelf = checkedSelf || target.name === 'security.js';
+        }
+        
+        if (!checkedSelf) {
+            throw new Error('security.js is not covered by the integrity manifest');
+        }
+        
+        if (mismatches.length > 0) {
+            console.error('[Security] Integrity check failed for:', mismatches.join(', '));
+            this.handleTampering('integrity_mismatch', { files: mismatches });
+            return false;
+        }
+        
+        return true;
+    }
+    
+    // Manifest name for a script - its path next to the manifest for external
+    // scripts, or security.js when this file has been inlined
+    integrityTarget(script, baseUrl) {
+        if (!script.src) {
+            return script.textContent.includes('class SecurityManager')
+                ? { name: 'security.js', inline: true }
+                : null;
+        }
+        
+        const url = new URL(script.src, document.baseURI);
+        if (url.origin !== baseUrl.origin || !url.pathname.startsWith(baseUrl.pathname)) {
+            return null;
+        }
+        
+        return { name: decodeURIComponent(url.pathname.slice(baseUrl.pathname.length)), inline: false };
+    }
+    
+    async digestHex(data) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // Verifies security.js itself against the detached signature that
+    // tools/sign-release.js wrote next to it
+    async verifySignature() {
+        if (this.devMode) return true;
+        
+        const ownScript = await this.readOwnScript();
+        if (!ownScript) {
+            return false;
+        }
+        
+        return this.verifyReleaseSignature(ownScript.content, ownScript.signatureUrl);
+    }
+    
+    // The bytes of security.js as loaded - fetched by src, or the inline text
+    // when it was inlined - and where its release signature lives
+    async readOwnScript() {
+        for (const script of document.getElementsByTagName('script')) {
+            if (script.src) {
+                const url = new URL(script.src, document.baseURI);
+                if (!url.pathname.endsWith('/security.js')) {
+                    continue;
+                }
+                
+                url.search = '';
+                url.hash = '';
+                return {
+                    content: await (await fetch(script.src)).arrayBuffer(),
+                    signatureUrl: `${url.href}.sig`
+                };
+            }
+            
+            if (script.textContent.includes('class SecurityManager')) {
+                return {
+                    content: new TextEncoder().encode(script.textContent),
+                    signatureUrl: new URL('security.js.sig', document.baseURI).href
+                };
+            }
+        }
+        
+        return null;
+    }
+    
+    // Checks `content` against a .sig file made with the release key. Anything
+    // missing or malformed counts as a failed check.
+    async verifyReleaseSignature(content, signatureUrl) {
+        if (!RELEASE_PUBLIC_KEY) {
+            console.error('[Security] No release public key embedded - release signatures cannot be verified');
+            return false;
+        }
+        
+        try {
+            const response = await fetch(signatureUrl, { cache: 'no-store' });
+            if (!response.ok) {
+                return false;
+            }
+            
+            const signature = await response.json();
+            if (signature.format !== 'psysig' || signature.algorithm !== 'Ed25519' || typeof signature.signature !== 'string') {
+                return false;
+            }
+            
+            const publicKey = await crypto.subtle.importKey(
+                'raw',
+                this.base64ToBytes(RELEASE_PUBLIC_KEY),
+                { name: 'Ed25519' },
+                false,
+                ['verify']
+            );
+            
+            return await crypto.subtle.verify(
+                { name: 'Ed25519' },
+                publicKey,
+                this.base64ToBytes(signature.signature),
+                content
+            );
+        } catch (error) {
+            console.error('Release signature verification error:', error);
+            return false;
+        }
+    }
+    
+    // Attests this build with the backend. Sends the SHA-256 of security.js
+    // and a fresh nonce; the signed verdict must name both and still be
+    // current. Unreachable or unverifiable answers return false; only a
+    // verified verdict that this build was revoked counts as tampering. An
+    // "unknown" build is just missing from the server's allowlist - a release
+    // the allowlist hasn't caught up with yet - so it is logged, not punished.
+    async validateWithServer() {
+        if (this.devMode) return true;
+        
+        try {
+            const fingerprint = await this.getScriptFingerprint();
+            const nonce = this.generateNonce();
+            
+            const response = await fetch(`${this.API_URL}/api/attest`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ fingerprint, nonce })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Attestation failed: ${response.status}`);
+            }
+            
+            const result = await response.json();
+            const attestation = await this.verifySignedEnvelope(result.attestation, 'psyattest');
+            
+            if (!attestation || attestation.nonce !== nonce || attestation.fingerprint !== fingerprint
+                || new Date(attestation.expires_at) <= new Date()) {
+                throw new Error('Attestation verdict is missing, forged or stale');
+            }
+            
+            if (attestation.verdict === 'revoked') {
+                console.error('[Security] Backend reports this build as revoked');
+                this.handleTampering('build_rejected', { verdict: attestation.verdict, fingerprint });
+                return false;
+            }
+            
+            if (attestation.verdict !== 'trusted') {
+                console.warn(`[Security] Backend does not recognise this build (${attestation.verdict}) - is it missing from the build allowlist?`);
+                return false;
+            }
+            
+            console.log(`[Security] Build attested as release ${attestation.version}`);
+            return true;
+        } catch (error) {
+            console.error('Server validation error:', error);
+            return false;
+        }
+    }
+    
+    generateNonce() {
+        const bytes = crypto.getRandomValues(new Uint8Array(32));
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    // SHA-256 of security.js - the same digest the integrity manifest and the
+    // backend's build allowlist record
+    async getScriptFingerprint() {
+        const ownScript = await this.readOwnScript();
+        if (!ownScript) {
+            throw new Error('security.js could not be located');
+        }
+        
+        return this.digestHex(ownScript.content);
+    }
+    
+    // Production startup checks, in order. A failure hands over to
+    // handleTampering and the studio stays locked; a clean pass restores
+    // anything an earlier false positive quarantined.
+    async runStartupChecks() {
+        // A build shipped without its public keys can verify nothing, so it
+        // stays locked. Only a page served from this machine may carry on,
+        // behind a banner, to test a release build before the keys exist.
+        const missingKeys = [
+            !RELEASE_PUBLIC_KEY && 'RELEASE_PUBLIC_KEY',
+            !LICENSE_PUBLIC_KEY && 'LICENSE_PUBLIC_KEY'
+        ].filter(Boolean);
+        
+        if (missingKeys.length > 0) {
+            console.error(`[Security] MISCONFIGURED BUILD - ${missingKeys.join(' and ')} not embedded in security.js. ` +
+                'See "Releasing the client" in README.md.');
             
-            if (e.dataTransfer.files.length > 0) {
-                selectedLicenseFile = e.dataTransfer.files[0];
-                document.getElementById('file-name').textContent = selectedLicenseFile.name;
-                activateBtn.disabled = false;
-                activateBtn.style.opacity = '1';
+            if (!isLocalOrigin()) {
+                this.showTamperScreen(TAMPER_RESPONSES.build_misconfigured, null);
+                return false;
             }
-        });
+            
+            this.showStatusBanner('misconfigured-build-banner',
+                `MISCONFIGURED BUILD - ${missingKeys.join(' and ')} missing, security checks are disabled on this local copy`, '#930018', 'white');
+            return true;
+        }
         
-        fileInput.addEventListener('change', (e) => {
-            if (e.target.files.length > 0) {
-                selectedLicenseFile = e.target.files[0];
-                document.getElementById('file-name').textContent = selectedLicenseFile.name;
-                activateBtn.disabled = false;
-                activateBtn.style.opacity = '1';
+        try {
+            if (!(await this.performIntegrityCheck())) {
+                return false;
             }
-        });
+        } catch (error) {
+            console.error('Integrity check failed:', error);
+            this.handleTampering('integrity_unavailable', { error: error.message });
+            return false;
+        }
         
-        activateBtn.addEventListener('click', () => this.activateLicense(selectedLicenseFile));
+        if (!(await this.verifySignature())) {
+            this.handleTampering('signature_invalid');
+            return false;
+        }
         
-        // Login with credentials
-        const loginBtn = document.getElementById('login-btn');
-        const loginUsername = document.getElementById('login-username');
-        const loginPassword = document.getElementById('login-password');
+        this.restoreQuarantinedData();
         
-        loginBtn.addEventListener('click', () => {
-            this.loginWithCredentials(loginUsername.value, loginPassword.value);
+        this.validateWithServer().catch(error => {
+            console.error('Server validation failed:', error);
         });
         
-        loginPassword.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.loginWithCredentials(loginUsername.value, loginPassword.value);
-            }
-        });
+        return true;
     }
     
-    async activateLicense(file) {
-        if (!file) {
-            this.showError('Please select a license file');
+    async handleTampering(reason, details = {}) {
+        if (this.tamperResponseActive) {
             return;
         }
+        this.tamperResponseActive = true;
         
-        const username = document.getElementById('license-username').value;
-        const password = document.getElementById('license-password').value;
+        const response = TAMPER_RESPONSES[reason] || TAMPER_RESPONSES.integrity_mismatch;
+        console.error(`[Security] Tamper response for ${reason}:`, details);
         
-        if (!username || !password) {
-            this.showError('Please enter username and password');
-            return;
-        }
+        // Report first - the install ID is one of the keys quarantine moves aside
+        const reportId = await this.reportTampering(reason, details);
         
-        const activateBtn = document.getElementById('activate-license-btn');
-        activateBtn.disabled = true;
-        activateBtn.textContent = 'Activating...';
+        if (response.quarantine) {
+            this.quarantineLocalData(reason);
+        }
         
+        this.showTamperScreen(response, reportId);
+    }
+    
+    // Only signed-in clients can report. Resolves to the backend's report id
+    // for the customer to quote, or null if the report couldn't be delivered.
+    async reportTampering(reason, details) {
         try {
-            const reader = new FileReader();
-            reader.onload = async (e) => {
-                try {
-                    const licenseData = JSON.parse(e.target.result);
-                    
-                    // Validate license structure - check for either 'code' or 'licenseCode'
-                    const code = licenseData.code || licenseData.licenseCode;
-                    if (!code) {
-                        this.showError('Invalid license file format');
-                        activateBtn.disabled = false;
-                        activateBtn.textContent = 'Activate License';
-                        return;
-                    }
-                    
-                    // Get hardware ID
-                    const hardwareID = this.getDeviceFingerprint();
-                    console.log('Hardware ID generated:', hardwareID.substring(0, 50) + '...');
-                    
-                    console.log('Sending activation request to:', `${this.API_URL}/api/activate-license`);
-                    console.log('Request data:', { code, username, hardwareID: hardwareID.substring(0, 50) + '...' });
-                    
-                    // Call backend API to activate license with timeout
-                    const controller = new AbortController();
-                    const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout (Render free tier can be slow)
-                    
-                    const response = await fetch(`${this.API_URL}/api/activate-license`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                        },
-                        body: JSON.stringify({
-                            licenseCode: code,
-                            username: username,
-                            password: password,
-                            hardwareID: hardwareID
-                        }),
-                        signal: controller.signal
-                    });
-                    
-                    clearTimeout(timeoutId);
-                    console.log('Response status:', response.status);
-
-                    // Handle non-2xx responses gracefully
-                    if (!response.ok) {
-                        let text = '';
-                        try {
-                            text = await response.text();
-                        } catch (e) {
-                            text = response.statusText || 'No response body';
-                        }
-                        console.error('Activation API error:', response.status, text);
-                        this.showError(`Activation failed: ${response.status} ${response.statusText}`);
-                        activateBtn.disabled = false;
-                        activateBtn.textContent = 'Activate License';
-                        return;
-                    }
-
-                    let result = null;
-                    try {
-                        result = await response.json();
-                    } catch (jsonErr) {
-                        console.error('Failed to parse activation response as JSON:', jsonErr);
-                        this.showError('Activation server returned an unexpected response. Try again later.');
-                        activateBtn.disabled = false;
-                        activateBtn.textContent = 'Activate License';
-                        return;
-                    }
-
-                    console.log('Response data:', result);
-
-                    if (!result || !result.success) {
-                        this.showError((result && result.error) || 'Activation failed');
-                        activateBtn.disabled = false;
-                        activateBtn.textContent = 'Activate License';
-                        return;
-                    }
-                    
-                    // Update license file with hardware binding
-                    licenseData.hardwareID = hardwareID;
-                    licenseData.username = username;
-                    licenseData.activatedAt = new Date().toISOString();
-                    licenseData.sessionToken = result.session_token; // Store session from backend
-                    
-                    // Download updated license file
-                    this.downloadUpdatedLicense(licenseData);
-                    
-                    // Create auth token (use backend's session token)
-                    const authData = {
-                        token: result.session_token || this.generateToken(),
-                        username: username,
-                        licenseCode: code,
-                        hardwareID: hardwareID,
-                        expiry: new Date(result.expires_at || Date.now() + (30 * 24 * 60 * 60 * 1000)).getTime(),
-                        user: username
-                    };
-                    
-                    // Store authentication
-                    localStorage.setItem('psychStudioAuth', JSON.stringify(authData));
-                    
-                    // Show success message
-                    this.showError('✓ License activated successfully!');
-                    document.getElementById('error-message').style.color = '#4CAF50';
-                    
-                    // Launch app after 1 second
-                    setTimeout(() => {
-                        this.showApp();
-                    }, 1000);
-                    
-                } catch (parseError) {
-                    console.error('Parse error:', parseError);
-                    
-                    // Check if it's a timeout error
-                    if (parseError.name === 'AbortError') {
-                        this.showError('Activation timeout - backend server may be starting up. Please try again in 30 seconds.');
-                    } else if (parseError.message && parseError.message.includes('fetch')) {
-                        this.showError('Network error - cannot reach activation server. Check your internet connection.');
-                    } else {
-                        this.showError('Invalid license file format or server error');
-                    }
-                    
-                    activateBtn.disabled = false;
-                    activateBtn.textContent = 'Activate License';
-                }
-            };
+            if (!(await this.isAuthenticated())) {
+                console.warn('[Security] Not signed in - tamper report not sent');
+                return null;
+            }
             
-            reader.readAsText(file);
+            const response = await this.authorizedFetch('/api/tamper-report', {
+                method: 'POST',
+                body: JSON.stringify({
+                    reason,
+                    details,
+                    fingerprint: await this.getScriptFingerprint().catch(() => null),
+                    install_id: localStorage.getItem('psychStudioInstallId'),
+                    mode: this.config.mode,
+                    page_url: window.location.href,
+                    user_agent: navigator.userAgent
+                })
+            });
             
+            const result = await response.json();
+            return result.success ? result.report_id : null;
         } catch (error) {
-            console.error('File read error:', error);
-            this.showError('Failed to read license file');
-            activateBtn.disabled = false;
-            activateBtn.textContent = 'Activate License';
+            console.error('Tamper report failed:', error);
+            return null;
         }
     }
     
-    downloadUpdatedLicense(licenseData) {
-        const blob = new Blob([JSON.stringify(licenseData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `PsyStudio_License_${licenseData.username}.psylic`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    // Moves every psychStudio* localStorage key into one quarantine entry.
+    // Other apps' keys on this origin are left alone.
+    quarantineLocalData(reason) {
+        const existing = JSON.parse(localStorage.getItem(QUARANTINE_KEY) || 'null');
+        const entries = existing ? existing.entries : {};
+        
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith('psychStudio') && key !== QUARANTINE_KEY) {
+                keys.push(key);
+            }
+        }
+        
+        for (const key of keys) {
+            entries[key] = localStorage.getItem(key);
+            localStorage.removeItem(key);
+        }
+        
+        localStorage.setItem(QUARANTINE_KEY, JSON.stringify({
+            reason,
+            quarantinedAt: new Date().toISOString(),
+            entries
+        }));
+        
+        console.log(`[Security] Quarantined ${keys.length} local storage key(s)`);
     }
     
-    async loginWithCredentials(username, password) {
-        if (!username || !password) {
-            this.showError('Please enter username and password');
+    restoreQuarantinedData() {
+        const quarantine = JSON.parse(localStorage.getItem(QUARANTINE_KEY) || 'null');
+        if (!quarantine) {
             return;
         }
         
-        const loginBtn = document.getElementById('login-btn');
-        loginBtn.disabled = true;
-        loginBtn.textContent = 'Signing in...';
+        for (const [key, value] of Object.entries(quarantine.entries)) {
+            localStorage.setItem(key, value);
+        }
+        localStorage.removeItem(QUARANTINE_KEY);
         
-        try {
-            // Get hardware ID
-            const hardwareID = this.getDeviceFingerprint();
-            
-            // Call backend API to login
-            const response = await fetch(`${this.API_URL}/api/login`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    username: username,
-                    password: password,
-                    hardware_id: hardwareID  // Backend expects hardware_id with underscore
-                })
-            });
-            
-            const result = await response.json();
-            
-            // Check for error response
-            if (!response.ok || !result.success) {
-                this.showError(result.error || 'Login failed');
-                loginBtn.disabled = false;
-                loginBtn.textContent = 'Sign In';
-                return;
-            }
-            
-            // Create auth token from backend response
-            const authData = {
-                token: result.session_token,  // Backend sends session_token
-                username: username,
-                hardwareID: hardwareID,
-                expiry: new Date(result.expires_at).getTime(),
-                user: username,
-                device_count: result.device_count
-            };
-            
-            // Store authentication
-            localStorage.setItem('psychStudioAuth', JSON.stringify(authData));
-            
-            // Show success message
-            this.showError('✓ Login successful!');
-            document.getElementById('error-message').style.color = '#4CAF50';
-            
-            // Launch app after 1 second
-            setTimeout(() => {
-                this.showApp();
-            }, 1000);
-            
-        } catch (error) {
-            this.showError('Connection error. Please check your internet connection.');
-            loginBtn.disabled = false;
-            loginBtn.textContent = 'Sign In';
+        console.log(`[Security] Restored ${Object.keys(quarantine.entries).length} quarantined local storage key(s)`);
+    }
+    
+    // Overlay above the (hidden) app rather than a replaced page, so nothing
+    // the customer has open is lost and "Verify again" can start over cleanly
+    showTamperScreen(response, reportId) {
+        const appContainer = document.querySelector('.app-container');
+        if (appContainer) {
+            appContainer.style.display = 'none';
+        }
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'tamper-overlay';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.95);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            font-family: Arial, sans-serif;
+            z-index: 999999;
+        `;
+        
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            border: 2px solid #930018;
+            border-radius: 10px;
+            padding: 40px;
+            width: 480px;
+            max-width: 90%;
+            color: white;
+            text-align: center;
+        `;
+        
+        const title = document.createElement('h2');
+        title.textContent = 'Security check failed';
+        title.style.cssText = 'color: #717d9f; margin: 0 0 20px 0;';
+        
+        const message = document.createElement('p');
+        message.textContent = response.message;
+        message.style.cssText = 'color: #ddd; line-height: 1.6;';
+        
+        const reassurance = document.createElement('p');
+        reassurance.textContent = response.reassurance || (response.quarantine
+            ? 'Nothing has been deleted. Your studio data has been set aside and is restored automatically once this copy verifies.'
+            : 'Nothing has been deleted. Check your connection and try again.');
+        reassurance.style.cssText = 'color: #aaa; font-size: 14px; line-height: 1.6;';
+        
+        const support = document.createElement('p');
+        support.style.cssText = 'color: #aaa; font-size: 13px; line-height: 1.6; margin-top: 20px;';
+        support.textContent = 'If this keeps happening, reinstall the studio from the official download or contact support'
+            + (reportId ? ` and quote reference ${reportId}.` : '.');
+        
+        if (SUPPORT_CONTACT.email || SUPPORT_CONTACT.url) {
+            const link = document.createElement('a');
+            link.href = SUPPORT_CONTACT.url || `mailto:${SUPPORT_CONTACT.email}${reportId ? `?subject=Security check ${reportId}` : ''}`;
+            link.textContent = SUPPORT_CONTACT.email || SUPPORT_CONTACT.url;
+            link.style.cssText = 'display: block; color: #717d9f; margin-top: 8px;';
+            support.appendChild(link);
         }
+        
+        const verifyBtn = document.createElement('button');
+        verifyBtn.textContent = 'Verify again';
+        verifyBtn.style.cssText = `
+            margin-top: 20px;
+            padding: 12px 40px;
+            background: #930018;
+            color: white;
+            border: none;
+            border-radius: 5px;
+            font-size: 16px;
+            cursor: pointer;
+        `;
+        verifyBtn.addEventListener('click', () => location.reload());
+        
+        panel.append(title, message, reassurance, verifyBtn, support);
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
     }
     
-    async attemptUnlock() {
-        if (this.isLocked) {
-            const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
-            this.showError(`Too many attempts. Try again in ${remainingTime} seconds.`);
-            return;
-        }
+    loadSecurityState() {
+        const securityState = localStorage.getItem('psychStudioSecurity');
         
-        // Get user input - ONLY USERNAME AND CODE
-        const usernameInput = document.getElementById('username-input');
-        const codeInput = document.getElementById('unlock-code');
+        if (securityState) {
+            try {
+                const state = JSON.parse(securityState);
+                this.lockoutEndTime = state.lockoutEndTime || 0;
+                
+                if (this.lockoutEndTime > 0 && new Date().getTime() > this.lockoutEndTime) {
+                    this.resetSecurityState();
+                } else {
+                    this.isLocked = this.lockoutEndTime > 0;
+                }
+            } catch (e) {
+                this.resetSecurityState();
+            }
+        } else {
+            this.resetSecurityState();
+        }
+    }
+    
+    saveSecurityState() {
+        const state = {
+            lockoutEndTime: this.lockoutEndTime
+        };
+        localStorage.setItem('psychStudioSecurity', JSON.stringify(state));
+    }
+    
+    resetSecurityState() {
+        this.isLocked = false;
+        this.lockoutEndTime = 0;
+        this.saveSecurityState();
+    }
+    
+    lockout(durationMs = this.lockoutTime) {
+        this.isLocked = true;
+        this.lockoutEndTime = new Date().getTime() + durationMs;
+        this.saveSecurityState();
         
-        this.userName = usernameInput ? usernameInput.value.trim() : '';
-        const enteredCode = codeInput ? codeInput.value.trim() : '';
+        this.showError(`Too many failed attempts. Application locked for ${Math.ceil(durationMs / 1000)} seconds.`);
         
-        // Validate username
-        if (!this.userName) {
-            this.showError('Please enter a username.');
-            return;
+        const attemptsLeft = document.getElementById('attempts-left');
+        if (attemptsLeft) {
+            attemptsLeft.textContent = 'Application locked. Please wait...';
         }
         
-        // Validate code
-        if (!enteredCode) {
-            this.showError('Please enter a registration code.');
-            return;
+        this.startLockoutCountdown();
+    }
+    
+    // The server rate-limits every auth route and answers 429 with how long to
+    // wait - returns that in milliseconds, or 0 if the response isn't a 429
+    rateLimitDelay(response, result) {
+        if (response.status !== 429) {
+            return 0;
         }
         
-        // Check if it's a valid code
-        if (this.correctCode.includes(enteredCode)) {
-            // Mark code as used immediately
-            await this.markCodeAsUsed(enteredCode);
+        const seconds = Number((result && result.retry_after) || response.headers.get('Retry-After'));
+        return (Number.isFinite(seconds) && seconds > 0 ? seconds : this.lockoutTime / 1000) * 1000;
+    }
+    
+    startLockoutCountdown() {
+        const countdown = setInterval(() => {
+            const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
             
-            // Authenticate with the code
-            this.authenticate(enteredCode);
-        } else {
-            // Check if it's a used code
-            const codeData = this.usedCodes.find(c => c.code === enteredCode);
-            if (codeData) {
-                this.showError('This code has already been used and cannot be used again.');
-            } else {
-                this.attemptCount++;
+            if (remainingTime <= 0) {
+                clearInterval(countdown);
+                this.isLocked = false;
                 this.saveSecurityState();
-                
                 this.updateAttemptsDisplay();
-                
-                if (this.attemptCount >= this.maxAttempts) {
-                    this.lockout();
-                } else {
-                    this.showError(`Incorrect code. ${this.maxAttempts - this.attemptCount} attempts remaining.`);
-                }
-                
-                if (codeInput) {
-                    codeInput.value = '';
+            } else {
+                const attemptsLeft = document.getElementById('attempts-left');
+                if (attemptsLeft) {
+                    attemptsLeft.textContent = `Application locked. Try again in ${remainingTime} seconds.`;
                 }
             }
+        }, 1000);
+    }
+    
+    updateAttemptsDisplay() {
+        const attemptsLeft = document.getElementById('attempts-left');
+        if (attemptsLeft) {
+            if (this.isLocked) {
+                const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
+                attemptsLeft.textContent = `Application locked. Try again in ${remainingTime} seconds.`;
+            } else {
+                attemptsLeft.textContent = '';
+            }
         }
     }
     
-    authenticateReturningUser(user) {
-        const token = this.generateToken();
-        // PERMANENT authorization - no expiry date
-        const expiry = new Date(9999, 12, 31).getTime(); // Year 9999
-        localStorage.setItem('psychStudioAuth', JSON.stringify({ token, expiry, user: user.email }));
-        
-        this.fileEncryption = new FileEncryption(this.userPassword);
-        this.resetSecurityState();
+    showError(message) {
+        const errorElement = document.getElementById('error-message');
+        if (errorElement) {
+            errorElement.style.color = '#ff4444';
+            errorElement.textContent = message;
+            setTimeout(() => {
+                errorElement.textContent = '';
+            }, 5000);
+        }
+    }
+    
+    // Same slot as showError, for good news
+    showNotice(message) {
+        this.showError(message);
         
+        const errorElement = document.getElementById('error-message');
+        if (errorElement) {
+            errorElement.style.color = '#4CAF50';
+        }
+    }
+    
+    showApp() {
+        // Remove login screen
         const loginScreen = document.getElementById('login-screen');
         if (loginScreen) {
             if (this.backgroundCanvas) {
@@ -1033,44 +3025,69 @@ class SecurityManager {
             loginScreen.remove();
         }
         
-        // Show welcome popup
-        this.showWelcomePopup();
+        // Show the original background canvas
+        const existingCanvas = document.getElementById('backgroundCanvas');
+        if (existingCanvas) {
+            existingCanvas.style.display = 'block';
+        }
+        
+        // Show the app container
+        const appContainer = document.querySelector('.app-container');
+        if (appContainer) {
+            appContainer.style.display = 'flex';
+            window.dispatchEvent(new Event('resize'));
+        }
+        
+        this.showDevicesButton();
         
         this.loadProtectedFiles().catch(error => {
             console.error('Failed to load protected files:', error);
         });
     }
     
-    authenticate(code) {
-        const token = this.generateToken();
-        // PERMANENT authorization - no expiry date
-        const expiry = new Date(9999, 12, 31).getTime(); // Year 9999
-        localStorage.setItem('psychStudioAuth', JSON.stringify({ token, expiry, user: this.userEmail }));
-        
-        this.fileEncryption = new FileEncryption(code);
-        this.resetSecurityState();
-        
-        const loginScreen = document.getElementById('login-screen');
-        if (loginScreen) {
-            if (this.backgroundCanvas) {
-                this.backgroundCanvas.destroy();
-                this.backgroundCanvas = null;
-            }
-            loginScreen.remove();
+    // File encryption runs through the account key vault once it is unlocked.
+    // Failing to unlock is not fatal - the studio still opens, and files stay
+    // readable on the next sign-in. Resolves to whether the vault opened.
+    async unlockFileKeys(password) {
+        try {
+            await this.keyVault.unlock(password);
+            this.fileEncryption = this.keyVault;
+            return true;
+        } catch (error) {
+            console.error('[Security] Could not unlock file encryption key:', error);
+            return false;
+        }
+    }
+    
+    // Changes the account password. The vault is unlocked with the current
+    // password first so the file key can be re-wrapped under the new one.
+    async changeFileKeyPassword(currentPassword, newPassword) {
+        if (!this.keyVault.isUnlocked() && !(await this.unlockFileKeys(currentPassword))) {
+            throw new Error('Current password is incorrect');
         }
         
-        // Show welcome popup
-        this.showWelcomePopup();
+        await this.keyVault.changePassword(currentPassword, newPassword);
+    }
+    
+    // Turns the server-held recovery copy of the file key on or off
+    async setFileKeyEscrow(enabled, password) {
+        if (!this.keyVault.isUnlocked() && !(await this.unlockFileKeys(password))) {
+            throw new Error('Password is incorrect');
+        }
         
-        this.loadProtectedFiles().catch(error => {
-            console.error('Failed to load protected files:', error);
-        });
+        await this.keyVault.setEscrow(enabled, password);
     }
     
-    showWelcomePopup() {
-        const popupOverlay = document.createElement('div');
-        popupOverlay.id = 'welcome-popup-overlay';
-        popupOverlay.style.cssText = `
+    // After a page reload the session is still valid but the file key is not
+    // in memory any more - it takes the account password to open it again
+    showUnlockFilesPrompt() {
+        if (document.getElementById('unlock-files-overlay')) {
+            return;
+        }
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'unlock-files-overlay';
+        overlay.style.cssText = `
             position: fixed;
             top: 0;
             left: 0;
@@ -1078,385 +3095,549 @@ class SecurityManager {
             height: 100%;
             background: rgba(0, 0, 0, 0.7);
             display: flex;
-            flex-direction: column;
             justify-content: center;
             align-items: center;
             z-index: 10001;
             font-family: Arial, sans-serif;
         `;
         
-        const popupContent = document.createElement('div');
-        popupContent.style.cssText = `
-            background: rgba(0, 0, 0, 0.9);
-            border: 2px solid #930018;
-            border-radius: 10px;
-            padding: 50px;
-            max-width: 600px;
-            text-align: center;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.8);
-            color: white;
+        overlay.innerHTML = `
+            <div style="
+                background: rgba(0, 0, 0, 0.9);
+                border: 2px solid #930018;
+                border-radius: 10px;
+                padding: 30px;
+                width: 380px;
+                max-width: 90%;
+                color: white;
+                text-align: center;
+            ">
+                <h2 style="color: #717d9f; margin: 0 0 10px 0;">Unlock your files</h2>
+                <p style="color: #aaa; margin: 0 0 20px 0; font-size: 14px;">Enter your account password to open your encrypted files.</p>
+                <input type="password" id="unlock-files-password" placeholder="Password" style="
+                    width: 100%;
+                    padding: 10px;
+                    border-radius: 5px;
+                    border: 1px solid #555;
+                    background: rgba(255, 255, 255, 0.1);
+                    color: white;
+                    box-sizing: border-box;
+                ">
+                <div id="unlock-files-error" style="color: #ff4444; margin-top: 10px; min-height: 20px; font-size: 14px;"></div>
+                <button id="unlock-files-btn" style="
+                    margin-top: 10px;
+                    padding: 10px 30px;
+                    background: #930018;
+                    color: white;
+                    border: none;
+                    border-radius: 5px;
+                    cursor: pointer;
+                ">Unlock</button>
+                <button id="unlock-files-later-btn" style="
+                    margin-top: 10px;
+                    padding: 10px 20px;
+                    background: rgba(255, 255, 255, 0.1);
+                    color: white;
+                    border: none;
+                    border-radius: 5px;
+                    cursor: pointer;
+                ">Not now</button>
+            </div>
         `;
         
-        popupContent.innerHTML = `
-            <h2 style="color: #717d9f; margin-bottom: 20px; font-size: 28px;">Welcome ${this.userName}!</h2>
-            <p style="color: #aaa; margin-bottom: 10px; font-size: 18px;">You now have access to <span style="color: #930018; font-weight: bold;">Pro</span>!</p>
+        document.body.appendChild(overlay);
+        
+        const passwordInput = document.getElementById('unlock-files-password');
+        const unlockBtn = document.getElementById('unlock-files-btn');
+        
+        const unlock = async () => {
+            if (!passwordInput.value) {
+                return;
+            }
             
-            <h3 style="color: #717d9f; margin-top: 30px; margin-bottom: 20px; font-size: 20px;">You can now access:</h3>
+            unlockBtn.disabled = true;
+            if (await this.unlockFileKeys(passwordInput.value)) {
+                overlay.remove();
+                return;
+            }
             
-            <ul style="
-                list-style: none;
-                text-align: left;
-                padding: 20px;
-                background: rgba(255, 255, 255, 0.05);
+            unlockBtn.disabled = false;
+            passwordInput.value = '';
+            document.getElementById('unlock-files-error').textContent = 'Your files could not be unlocked with this password.';
+        };
+        
+        unlockBtn.addEventListener('click', unlock);
+        passwordInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                unlock();
+            }
+        });
+        document.getElementById('unlock-files-later-btn').addEventListener('click', () => overlay.remove());
+        passwordInput.focus();
+    }
+    
+    // Always visible in dev mode so a build with the checks off can't pass for a release
+    showDevModeBanner() {
+        this.showStatusBanner('dev-mode-banner',
+            `DEVELOPMENT MODE (${this.config.source}) - integrity, signature and server checks are disabled`, '#b8860b', 'black');
+    }
+    
+    showStatusBanner(id, text, background, color) {
+        const banner = document.createElement('div');
+        banner.id = id;
+        banner.textContent = text;
+        banner.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            padding: 4px 10px;
+            background: ${background};
+            color: ${color};
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            font-weight: bold;
+            text-align: center;
+            z-index: 100000;
+            pointer-events: none;
+        `;
+        document.body.appendChild(banner);
+    }
+    
+    deviceLimitMessage() {
+        return 'Device limit reached. Sign in on one of your other devices and open "My devices" to free a slot.';
+    }
+    
+    // fetch() against the backend with the current access token, refreshing it first if needed
+    async authorizedFetch(path, options = {}) {
+        if (!(await this.isAuthenticated())) {
+            throw new Error('Not signed in');
+        }
+        
+        const { token } = this.getAuthData();
+        
+        return fetch(`${this.API_URL}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${token}`
+            }
+        });
+    }
+    
+    showDevicesButton() {
+        if (document.getElementById('devices-btn')) {
+            return;
+        }
+        
+        const button = document.createElement('button');
+        button.id = 'devices-btn';
+        button.textContent = 'My devices';
+        button.style.cssText = `
+            position: fixed;
+            bottom: 15px;
+            right: 15px;
+            padding: 8px 14px;
+            background: rgba(0, 0, 0, 0.6);
+            color: #aaa;
+            border: 1px solid #930018;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            cursor: pointer;
+            z-index: 9999;
+        `;
+        button.addEventListener('click', () => this.showDevicesPanel());
+        document.body.appendChild(button);
+    }
+    
+    async showDevicesPanel() {
+        const existingPanel = document.getElementById('devices-panel-overlay');
+        if (existingPanel) {
+            existingPanel.remove();
+        }
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'devices-panel-overlay';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.7);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10001;
+            font-family: Arial, sans-serif;
+        `;
+        
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            background: rgba(0, 0, 0, 0.9);
+            border: 2px solid #930018;
+            border-radius: 10px;
+            padding: 30px;
+            width: 480px;
+            max-width: 90%;
+            color: white;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.8);
+        `;
+        
+        panel.innerHTML = `
+            <h2 style="color: #717d9f; margin: 0 0 10px 0;">My devices</h2>
+            <p id="devices-summary" style="color: #aaa; margin: 0 0 20px 0; font-size: 14px;">Loading...</p>
+            <div id="devices-list"></div>
+            <div id="devices-error" style="color: #ff4444; margin-top: 15px; min-height: 20px; font-size: 14px;"></div>
+            <h3 style="color: #717d9f; margin: 20px 0 10px 0;">Account</h3>
+            <input type="password" id="account-current-password" placeholder="Current password" style="width: 100%; padding: 8px; margin-bottom: 8px; border-radius: 5px; border: 1px solid #555; background: rgba(255, 255, 255, 0.1); color: white; box-sizing: border-box;">
+            <input type="password" id="account-new-password" placeholder="New password" style="width: 100%; padding: 8px; margin-bottom: 8px; border-radius: 5px; border: 1px solid #555; background: rgba(255, 255, 255, 0.1); color: white; box-sizing: border-box;">
+            <button id="change-password-btn" style="
+                padding: 6px 12px;
+                background: rgba(255, 255, 255, 0.1);
+                color: white;
+                border: none;
                 border-radius: 5px;
-                margin: 0 auto;
-                width: fit-content;
-            ">
-                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
-                    <span style="color: #930018; margin-right: 10px;">●</span>Record Session
-                </li>
-                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
-                    <span style="color: #930018; margin-right: 10px;">●</span>Record directly into Button
-                </li>
-                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
-                    <span style="color: #930018; margin-right: 10px;">●</span>Unlimited Sample Upload
-                </li>
-                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
-                    <span style="color: #930018; margin-right: 10px;">●</span>LFO's & Automations
-                </li>
-                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
-                    <span style="color: #930018; margin-right: 10px;">●</span>Synth with Piano Roll & Sound design controls
-                </li>
-                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
-                    <span style="color: #930018; margin-right: 10px;">●</span>App Themes
-                </li>
-                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
-                    <span style="color: #930018; margin-right: 10px;">●</span>Arrangement Mode/Track View
-                </li>
-                <li style="margin: 12px 0; color: #aaa; font-size: 16px;">
-                    <span style="color: #930018; margin-right: 10px;">●</span>Future updates
-                </li>
-            </ul>
-            
-            <button id="close-welcome-btn" style="
-                margin-top: 30px;
-                padding: 15px 40px;
+                font-size: 12px;
+                cursor: pointer;
+            ">Change password</button>
+            <label style="display: block; margin-top: 12px; color: #aaa; font-size: 13px;">
+                <input type="checkbox" id="key-escrow-toggle">
+                Keep a recovery copy of my file key on the server, so my files survive a password reset (needs the current password)
+            </label>
+            <div id="account-message" style="margin-top: 10px; min-height: 20px; font-size: 14px;"></div>
+            <button id="close-devices-btn" style="
+                margin-top: 10px;
+                padding: 10px 30px;
                 background: #930018;
                 color: white;
                 border: none;
                 border-radius: 5px;
-                font-size: 16px;
                 cursor: pointer;
-                transition: background 0.3s;
-            ">Get Started</button>
+            ">Close</button>
         `;
         
-        popupOverlay.appendChild(popupContent);
-        document.body.appendChild(popupOverlay);
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
         
-        const closeBtn = document.getElementById('close-welcome-btn');
-        if (closeBtn) {
-            closeBtn.addEventListener('click', () => {
-                popupOverlay.remove();
-                this.showApp();
-            });
-        }
+        document.getElementById('close-devices-btn').addEventListener('click', () => overlay.remove());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                overlay.remove();
+            }
+        });
+        
+        this.bindAccountControls();
+        await this.renderDevices();
     }
     
-    async performIntegrityCheck() {
-        if (this.devMode) return;
+    bindAccountControls() {
+        const currentInput = document.getElementById('account-current-password');
+        const newInput = document.getElementById('account-new-password');
+        const escrowToggle = document.getElementById('key-escrow-toggle');
+        const message = document.getElementById('account-message');
+        
+        const showMessage = (text, ok) => {
+            message.textContent = text;
+            message.style.color = ok ? '#4CAF50' : '#ff4444';
+        };
         
-        const expectedHash = "9c7bdfb63892de62581e2a861329e801af2e709adbd32f12753e138a394c22be";
+        escrowToggle.checked = this.keyVault.escrow;
         
-        const currentHash = await this.calculateScriptHash();
+        document.getElementById('change-password-btn').addEventListener('click', async () => {
+            if (!currentInput.value || newInput.value.length < 6) {
+                showMessage('Enter your current password and a new password of at least 6 characters.', false);
+                return;
+            }
+            
+            try {
+                await this.changeFileKeyPassword(currentInput.value, newInput.value);
+                currentInput.value = '';
+                newInput.value = '';
+                showMessage('Password changed. Your other devices have been signed out.', true);
+            } catch (error) {
+                showMessage(error.message, false);
+            }
+        });
         
-        if (currentHash !== expectedHash) {
-            this.handleTampering();
-        }
+        escrowToggle.addEventListener('change', async () => {
+            const enabled = escrowToggle.checked;
+            
+            if (!currentInput.value) {
+                escrowToggle.checked = !enabled;
+                showMessage('Enter your current password to change this setting.', false);
+                return;
+            }
+            
+            try {
+                await this.setFileKeyEscrow(enabled, currentInput.value);
+                currentInput.value = '';
+                showMessage(enabled ? 'Recovery copy saved on the server.' : 'Recovery copy removed from the server.', true);
+            } catch (error) {
+                escrowToggle.checked = !enabled;
+                showMessage(error.message, false);
+            }
+        });
     }
     
-    calculateScriptHash() {
-        const scripts = document.getElementsByTagName('script');
-        let currentScript = '';
+    async renderDevices() {
+        const summary = document.getElementById('devices-summary');
+        const list = document.getElementById('devices-list');
+        const errorElement = document.getElementById('devices-error');
+        if (!list) {
+            return;
+        }
         
-        for (let i = 0; i < scripts.length; i++) {
-            if (scripts[i].src.includes('security.js') || 
-                scripts[i].textContent.includes('class SecurityManager')) {
-                currentScript = scripts[i].textContent;
-                break;
+        try {
+            const response = await this.authorizedFetch('/api/devices');
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Could not load devices');
+            }
+            
+            summary.textContent = `This license is active on ${result.devices.length} of ${result.max_devices} devices.`;
+            list.innerHTML = '';
+            
+            for (const device of result.devices) {
+                list.appendChild(this.createDeviceRow(device));
             }
+        } catch (error) {
+            console.error('Failed to load devices:', error);
+            summary.textContent = '';
+            errorElement.textContent = error.message;
         }
+    }
+    
+    // Built with DOM nodes rather than innerHTML - device names are user-supplied
+    createDeviceRow(device) {
+        const row = document.createElement('div');
+        row.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 12px;
+            margin-bottom: 10px;
+            background: rgba(255, 255, 255, 0.05);
+            border-radius: 5px;
+        `;
         
-        if (!currentScript) {
-            return "default";
-        }
+        const info = document.createElement('div');
+        info.style.flex = '1';
         
-        let hash = 0;
-        for (let i = 0; i < currentScript.length; i++) {
-            const char = currentScript.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
+        const name = document.createElement('div');
+        name.textContent = (device.name || 'Unnamed device') + (device.current ? ' (this device)' : '');
+        name.style.color = device.current ? '#4CAF50' : 'white';
         
-        return hash.toString();
-    }
-    
-    verifySignature() {
-        if (this.devMode) return true;
+        const lastSeen = document.createElement('div');
+        lastSeen.textContent = `Last seen ${new Date(device.last_seen).toLocaleString()}`;
+        lastSeen.style.cssText = 'color: #aaa; font-size: 12px; margin-top: 4px;';
         
-        const scripts = document.getElementsByTagName('script');
-        let scriptContent = '';
+        info.appendChild(name);
+        info.appendChild(lastSeen);
         
-        for (let i = 0; i < scripts.length; i++) {
-            if (scripts[i].src.includes('security.js') || 
-                scripts[i].textContent.includes('class SecurityManager')) {
-                scriptContent = scripts[i].textContent;
-                break;
-            }
-        }
+        const buttonStyle = `
+            padding: 6px 12px;
+            color: white;
+            border: none;
+            border-radius: 5px;
+            font-size: 12px;
+            cursor: pointer;
+        `;
         
-        if (!scriptContent) return false;
+        const renameBtn = document.createElement('button');
+        renameBtn.textContent = 'Rename';
+        renameBtn.style.cssText = buttonStyle + 'background: rgba(255, 255, 255, 0.1);';
+        renameBtn.addEventListener('click', () => this.renameDevice(device));
         
-        const signatureMatch = scriptContent.match(/\/\/ SIGNATURE:([a-f0-9]+)/);
-        if (!signatureMatch) return false;
+        const deactivateBtn = document.createElement('button');
+        deactivateBtn.textContent = 'Deactivate';
+        deactivateBtn.style.cssText = buttonStyle + 'background: #930018;';
+        deactivateBtn.addEventListener('click', () => this.deactivateDevice(device));
         
-        const signature = signatureMatch[1];
-        const content = scriptContent.replace(/\/\/ SIGNATURE:[a-f0-9]+/, '');
+        row.appendChild(info);
+        row.appendChild(renameBtn);
+        row.appendChild(deactivateBtn);
         
-        const calculatedSignature = this.simpleHash(content);
-        return calculatedSignature === signature;
+        return row;
     }
     
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+    async renameDevice(device) {
+        const name = prompt('Device name', device.name || '');
+        if (!name || !name.trim()) {
+            return;
+        }
+        
+        try {
+            const response = await this.authorizedFetch(`/api/devices/${encodeURIComponent(device.id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ name: name.trim() })
+            });
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Could not rename device');
+            }
+            
+            await this.renderDevices();
+        } catch (error) {
+            document.getElementById('devices-error').textContent = error.message;
         }
-        return Math.abs(hash).toString(16);
     }
     
-    async validateWithServer() {
-        if (this.devMode) return true;
+    async deactivateDevice(device) {
+        const message = device.current
+            ? 'Deactivate this device? You will be signed out here.'
+            : `Deactivate "${device.name || 'Unnamed device'}"? It will be signed out and its slot freed.`;
+        
+        if (!confirm(message)) {
+            return;
+        }
         
         try {
-            const requestId = this.generateRequestId();
-            const fingerprint = this.getScriptFingerprint();
-            
-            const response = await fetch('https://your-secure-server.com/validate', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Request-ID': requestId
-                },
-                body: JSON.stringify({
-                    fingerprint: fingerprint,
-                    timestamp: Date.now()
-                })
+            const response = await this.authorizedFetch(`/api/devices/${encodeURIComponent(device.id)}`, {
+                method: 'DELETE'
             });
+            const result = await response.json();
             
-            if (!response.ok) {
-                throw new Error('Server validation failed');
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Could not deactivate device');
             }
             
-            const data = await response.json();
-            
-            if (!data.valid) {
-                this.handleTampering();
+            if (device.current) {
+                // This session was revoked along with the device
+                clearTimeout(this.sessionRefreshTimer);
+                localStorage.removeItem('psychStudioAuth');
+                location.reload();
+                return;
             }
             
-            return true;
+            await this.renderDevices();
         } catch (error) {
-            console.error('Server validation error:', error);
-            return false;
+            document.getElementById('devices-error').textContent = error.message;
         }
     }
     
-    generateRequestId() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            const r = Math.random() * 16 | 0;
-            const v = c == 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
-    }
-    
-    getScriptFingerprint() {
-        const scripts = document.getElementsByTagName('script');
-        let scriptContent = '';
+    async logout() {
+        clearTimeout(this.sessionRefreshTimer);
         
-        for (let i = 0; i < scripts.length; i++) {
-            if (scripts[i].src.includes('security.js') || 
-                scripts[i].textContent.includes('class SecurityManager')) {
-                scriptContent = scripts[i].textContent;
-                break;
+        // Revoke the session on the server so its tokens stop working everywhere
+        const authData = this.getAuthData();
+        if (authData && authData.token) {
+            try {
+                await fetch(`${this.API_URL}/api/logout`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${authData.token}`
+                    },
+                    body: JSON.stringify({
+                        refresh_token: authData.refreshToken
+                    })
+                });
+            } catch (error) {
+                console.error('Logout request failed:', error);
             }
         }
         
-        return btoa(scriptContent)
-            .replace(/[^a-zA-Z0-9]/g, '')
-            .substring(0, 32);
+        this.keyVault.lock();
+        localStorage.removeItem('psychStudioAuth');
+        this.resetSecurityState();
+        location.reload();
     }
     
-    handleTampering() {
-        localStorage.clear();
-        sessionStorage.clear();
-        
-        document.body.innerHTML = `
-            <div style="
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: #000;
-                color: #f00;
-                display: flex;
-                flex-direction: column;
-                justify-content: center;
-                align-items: center;
-                font-family: monospace;
-                z-index: 999999;
-            ">
-                <h1>SECURITY BREACH DETECTED</h1>
-                <p>The application has been tampered with.</p>
-                <p>All data has been erased.</p>
-            </div>
-        `;
+    // Downloads every content pack the license is entitled to and decrypts it.
+    // Each asset lands in the registry (see getProtectedAsset) and is announced
+    // with a `psychstudio:content-loaded` event; `psychstudio:content-ready`
+    // fires once the whole manifest has been processed. Safe to call more than
+    // once - later calls share the first load.
+    loadProtectedFiles() {
+        if (!this.protectedContentPromise) {
+            this.protectedContentPromise = this.fetchProtectedFiles().catch(error => {
+                this.protectedContentPromise = null;
+                throw error;
+            });
+        }
         
-        throw new Error("Security script tampered with");
+        return this.protectedContentPromise;
     }
     
-    loadSecurityState() {
-        const securityState = localStorage.getItem('psychStudioSecurity');
+    async fetchProtectedFiles() {
+        const response = await this.authorizedFetch('/api/content/manifest');
+        const manifest = await response.json();
         
-        if (securityState) {
-            try {
-                const state = JSON.parse(securityState);
-                this.attemptCount = state.attemptCount || 0;
-                this.lockoutEndTime = state.lockoutEndTime || 0;
-                
-                if (this.lockoutEndTime > 0 && new Date().getTime() > this.lockoutEndTime) {
-                    this.resetSecurityState();
-                } else {
-                    this.isLocked = this.lockoutEndTime > 0;
-                }
-            } catch (e) {
-                this.resetSecurityState();
-            }
-        } else {
-            this.resetSecurityState();
+        if (!response.ok || !manifest.success) {
+            throw new Error(manifest.error || 'Could not load content manifest');
         }
-    }
-    
-    saveSecurityState() {
-        const state = {
-            attemptCount: this.attemptCount,
-            lockoutEndTime: this.lockoutEndTime
-        };
-        localStorage.setItem('psychStudioSecurity', JSON.stringify(state));
-    }
-    
-    resetSecurityState() {
-        this.attemptCount = 0;
-        this.isLocked = false;
-        this.lockoutEndTime = 0;
-        this.saveSecurityState();
-    }
-    
-    lockout() {
-        this.isLocked = true;
-        this.lockoutEndTime = new Date().getTime() + this.lockoutTime;
-        this.saveSecurityState();
         
-        this.showError('Too many failed attempts. Application locked for 300 seconds.');
-        
-        const attemptsLeft = document.getElementById('attempts-left');
-        if (attemptsLeft) {
-            attemptsLeft.textContent = 'Application locked. Please wait...';
-        }
+        // Downloads are encrypted for this session with the key that came with the manifest
+        const contentEncryption = new FileEncryption(manifest.content_key, { kdf: FileCipher.KDF_HKDF_SHA256 });
+        const failed = [];
         
-        this.startLockoutCountdown();
-    }
-    
-    startLockoutCountdown() {
-        const countdown = setInterval(() => {
-            const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
-            
-            if (remainingTime <= 0) {
-                clearInterval(countdown);
-                this.isLocked = false;
-                this.attemptCount = 0;
-                this.saveSecurityState();
-                this.updateAttemptsDisplay();
-            } else {
-                const attemptsLeft = document.getElementById('attempts-left');
-                if (attemptsLeft) {
-                    attemptsLeft.textContent = `Application locked. Try again in ${remainingTime} seconds.`;
+        try {
+            for (const asset of manifest.assets) {
+                if (this.protectedContent.has(asset.id)) {
+                    continue;
+                }
+                
+                try {
+                    const entry = await this.downloadProtectedAsset(asset, contentEncryption);
+                    this.protectedContent.set(asset.id, entry);
+                    window.dispatchEvent(new CustomEvent('psychstudio:content-loaded', { detail: entry }));
+                } catch (error) {
+                    console.error(`[Security] Could not load ${asset.name}:`, error);
+                    failed.push(asset.id);
                 }
             }
-        }, 1000);
-    }
-    
-    updateAttemptsDisplay() {
-        const attemptsLeft = document.getElementById('attempts-left');
-        if (attemptsLeft) {
-            if (this.isLocked) {
-                const remainingTime = Math.ceil((this.lockoutEndTime - new Date().getTime()) / 1000);
-                attemptsLeft.textContent = `Application locked. Try again in ${remainingTime} seconds.`;
-            } else {
-                attemptsLeft.textContent = `Attempts remaining: ${this.maxAttempts - this.attemptCount}`;
-            }
-        }
-    }
-    
-    showError(message) {
-        const errorElement = document.getElementById('error-message');
-        if (errorElement) {
-            errorElement.textContent = message;
-            setTimeout(() => {
-                errorElement.textContent = '';
-            }, 5000);
+        } finally {
+            contentEncryption.terminate();
         }
+        
+        console.log(`[Security] Loaded ${this.protectedContent.size} protected asset(s)`);
+        window.dispatchEvent(new CustomEvent('psychstudio:content-ready', {
+            detail: { assets: [...this.protectedContent.values()], failed }
+        }));
+        
+        return this.protectedContent;
     }
     
-    showApp() {
-        // Remove login screen
-        const loginScreen = document.getElementById('login-screen');
-        if (loginScreen) {
-            if (this.backgroundCanvas) {
-                this.backgroundCanvas.destroy();
-                this.backgroundCanvas = null;
-            }
-            loginScreen.remove();
-        }
+    async downloadProtectedAsset(asset, contentEncryption) {
+        const response = await this.authorizedFetch(asset.url, { method: 'GET' });
         
-        // Show the original background canvas
-        const existingCanvas = document.getElementById('backgroundCanvas');
-        if (existingCanvas) {
-            existingCanvas.style.display = 'block';
+        if (!response.ok) {
+            throw new Error(`Download failed: ${response.status} ${response.statusText}`);
         }
         
-        // Show the app container
-        const appContainer = document.querySelector('.app-container');
-        if (appContainer) {
-            appContainer.style.display = 'flex';
-            window.dispatchEvent(new Event('resize'));
+        const blob = await contentEncryption.decryptFile(await response.blob());
+        
+        // GCM already proves the download is intact - this proves it is the asset the manifest named
+        if (await this.digestHex(await blob.arrayBuffer()) !== asset.sha256) {
+            throw new Error('Content does not match its manifest checksum');
         }
+        
+        return {
+            id: asset.id,
+            name: asset.name,
+            type: asset.type,
+            version: asset.version,
+            entitlement: asset.entitlement,
+            blob
+        };
     }
     
-    logout() {
-        localStorage.removeItem('psychStudioAuth');
-        this.resetSecurityState();
-        location.reload();
+    // Decrypted content pack by id, or null if it isn't loaded (or not licensed)
+    getProtectedAsset(id) {
+        return this.protectedContent.get(id) || null;
     }
     
-    async loadProtectedFiles() {
-
+    listProtectedAssets(type) {
+        const assets = [...this.protectedContent.values()];
+        return type ? assets.filter(asset => asset.type === type) : assets;
     }
 }
 
 document.addEventListener('DOMContentLoaded', async () => {
     window.securityManager = new SecurityManager();
 });
-//SIGNATURE:7c3d5a1b8e9f2c4d6a0b7e1f3c5a8d9e2b4f6a1c
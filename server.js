@@ -1,57 +1,263 @@
 // server.js
 const express = require('express');
+const cors = require('cors');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LicenseStore } = require('./license-store');
+const { LicenseSigner } = require('./license-signing');
+const { createAdminRouter } = require('./admin-routes');
+const { SessionTokens } = require('./session-tokens');
+const { PasswordHasher } = require('./passwords');
+const { matchDevice, identifyDevice } = require('./device-matching');
+const { ContentLibrary } = require('./content-library');
+const { KeyEscrow } = require('./key-escrow');
+const { BuildAllowlist } = require('./build-allowlist');
+const { RateLimiter } = require('./rate-limiter');
+const { createGuards, parseAdminKeys, assertRoutesGuarded } = require('./authorization');
+const { AuditLog, hashLicense } = require('./audit-log');
+const { TamperReportLog } = require('./tamper-report-log');
+const { Mailer } = require('./mailer');
 const app = express();
 const port = 3000;
 
-// Security codes - Only these codes are accepted
-const validSecurityCodes = [
-    // String codes
-    "020PSY969666POWER900", "030PSY969666POWER800", "040PSY969666POWER700", "050PSY969666POWER600", 
-    "060PSY969666POWER500", "070PSY969666POWER400", "080PSY969666POWER300", "090PSY969666POWER200", 
-    "100PSY969666POWER001", "200PSY969666POWER002", "0a2b0c9x6y9z61626392010", "0a2b0c9x6y9z62626392010", 
-    "0a2b0c9x6z9z62696392010", "0a2b0c9x6y9w62626392810", "0a2f0c9x6y9z62626390010", 
-    "0a2bhc9x6y9z62w26392010", "0a2x0c9xwy9z6262y392010",
-    // Unicode codes
-    "⹿⺀⺁⺂⺃⺄⺅⺆⺇⺈⺉⺊⺋⺌⺍⺎⺏⺐⺑⺒⺓⺔⺕⺖⺗⺘⺙⺚⺛⭖⭗⭘⭙⭚⭛⭜⭝⭞⭟⭠⭡⭢⭣⭤⭥⭦⭧⭨⭩⭪⭫⭬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⮷⮸⮹⮺⮻⮼⮽⮾⮿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌⰍⰎⰏⰐⰑⰒⰓⰔⰕⰖⰗⰘⰙⰚⰛⰜⰝⰞⰟⰠⰡⰢⰣⰤⰥⰦⰧⰨⰩⰪⰫⰬⰭⰮⰰⰱⰲⰳⰴⰵⰶⰷⰸⰹⰺⰻⰼⰽⰾⰿⱀⱁⱂⱃⱄⱅⱆⱇⱈⱉⱊⱋⱌⱍⱎⱏⱐⱑⱒⱓⱔⱕⱖⱗⱘⱙⱚⱛⱜⱝⱞⱟⱠⱡⱢⱣⱤⱥⱦⱧⱨⱩⱪⱫⱬⱭⱮⱯⱰⱱⱲⱳⱴⱵⱶⱷⱸⱹⱺⱻⱼⱽⱾⱿⲀⲁⲂⲃⲄⲅⲆⲇⲈⲉⲊⲋⲌⲍⲎⲏⲐⲑⲒⲓⲔⲕ",
-    "⯿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌ⭖⭗⭘⭙⭚⭛⭜⭝⭞⭟⭠⭡⭢⭣⭤⭥⭦⭧⭨⭩⭪⭫⭬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⮷⮸⮹⮺⮻⮼⮽⮾⮿⯀⯁⯂⯃⯄⯅⯆⯇⯈⯉⯊⯋⯌⯍⯎⯏⯐⯑⯒⯓⯔⯕⯖⯗⯘⯙⯚⯛⯜⯝⯞⯟⯠⯡⯢⯣⯤⯥⯦⯧⯨⯩⯪⯫⯬⯭⯮⯯⯰⯱⯲⯳⯴⯵⯶⯷⯸⯹⯺⯻⯼⯽⯾⯿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌⰍⰎⰏⰐⰑⰒⰓⰔⰕⰖⰗⰘⰙⰚⰛⰜⰝⰞⰟⰠⰡⰢⰣⰤⰥⰦⰧⰨⰩⰪⰫⰬⰭⰮⰰⰱⰲⰳⰴⰵⰶⰷⰸⰹⰺⰻⰼⰽⰾⰿⱀⱁⱂⱃⱄⱅⱆⱇⱈⱉⱊⱋⱌⱍⱎⱏⱐⱑⱒⱓⱔⱕⱖⱗⱘⱙⱚⱛⱜⱝⱞⱟⱠⱡⱢⱣⱤⱥⱦⱧⱨⱩⱪⱫⱬⱭⱮⱯⱰⱱⱲⱳⱴⱵⱶⱷⱸⱹⱺⱻⱼⱽⱾⱿⲀⲁⲂⲃⲄⲅⲆⲇⲈⲉⲊⲋⲌⲍⲎⲏⲐⲑⲒⲓⲔⲕ",
-    "⺃⺄⺅⺆⺇⺈⺉⺊⺋⺌⺍⺎⺏⺐⺑⺒⺓⺔⺕⺖⺗⺘⺙⺚⺛⭖⭗⭘⭙⭚⭛⭜⭝⭞⭟⭠⭡⭢⭣⭤⭥⭦⭧⭨⭩⭪⭫⭬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⭷⭸⭹⭺⭻⭼⭽⭾⭿⮀⮁⮂⮃⮄⮅⮆⮇⮈⮉⮊⮋⮌⮍⮎⮏⮐⮑⮒⮓⮔⮕⮖⮗⮘⮙⮚⮛⮜⮝⮞⮟⮠⮡⮢⮣⮤⮥⮦⮧⮨⮩⮪⮫⮬⮭⮮⮯⮰⮱⮲⮳⮴⮵⮶⮷⮸⮹⮺⮻⮼⮽⮾⮿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌⰍⰎⰏⰐⰑⰒⰓⰔⰕⰖⰗⰘⰙⰚⰛⰜⰝⰞⰟⰠⰡⰢⰣⰤⰥⰦⰧⰨⰩⰪⰫⰬⰭⰮⰰⰱⰲⰳⰴⰵⰶⰷⰸⰹⰺⰻⰼⰽⰾⰿⱀⱁⱂⱃⱄⱅⱆⱇⱈⱉⱊⱋⱌⱍⱎⱏⱐⱑⱒⱓⱔⱕⱖⱗⱘⱙⱚⱛⱜⱝⱞⱟⱠⱡⱢⱣⱤⱥⱦⱧⱨⱩⱪⱫⱬⱭⱮⱯⱰⱱⱲⱳⱴⱵⱶⱷⱸⱹⱺⱻⱼⱽⱾⱿⲀⲁⲂⲃⲄⲅⲆⲇⲈⲉⲊⲋⲌⲍⲎⲏⲐⲑⲒⲓⲔⲕ",
-    "⮷⮸⮹⮺⮻⮼⮽⮾⮿⯀⯁⯂⯃⯄⯅⯆⯇⯈⯉⯊⯋⯌⯍⯎⯏⯐⯑⯒⯓⯔⯕⯖⯗⯘⯙⯚⯛⯜⯝⯞⯟⯠⯡⯢⯣⯤⯥⯦⯧⯨⯩⯪⯫⯬⯭⯮⯯⯰⯱⯲⯳⯴⯵⯶⯷⯸⯹⯺⯻⯼⯽⯾⯿ⰀⰁⰂⰃⰄⰅⰆⰇⰈⰉⰊⰋⰌⰍⰎⰏⰐⰑⰒⰓⰔⰕⰖⰗⰘⰙⰚⰛⰜⰝⰞⰟⰠⰡⰢⰣⰤⰥⰦⰧⰨⰩⰪⰫⰬⰭⰮⰰⰱⰲⰳⰴⰵⰶⰷⰸⰹⰺⰻⰼⰽⰾⰿⱀⱁⱂⱃⱄⱅⱆⱇⱈⱉⱊⱋⱌⱍⱎⱏⱐⱑⱒⱓⱔⱕⱖⱗⱘⱙⱚⱛⱜⱝⱞⱟⱠⱡⱢⱣⱤⱥⱦⱧⱨⱩⱪⱫⱬⱭⱮⱯⱰⱱⱲⱳⱴⱵⱶⱷⱸⱹⱺⱻⱼⱽⱾⱿⲀⲁⲂⲃⲄⲅⲆⲇⲈⲉⲊⲋⲌⲍⲎⲏⲐⲑⲒⲓⲔⲕ⹿⺀⺁⺂⺃⺄⺅⺆⺇⺈⺉⺊⺋⺌⺍⺎⺏⺐⺑⺒⺓⺔⺕⺖⺗⺘⺙⺚⺛⭖⭗⭘⭙⭚⭛⭜⭝⭞⭟⭠⭡⭢⭣⭤⭥⭦⭧⭨⭩⭪⭫⭬⭭⭮⭯⭰⭱⭲⭳⭴⭵⭶"
-];
+// Persistent state lives here - on Render this is the mounted disk at /app/data
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-app.use(express.json());
+// Released client builds that /api/attest vouches for
+const BUILD_ALLOWLIST_FILE = process.env.BUILD_ALLOWLIST_FILE || path.join(DATA_DIR, 'build-allowlist.json');
+
+// How long a signed attestation verdict stays valid
+const ATTESTATION_TTL_MS = 5 * 60 * 1000;
+
+// Brute-force limits. Failed credential checks count against the caller's IP
+// and, where there is one, the account being guessed; reaching a limit locks
+// that key out, doubling the lockout each time it happens again. Separately,
+// each IP gets a ceiling on auth requests of any outcome.
+const ipFailures = new RateLimiter({ windowMs: 15 * 60 * 1000, limit: 20, baseLockoutMs: 60 * 1000, maxLockoutMs: 60 * 60 * 1000 });
+const accountFailures = new RateLimiter({ windowMs: 15 * 60 * 1000, limit: 5, baseLockoutMs: 30 * 1000, maxLockoutMs: 60 * 60 * 1000 });
+const authRequests = new RateLimiter({ windowMs: 60 * 1000, limit: 60, baseLockoutMs: 60 * 1000, maxLockoutMs: 15 * 60 * 1000 });
+
+// Tamper signals the client reports, and the most diagnostic detail kept per report
+const TAMPER_REASONS = ['integrity_unavailable', 'integrity_mismatch', 'signature_invalid', 'build_rejected'];
+const MAX_TAMPER_DETAILS_BYTES = 4096;
+
+// A failing client reports once per page load - more than a few an hour from
+// one install or address is a script, not a customer
+const tamperReportLimiter = new RateLimiter({ windowMs: 60 * 60 * 1000, limit: 10, baseLockoutMs: 60 * 60 * 1000, maxLockoutMs: 24 * 60 * 60 * 1000 });
+
+// Protected content packs and their manifest.json
+const CONTENT_DIR = process.env.CONTENT_DIR || path.join(DATA_DIR, 'content');
+
+// Access tokens are short-lived; the refresh token keeps a session alive this
+// long after its last refresh
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
 
-// Middleware to validate security code on all routes except health check
-app.use((req, res, next) => {
-    // Allow health check without authentication
-    if (req.path === '/health') {
-        return next();
+// scrypt cost for new password hashes - raising these upgrades existing
+// hashes the next time each user signs in
+const PASSWORD_COST = {
+    N: Number(process.env.PASSWORD_SCRYPT_N) || 32768,
+    r: Number(process.env.PASSWORD_SCRYPT_R) || 8,
+    p: Number(process.env.PASSWORD_SCRYPT_P) || 1
+};
+
+// One-time links sent by email, and how many a single address may be sent an
+// hour - enough to retry a lost message, too few to flood someone's inbox
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const accountEmails = new RateLimiter({ windowMs: 60 * 60 * 1000, limit: 5, baseLockoutMs: 60 * 60 * 1000, maxLockoutMs: 24 * 60 * 60 * 1000 });
+
+// Where the client is served - email links open it with the token in the
+// fragment. Without it, emails carry only the token for the user to paste.
+const APP_URL = process.env.APP_URL;
+
+// Each license can be used on this many devices at once
+const MAX_DEVICES_PER_LICENSE = 3;
+
+// How long a signed .psylic file is honoured offline, and what it unlocks by default
+const LICENSE_FILE_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const DEFAULT_ENTITLEMENTS = ['pro'];
+
+// Optional JSON file with an array of license codes, used to seed a brand new
+// license store. Codes are never kept in source - once seeded, the store is the
+// only place they live.
+const LICENSE_SEED_FILE = process.env.LICENSE_SEED_FILE;
+
+function loadSeedCodes() {
+    if (!LICENSE_SEED_FILE || !fs.existsSync(LICENSE_SEED_FILE)) {
+        return [];
     }
     
-    const securityCode = req.headers['x-security-code'] || req.body?.securityCode;
-    
-    if (!securityCode || !validSecurityCodes.includes(securityCode)) {
-        console.log('[Security] Unauthorized access attempt - Invalid or missing security code');
-        return res.status(401).json({ 
-            valid: false,
-            error: 'Unauthorized: Invalid security code'
+    const codes = JSON.parse(fs.readFileSync(LICENSE_SEED_FILE, 'utf8'));
+    return Array.isArray(codes) ? codes : [];
+}
+
+// A deployed server must be handed its secrets. Ones generated into DATA_DIR
+// go with the disk, and losing them signs everyone out, invalidates every
+// issued .psylic file and leaves escrowed keys sealed for good.
+const PRODUCTION_SECRETS = ['LICENSE_SIGNING_KEY', 'SESSION_SECRET', 'KEY_ESCROW_KEY'];
+
+if (process.env.NODE_ENV === 'production') {
+    const missingSecrets = PRODUCTION_SECRETS.filter(name => !process.env[name]);
+    if (missingSecrets.length > 0) {
+        throw new Error(`${missingSecrets.join(', ')} must be set when NODE_ENV=production`);
+    }
+}
+
+const store = new LicenseStore({ dataDir: DATA_DIR, seedCodes: loadSeedCodes() }).open();
+const licenseSigner = new LicenseSigner({ dataDir: DATA_DIR, privateKeyPem: process.env.LICENSE_SIGNING_KEY });
+const sessionTokens = new SessionTokens({
+    dataDir: DATA_DIR,
+    secret: process.env.SESSION_SECRET,
+    accessTtlMs: ACCESS_TOKEN_TTL_MS
+});
+const passwordHasher = new PasswordHasher({ cost: PASSWORD_COST });
+const contentLibrary = new ContentLibrary({ contentDir: CONTENT_DIR, dataDir: DATA_DIR }).open();
+const keyEscrow = new KeyEscrow({ dataDir: DATA_DIR, escrowKey: process.env.KEY_ESCROW_KEY });
+const buildAllowlist = new BuildAllowlist({ file: BUILD_ALLOWLIST_FILE }).open();
+const auditLog = new AuditLog({ dataDir: DATA_DIR }).open();
+const tamperReports = new TamperReportLog({ dataDir: DATA_DIR }).open();
+const mailer = new Mailer({
+    transport: process.env.MAIL_TRANSPORT,
+    from: process.env.MAIL_FROM || 'Psychological Studio <no-reply@psystudio.app>',
+    dataDir: DATA_DIR,
+    production: process.env.NODE_ENV === 'production'
+});
+const adminKeys = parseAdminKeys(process.env);
+
+// Codes that shipped in plain text in early source are public knowledge, but
+// unredeemed ones may also have been sold - so retiring them is the operator's
+// call, and every code retired is written to the audit log
+const legacyPublicCodes = store.listLegacyPublicCodes();
+if (legacyPublicCodes.length > 0 && process.env.RETIRE_LEGACY_CODES === 'true') {
+    for (const { code, replacedBy } of store.retireLegacyPublicCodes()) {
+        auditLog.record({
+            event: 'license.retire_legacy',
+            result: 'success',
+            actor: 'system',
+            license: code,
+            details: { replaced_by: hashLicense(replacedBy) }
         });
     }
+    console.log(`[Store] Retired ${legacyPublicCodes.length} legacy public license code(s) - redeemed ones moved to fresh codes`);
+} else if (legacyPublicCodes.length > 0) {
+    console.warn(`[Store] ${legacyPublicCodes.length} license code(s) published in early source are still active. ` +
+        'Set RETIRE_LEGACY_CODES=true to revoke them - redeemed ones move to fresh codes, unredeemed ones stop working.');
+}
+const guards = createGuards({ findSession: findActiveSession, adminKeys, auditLog });
+
+// Behind Render's proxy the client address is in X-Forwarded-For - TRUST_PROXY
+// says how many proxy hops to trust, so per-IP limits see real clients
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+app.use(cors());
+app.use(express.json());
+
+// Audit entry for something a request did - fills in the caller's IP
+function audit(req, event, result, fields = {}) {
+    auditLog.record({ event, result, ip: req.ip, ...fields });
+}
+
+function clientKey(req) {
+    return `ip:${req.ip}`;
+}
+
+function rejectRateLimited(res, retryAfterMs) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
     
-    next();
-});
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({
+        success: false,
+        error: `Too many attempts. Try again in ${seconds} seconds.`,
+        error_code: 'RATE_LIMITED',
+        retry_after: seconds
+    });
+}
+
+// Route guard for auth endpoints - turns away locked-out callers and counts
+// the request. `accountOf(body, req)` names the account a credential check is for.
+function limitAttempts(accountOf) {
+    return (req, res, next) => {
+        const ip = clientKey(req);
+        const account = accountOf ? accountOf(req.body || {}, req) : null;
+        
+        const retryAfterMs = Math.max(
+            authRequests.retryAfter(ip),
+            ipFailures.retryAfter(ip),
+            account ? accountFailures.retryAfter(account) : 0
+        );
+        if (retryAfterMs > 0) {
+            return rejectRateLimited(res, retryAfterMs);
+        }
+        
+        const lockoutMs = authRequests.record(ip);
+        if (lockoutMs > 0) {
+            console.log(`[Security] Rate limit - Too many auth requests from ${req.ip}`);
+            audit(req, 'auth.lockout', 'blocked', { reason: 'TOO_MANY_REQUESTS', details: { scope: 'ip', lockout_ms: lockoutMs } });
+            return rejectRateLimited(res, lockoutMs);
+        }
+        
+        req.rateLimit = { ip, account };
+        next();
+    };
+}
+
+function accountOfUsername(body) {
+    return typeof body.username === 'string' && body.username ? `account:${body.username}` : null;
+}
+
+// For password re-checks on routes that already require a session
+function accountOfSession(body, req) {
+    return `account:${req.authSession.username}`;
+}
+
+function recordFailedAttempt(req) {
+    const { ip, account } = req.rateLimit;
+    
+    const ipLockoutMs = ipFailures.record(ip);
+    if (ipLockoutMs > 0) {
+        console.log(`[Security] Rate limit - ${req.ip} locked out after repeated failures`);
+        audit(req, 'auth.lockout', 'blocked', { reason: 'TOO_MANY_FAILURES', details: { scope: 'ip', lockout_ms: ipLockoutMs } });
+    }
+    
+    const accountLockoutMs = account ? accountFailures.record(account) : 0;
+    if (accountLockoutMs > 0) {
+        console.log(`[Security] Rate limit - ${account} locked out after repeated failures`);
+        audit(req, 'auth.lockout', 'blocked', {
+            actor: req.body.username,
+            reason: 'TOO_MANY_FAILURES',
+            details: { scope: 'account', lockout_ms: accountLockoutMs }
+        });
+    }
+}
+
+function recordSuccessfulAttempt(req) {
+    if (req.rateLimit.account) {
+        accountFailures.reset(req.rateLimit.account);
+    }
+}
+
+app.use('/admin', createAdminRouter({ store, auditLog, tamperReports, requireAdmin: guards.admin, issueLicenseFile }));
 
 // Health check endpoint (no authentication required)
-app.get('/health', (req, res) => {
+app.get('/health', guards.public, (req, res) => {
     res.json({ status: 'Server is running' });
 });
 
-// Validation endpoint
-app.post('/validate', (req, res) => {
+// Legacy validation endpoint - checks a license code without opening a session
+app.post('/validate', guards.public, limitAttempts(), (req, res) => {
     const { fingerprint, timestamp, code } = req.body;
     
     // Check if code is in our list of valid security codes
-    const isValid = validSecurityCodes.includes(code);
+    const isValid = store.isLicenseActive(code);
+    
+    if (!isValid) {
+        recordFailedAttempt(req);
+        audit(req, 'license.validate', 'failure', { reason: 'INVALID_CODE' });
+    }
     
     console.log(`[Security] Validation request - Code valid: ${isValid}`);
     
@@ -59,16 +265,18 @@ app.post('/validate', (req, res) => {
     res.json({ valid: isValid });
 });
 
-// Authenticate endpoint
-app.post('/authenticate', (req, res) => {
+// Legacy authenticate endpoint - checks a license code without opening a session
+app.post('/authenticate', guards.public, limitAttempts(), (req, res) => {
     const { code } = req.body;
     
-    if (validSecurityCodes.includes(code)) {
+    if (store.isLicenseActive(code)) {
         res.json({ 
             authenticated: true,
             message: 'Authentication successful'
         });
     } else {
+        recordFailedAttempt(req);
+        audit(req, 'license.validate', 'failure', { reason: 'INVALID_CODE' });
         res.status(401).json({ 
             authenticated: false,
             error: 'Authentication failed: Invalid security code'
@@ -76,15 +284,1252 @@ app.post('/authenticate', (req, res) => {
     }
 });
 
+// Verifies a password and, when it matches, transparently rehashes legacy or
+// outdated hashes with the current scrypt cost
+async function checkPassword(password, user) {
+    if (typeof password !== 'string' || !(await passwordHasher.verify(password, user))) {
+        return false;
+    }
+    
+    if (passwordHasher.needsRehash(user)) {
+        store.setUserPasswordHash(user.username, await passwordHasher.hash(password));
+        console.log(`[Security] Upgraded password hash for ${user.username}`);
+    }
+    
+    return true;
+}
+
+function createSession(username, licenseCode, device) {
+    const { session, refreshToken } = store.createSession({
+        username,
+        licenseCode,
+        hardwareID: device.hardwareID,
+        deviceId: device.id,
+        refreshExpiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+    
+    return issueTokens(session, refreshToken);
+}
+
+// Access token plus refresh token, in the shape every sign-in route returns
+function issueTokens(session, refreshToken) {
+    const access = sessionTokens.signAccessToken({ sessionId: session.id, username: session.username });
+    
+    return {
+        session_token: access.token,
+        expires_at: access.expiresAt.toISOString(),
+        refresh_token: refreshToken,
+        refresh_expires_at: session.refreshExpiresAt
+    };
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer (.+)$/);
+    return match ? match[1] : null;
+}
+
+// Looks up the session behind a bearer access token. Sessions only stay valid
+// while they are unrevoked and their license is active, so revoking or
+// suspending a code ends them all.
+function findActiveSession(req) {
+    const claims = sessionTokens.verifyAccessToken(getBearerToken(req));
+    
+    if (!claims) {
+        return null;
+    }
+    
+    const session = store.getSession(claims.sid);
+    
+    if (!store.isSessionActive(session) || !store.isLicenseActive(session.licenseCode)) {
+        return null;
+    }
+    
+    return session;
+}
+
+function licenseEntitlements(license) {
+    return license.entitlements || DEFAULT_ENTITLEMENTS;
+}
+
+// Signed .psylic file bound to the account and device that just signed in, or
+// to neither for a file issued ahead of activation
+function issueLicenseFile(username, licenseCode, hardwareID) {
+    const license = store.getLicense(licenseCode);
+    
+    return licenseSigner.signLicense({
+        licenseCode,
+        username,
+        hardwareID,
+        entitlements: licenseEntitlements(license),
+        expiresAt: new Date(Date.now() + LICENSE_FILE_TTL_MS)
+    });
+}
+
+// Registers the device on the license, or refreshes it if already known -
+// including when its fingerprint has drifted slightly since it was last seen.
+// Returns null when the device is new and the license is at its device limit.
+function registerDevice(licenseCode, hardwareID, signals, name) {
+    const device = matchDevice(store.listDevices(licenseCode), { hardwareID, signals });
+    
+    if (device) {
+        return store.touchDevice(device, { hardwareID, signals });
+    }
+    
+    if (store.listDevices(licenseCode).length >= MAX_DEVICES_PER_LICENSE) {
+        return null;
+    }
+    
+    return store.addDevice(licenseCode, hardwareID, signals, sanitizeDeviceName(name));
+}
+
+// Friendly device names are shown back to the user, so keep them short and plain
+function sanitizeDeviceName(name) {
+    if (typeof name !== 'string') {
+        return null;
+    }
+    
+    const trimmed = name.replace(/[\u0000-\u001f]/g, '').trim().slice(0, 60);
+    return trimmed || null;
+}
+
+function serializeDevice(device, session) {
+    return {
+        id: device.id,
+        name: device.name,
+        first_seen: device.firstSeen,
+        last_seen: device.lastSeen,
+        current: device.id === session.deviceId
+    };
+}
+
+function rejectDeviceLimit(res) {
+    return res.status(403).json({
+        success: false,
+        error: `Device limit reached. This license can be used on up to ${MAX_DEVICES_PER_LICENSE} devices.`,
+        error_code: 'DEVICE_LIMIT_REACHED'
+    });
+}
+
+// Accounts registered with an email must confirm it before signing in
+function isEmailVerified(user) {
+    return !user.email || Boolean(user.emailVerifiedAt);
+}
+
+function rejectUnverifiedEmail(res) {
+    return res.status(403).json({
+        success: false,
+        error: 'Please confirm your email address first - check your inbox for the verification link',
+        error_code: 'EMAIL_NOT_VERIFIED'
+    });
+}
+
+function rejectRedeemedCode(res) {
+    return res.status(409).json({
+        success: false,
+        error: 'This license code has already been redeemed by another account',
+        error_code: 'CODE_ALREADY_REDEEMED'
+    });
+}
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+
+// Usernames key the account map, so names like __proto__ that collide with
+// Object.prototype are refused along with anything that isn't a plain string
+function isValidUsername(username) {
+    return typeof username === 'string' && USERNAME_PATTERN.test(username) && !(username in Object.prototype);
+}
+
+function rejectInvalidUsername(res) {
+    return res.status(400).json({
+        success: false,
+        error: 'Usernames are 3-32 letters, digits, dots, dashes or underscores'
+    });
+}
+
+// License activation endpoint - binds a license code to an account and device
+app.post('/api/activate-license', guards.public, limitAttempts(accountOfUsername), async (req, res) => {
+    const {
+        licenseCode, username, password,
+        hardwareID: rawHardwareID, device_signals: rawSignals, device_name: deviceName
+    } = req.body || {};
+    const { hardwareID, signals: deviceSignals } = identifyDevice(rawHardwareID, rawSignals);
+    
+    if (!licenseCode || !username || !password || !hardwareID) {
+        return res.status(400).json({
+            success: false,
+            error: 'License code, username, password and hardware ID are required'
+        });
+    }
+    
+    if (!isValidUsername(username)) {
+        return rejectInvalidUsername(res);
+    }
+    
+    if (typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({
+            success: false,
+            error: 'Password must be at least 6 characters'
+        });
+    }
+    
+    if (!store.isLicenseActive(licenseCode)) {
+        console.log('[Security] Activation rejected - Unknown license code');
+        recordFailedAttempt(req);
+        audit(req, 'license.activate', 'failure', { actor: username, hardwareID, reason: 'INVALID_CODE' });
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid license code',
+            error_code: 'INVALID_CODE'
+        });
+    }
+    
+    const redemption = store.getRedemption(licenseCode);
+    let user = store.getUser(username);
+    
+    if (redemption && redemption.username !== username) {
+        console.log('[Security] Activation rejected - License bound to another account');
+        audit(req, 'license.activate', 'failure', { actor: username, license: licenseCode, hardwareID, reason: 'CODE_ALREADY_REDEEMED' });
+        return rejectRedeemedCode(res);
+    }
+    
+    // Accounts registered without a license take the first one activated on them
+    if (user && user.licenseCode && user.licenseCode !== licenseCode) {
+        audit(req, 'license.activate', 'failure', { actor: username, license: licenseCode, hardwareID, reason: 'USERNAME_TAKEN' });
+        return res.status(409).json({
+            success: false,
+            error: 'Username is already taken'
+        });
+    }
+    
+    if (user && !(await checkPassword(password, user))) {
+        recordFailedAttempt(req);
+        audit(req, 'license.activate', 'failure', { actor: username, license: licenseCode, hardwareID, reason: 'INVALID_PASSWORD' });
+        return res.status(401).json({
+            success: false,
+            error: 'Incorrect password for this license'
+        });
+    }
+    
+    if (user && !isEmailVerified(user)) {
+        audit(req, 'license.activate', 'failure', { actor: username, license: licenseCode, hardwareID, reason: 'EMAIL_NOT_VERIFIED' });
+        return rejectUnverifiedEmail(res);
+    }
+    
+    const passwordHash = user ? null : await passwordHasher.hash(password);
+    
+    // No awaits past this point - the redemption, device and account are written together
+    if (!user && store.getUser(username)) {
+        audit(req, 'license.activate', 'failure', { actor: username, license: licenseCode, hardwareID, reason: 'USERNAME_TAKEN' });
+        return res.status(409).json({
+            success: false,
+            error: 'Username is already taken'
+        });
+    }
+    
+    // First activation redeems the code; later activations by the same account only add devices
+    if (!redemption && store.redeemCode({ licenseCode, username, hardwareID }).error) {
+        audit(req, 'license.activate', 'failure', { actor: username, license: licenseCode, hardwareID, reason: 'CODE_ALREADY_REDEEMED' });
+        return rejectRedeemedCode(res);
+    }
+    
+    const device = registerDevice(licenseCode, hardwareID, deviceSignals, deviceName);
+    
+    if (!device) {
+        console.log(`[Security] Activation rejected - Device limit reached for ${username}`);
+        audit(req, 'license.activate', 'failure', { actor: username, license: licenseCode, hardwareID, reason: 'DEVICE_LIMIT_REACHED' });
+        return rejectDeviceLimit(res);
+    }
+    
+    if (!user) {
+        user = store.createUser({
+            username,
+            licenseCode,
+            passwordHash,
+            keyring: null,
+            email: null,
+            emailVerifiedAt: null,
+            createdAt: new Date().toISOString()
+        });
+    } else if (!user.licenseCode) {
+        store.setUserLicense(username, licenseCode);
+    }
+    
+    const tokens = createSession(username, licenseCode, device);
+    const deviceCount = store.listDevices(licenseCode).length;
+    
+    console.log(`[Security] License activated for ${username} (${deviceCount} device(s))`);
+    recordSuccessfulAttempt(req);
+    audit(req, 'license.activate', 'success', { actor: username, license: licenseCode, hardwareID, details: { device_count: deviceCount } });
+    
+    res.json({
+        success: true,
+        ...tokens,
+        device_count: deviceCount,
+        license_file: issueLicenseFile(username, licenseCode, hardwareID)
+    });
+});
+
+// Login endpoint - signs in an existing account on a registered or new device
+app.post('/api/login', guards.public, limitAttempts(accountOfUsername), async (req, res) => {
+    const {
+        username, password,
+        hardware_id: rawHardwareID, device_signals: rawSignals, device_name: deviceName
+    } = req.body || {};
+    const { hardwareID, signals: deviceSignals } = identifyDevice(rawHardwareID, rawSignals);
+    
+    if (!username || !password || !hardwareID) {
+        return res.status(400).json({
+            success: false,
+            error: 'Username, password and hardware ID are required'
+        });
+    }
+    
+    const user = store.getUser(username);
+    
+    if (!user || !(await checkPassword(password, user))) {
+        console.log('[Security] Login failed - Invalid credentials');
+        recordFailedAttempt(req);
+        audit(req, 'auth.login', 'failure', {
+            actor: username,
+            license: user ? user.licenseCode : null,
+            hardwareID,
+            reason: user ? 'INVALID_PASSWORD' : 'UNKNOWN_USER'
+        });
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid username or password'
+        });
+    }
+    
+    if (!isEmailVerified(user)) {
+        audit(req, 'auth.login', 'failure', { actor: username, license: user.licenseCode, hardwareID, reason: 'EMAIL_NOT_VERIFIED' });
+        return rejectUnverifiedEmail(res);
+    }
+    
+    if (!user.licenseCode || !store.getRedemption(user.licenseCode) || !store.isLicenseActive(user.licenseCode)) {
+        audit(req, 'auth.login', 'failure', { actor: username, license: user.licenseCode, hardwareID, reason: 'LICENSE_INACTIVE' });
+        return res.status(403).json({
+            success: false,
+            error: 'No active license is bound to this account',
+            error_code: 'NO_ACTIVE_LICENSE'
+        });
+    }
+    
+    const device = registerDevice(user.licenseCode, hardwareID, deviceSignals, deviceName);
+    
+    if (!device) {
+        console.log(`[Security] Login rejected - Device limit reached for ${username}`);
+        audit(req, 'auth.login', 'failure', { actor: username, license: user.licenseCode, hardwareID, reason: 'DEVICE_LIMIT_REACHED' });
+        return rejectDeviceLimit(res);
+    }
+    
+    const tokens = createSession(username, user.licenseCode, device);
+    const deviceCount = store.listDevices(user.licenseCode).length;
+    
+    console.log(`[Security] Login successful for ${username} (${deviceCount} device(s))`);
+    recordSuccessfulAttempt(req);
+    audit(req, 'auth.login', 'success', { actor: username, license: user.licenseCode, hardwareID, details: { device_count: deviceCount } });
+    
+    res.json({
+        success: true,
+        ...tokens,
+        device_count: deviceCount,
+        license_file: issueLicenseFile(username, user.licenseCode, hardwareID)
+    });
+});
+
+// Code redemption endpoint - single-use redemption of a license code onto an
+// existing account. The account password is checked exactly as activation
+// checks it, so a session is never issued for a username the caller can't prove.
+app.post('/api/redeem-code', guards.public, limitAttempts(accountOfUsername), async (req, res) => {
+    const {
+        code, username, password,
+        hardwareID: rawHardwareID, device_signals: rawSignals, device_name: deviceName
+    } = req.body || {};
+    const { hardwareID, signals: deviceSignals } = identifyDevice(rawHardwareID, rawSignals);
+    
+    if (!code || !username || !password || !hardwareID) {
+        return res.status(400).json({
+            success: false,
+            error: 'Code, username, password and hardware ID are required'
+        });
+    }
+    
+    const user = store.getUser(username);
+    
+    if (!user || !(await checkPassword(password, user))) {
+        console.log('[Security] Redemption rejected - Invalid credentials');
+        recordFailedAttempt(req);
+        audit(req, 'license.redeem', 'failure', {
+            actor: username,
+            hardwareID,
+            reason: user ? 'INVALID_PASSWORD' : 'UNKNOWN_USER'
+        });
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid username or password'
+        });
+    }
+    
+    if (!isEmailVerified(user)) {
+        audit(req, 'license.redeem', 'failure', { actor: username, hardwareID, reason: 'EMAIL_NOT_VERIFIED' });
+        return rejectUnverifiedEmail(res);
+    }
+    
+    // No awaits past this point - the redemption, license binding and device are written together
+    if (user.licenseCode && user.licenseCode !== code) {
+        audit(req, 'license.redeem', 'failure', { actor: username, hardwareID, reason: 'ACCOUNT_HAS_LICENSE' });
+        return res.status(409).json({
+            success: false,
+            error: 'This account already has a license',
+            error_code: 'ACCOUNT_HAS_LICENSE'
+        });
+    }
+    
+    const result = store.redeemCode({ licenseCode: code, username, hardwareID });
+    
+    if (result.error === 'INVALID_CODE') {
+        console.log('[Security] Redemption rejected - Invalid license code');
+        recordFailedAttempt(req);
+        audit(req, 'license.redeem', 'failure', { actor: username, hardwareID, reason: 'INVALID_CODE' });
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid license code',
+            error_code: 'INVALID_CODE'
+        });
+    }
+    
+    if (result.error === 'CODE_ALREADY_REDEEMED') {
+        console.log(`[Security] Redemption rejected - Code already redeemed by ${result.redemption.username}`);
+        audit(req, 'license.redeem', 'failure', { actor: username, license: code, hardwareID, reason: 'CODE_ALREADY_REDEEMED' });
+        return rejectRedeemedCode(res);
+    }
+    
+    if (!user.licenseCode) {
+        store.setUserLicense(username, code);
+    }
+    
+    const device = registerDevice(code, hardwareID, deviceSignals, deviceName);
+    
+    if (!device) {
+        audit(req, 'license.redeem', 'failure', { actor: username, license: code, hardwareID, reason: 'DEVICE_LIMIT_REACHED' });
+        return rejectDeviceLimit(res);
+    }
+    
+    const tokens = createSession(username, code, device);
+    
+    console.log(`[Security] Code redeemed by ${username}`);
+    recordSuccessfulAttempt(req);
+    audit(req, 'license.redeem', 'success', { actor: username, license: code, hardwareID });
+    
+    res.json({
+        success: true,
+        ...tokens,
+        redeemed_at: result.redemption.redeemedAt,
+        license_file: issueLicenseFile(username, code, hardwareID)
+    });
+});
+
+// Session validation endpoint - confirms a bearer token still maps to an active license
+app.get('/api/session', guards.public, (req, res) => {
+    const session = findActiveSession(req);
+    
+    if (!session) {
+        return res.status(401).json({
+            valid: false,
+            error: 'Session is invalid, expired or its license is no longer active'
+        });
+    }
+    
+    res.json({
+        valid: true,
+        username: session.username,
+        session_expires_at: session.refreshExpiresAt
+    });
+});
+
+// Refresh endpoint - trades a refresh token for a new access token and a new refresh token
+app.post('/api/session/refresh', guards.public, limitAttempts(), (req, res) => {
+    const { refresh_token: refreshToken } = req.body || {};
+    
+    if (!refreshToken) {
+        return res.status(400).json({
+            success: false,
+            error: 'Refresh token is required'
+        });
+    }
+    
+    // Anything but a string can't be a token we issued - fail it like an unknown one
+    const result = typeof refreshToken === 'string'
+        ? store.rotateRefreshToken(refreshToken, new Date(Date.now() + SESSION_TTL_MS))
+        : { error: 'INVALID_REFRESH_TOKEN' };
+    
+    if (result.error) {
+        recordFailedAttempt(req);
+        if (result.error === 'REFRESH_TOKEN_REUSED') {
+            console.log('[Security] Refresh token reuse detected - Session revoked');
+        }
+        audit(req, 'session.refresh', 'failure', { reason: result.error });
+        return res.status(401).json({
+            success: false,
+            error: 'Session has expired or was revoked. Please sign in again.',
+            error_code: result.error
+        });
+    }
+    
+    if (!store.isLicenseActive(result.session.licenseCode)) {
+        audit(req, 'session.refresh', 'failure', {
+            actor: result.session.username,
+            license: result.session.licenseCode,
+            hardwareID: result.session.hardwareID,
+            reason: 'LICENSE_INACTIVE'
+        });
+        return res.status(403).json({
+            success: false,
+            error: 'License is no longer active',
+            error_code: 'LICENSE_INACTIVE'
+        });
+    }
+    
+    audit(req, 'session.refresh', 'success', {
+        actor: result.session.username,
+        license: result.session.licenseCode,
+        hardwareID: result.session.hardwareID
+    });
+    
+    res.json({
+        success: true,
+        ...issueTokens(result.session, result.refreshToken)
+    });
+});
+
+// Logout endpoint - revokes the session behind an access token or refresh token
+app.post('/api/logout', guards.public, (req, res) => {
+    const { refresh_token: refreshToken } = req.body || {};
+    const claims = sessionTokens.verifyAccessToken(getBearerToken(req));
+    const session = claims
+        ? store.getSession(claims.sid)
+        : typeof refreshToken === 'string' && refreshToken && store.findSessionByRefreshToken(refreshToken);
+    
+    if (session) {
+        store.revokeSession(session.id, 'logout');
+        console.log(`[Security] Logout for ${session.username}`);
+        audit(req, 'session.logout', 'success', {
+            actor: session.username,
+            license: session.licenseCode,
+            hardwareID: session.hardwareID
+        });
+    }
+    
+    // Logging out is idempotent - an unknown or already revoked session is not an error
+    res.json({ success: true });
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function accountLink(fragment, token) {
+    return APP_URL ? `${APP_URL.replace(/\/$/, '')}/#${fragment}=${encodeURIComponent(token)}` : null;
+}
+
+// Sends a one-time link for `purpose`. Each address only gets a few an hour;
+// past that the request is quietly dropped, and so are delivery failures -
+// callers answer the same either way so nobody learns which addresses exist.
+async function sendAccountEmail(req, user, purpose) {
+    const key = `email:${user.email}`;
+    
+    if (accountEmails.retryAfter(key) > 0 || accountEmails.record(key) > 0) {
+        console.log(`[Security] Not sending ${purpose} email to ${user.username} - too many requests`);
+        audit(req, 'account.email', 'blocked', { actor: user.username, reason: 'TOO_MANY_EMAILS', details: { purpose } });
+        return;
+    }
+    
+    const verify = purpose === 'verify_email';
+    const token = store.createAccountToken({
+        username: user.username,
+        purpose,
+        expiresAt: new Date(Date.now() + (verify ? EMAIL_VERIFICATION_TTL_MS : PASSWORD_RESET_TTL_MS))
+    });
+    const link = accountLink(verify ? 'verify-email' : 'reset-password', token);
+    
+    const text = [
+        `Hi ${user.username},`,
+        '',
+        verify
+            ? 'Confirm your email address to finish setting up your Psychological Studio account:'
+            : 'Someone asked to reset the password for your Psychological Studio account. To choose a new one:',
+        '',
+        link ? `  ${link}` : `  Enter this code in the app: ${token}`,
+        '',
+        verify
+            ? 'This link expires in 24 hours.'
+            : 'This link expires in 1 hour. If you did not ask for it, you can ignore this email.'
+    ].join('\n');
+    
+    try {
+        await mailer.send({
+            to: user.email,
+            subject: verify ? 'Confirm your email address' : 'Reset your password',
+            text
+        });
+        audit(req, 'account.email', 'success', { actor: user.username, details: { purpose } });
+    } catch (error) {
+        console.error(`[Mail] Failed to send ${purpose} email to ${user.username}:`, error.message);
+        audit(req, 'account.email', 'failure', { actor: user.username, reason: 'DELIVERY_FAILED', details: { purpose } });
+    }
+}
+
+// The account routes below are useless without a way to deliver their emails
+function requireMailer(req, res, next) {
+    if (!mailer.isConfigured()) {
+        return res.status(503).json({
+            success: false,
+            error: 'Account emails are not available right now - please contact support',
+            error_code: 'MAIL_NOT_CONFIGURED'
+        });
+    }
+    
+    next();
+}
+
+// Registration - creates an account without a license. It can sign in once
+// its email is confirmed and a license has been activated on it.
+app.post('/api/register', guards.public, limitAttempts(), requireMailer, async (req, res) => {
+    const { username, password } = req.body || {};
+    const email = normalizeEmail(req.body && req.body.email);
+    
+    if (!username || !email || !password) {
+        return res.status(400).json({
+            success: false,
+            error: 'Username, email and password are required'
+        });
+    }
+    
+    if (!isValidUsername(username)) {
+        return rejectInvalidUsername(res);
+    }
+    
+    if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Please enter a valid email address'
+        });
+    }
+    
+    if (typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({
+            success: false,
+            error: 'Password must be at least 6 characters'
+        });
+    }
+    
+    const passwordHash = await passwordHasher.hash(password);
+    
+    // No awaits between these checks and the write
+    if (store.getUser(username)) {
+        audit(req, 'account.register', 'failure', { actor: username, reason: 'USERNAME_TAKEN' });
+        return res.status(409).json({
+            success: false,
+            error: 'Username is already taken',
+            error_code: 'USERNAME_TAKEN'
+        });
+    }
+    
+    if (store.findUserByEmail(email)) {
+        audit(req, 'account.register', 'failure', { actor: username, reason: 'EMAIL_TAKEN' });
+        return res.status(409).json({
+            success: false,
+            error: 'An account with this email already exists',
+            error_code: 'EMAIL_TAKEN'
+        });
+    }
+    
+    const user = store.createUser({
+        username,
+        licenseCode: null,
+        passwordHash,
+        keyring: null,
+        email,
+        emailVerifiedAt: null,
+        createdAt: new Date().toISOString()
+    });
+    
+    console.log(`[Security] Account registered for ${username}`);
+    audit(req, 'account.register', 'success', { actor: username });
+    
+    await sendAccountEmail(req, user, 'verify_email');
+    
+    res.status(201).json({
+        success: true,
+        username,
+        verification_required: true
+    });
+});
+
+// Confirms an email address with the token from the verification email
+app.post('/api/verify-email', guards.public, limitAttempts(), (req, res) => {
+    const { token } = req.body || {};
+    const record = typeof token === 'string' && store.consumeAccountToken(token, 'verify_email');
+    const user = record && store.getUser(record.username);
+    
+    if (!user) {
+        recordFailedAttempt(req);
+        audit(req, 'account.verify_email', 'failure', { reason: 'INVALID_TOKEN' });
+        return res.status(400).json({
+            success: false,
+            error: 'This verification link is invalid or has expired',
+            error_code: 'INVALID_TOKEN'
+        });
+    }
+    
+    store.markEmailVerified(user.username);
+    
+    console.log(`[Security] Email verified for ${user.username}`);
+    audit(req, 'account.verify_email', 'success', { actor: user.username, license: user.licenseCode });
+    
+    res.json({
+        success: true,
+        username: user.username,
+        has_license: Boolean(user.licenseCode)
+    });
+});
+
+// Sends a fresh verification email. Answers the same whether or not the
+// address belongs to an unverified account.
+app.post('/api/verify-email/resend', guards.public, limitAttempts(), requireMailer, async (req, res) => {
+    const user = store.findUserByEmail(normalizeEmail(req.body && req.body.email));
+    
+    if (user && !user.emailVerifiedAt) {
+        await sendAccountEmail(req, user, 'verify_email');
+    }
+    
+    res.json({ success: true });
+});
+
+// Emails a password reset link. Answers the same whether or not the address
+// belongs to an account.
+app.post('/api/password-reset', guards.public, limitAttempts(), requireMailer, async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    
+    if (!email) {
+        return res.status(400).json({
+            success: false,
+            error: 'Email is required'
+        });
+    }
+    
+    const user = store.findUserByEmail(email);
+    
+    if (user) {
+        await sendAccountEmail(req, user, 'reset_password');
+    }
+    
+    res.json({ success: true });
+});
+
+// Sets a new password with the token from the reset email. Every session is
+// signed out; the file encryption key is re-wrapped from the server escrow on
+// the next sign-in.
+app.post('/api/password-reset/confirm', guards.public, limitAttempts(), async (req, res) => {
+    const { token, password } = req.body || {};
+    
+    if (!token || !password) {
+        return res.status(400).json({
+            success: false,
+            error: 'Reset token and new password are required'
+        });
+    }
+    
+    if (typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({
+            success: false,
+            error: 'Password must be at least 6 characters'
+        });
+    }
+    
+    const record = typeof token === 'string' && store.consumeAccountToken(token, 'reset_password');
+    const user = record && store.getUser(record.username);
+    
+    if (!user) {
+        recordFailedAttempt(req);
+        audit(req, 'account.reset_password', 'failure', { reason: 'INVALID_TOKEN' });
+        return res.status(400).json({
+            success: false,
+            error: 'This reset link is invalid or has expired',
+            error_code: 'INVALID_TOKEN'
+        });
+    }
+    
+    store.setUserPasswordHash(user.username, await passwordHasher.hash(password));
+    
+    // The reset link reached the inbox, which proves the address
+    store.markEmailVerified(user.username);
+    const revoked = store.revokeUserSessions(user.username, 'password_reset');
+    
+    console.log(`[Security] Password reset for ${user.username} - ${revoked} session(s) signed out`);
+    audit(req, 'account.reset_password', 'success', {
+        actor: user.username,
+        license: user.licenseCode,
+        details: { sessions_revoked: revoked }
+    });
+    
+    res.json({
+        success: true,
+        username: user.username
+    });
+});
+
+// Devices bound to the signed-in license
+app.get('/api/devices', guards.session, (req, res) => {
+    const session = req.authSession;
+    const devices = store.listDevices(session.licenseCode)
+        .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+    
+    res.json({
+        success: true,
+        max_devices: MAX_DEVICES_PER_LICENSE,
+        devices: devices.map(device => serializeDevice(device, session))
+    });
+});
+
+function findOwnDevice(req, res) {
+    const device = store.getDevice(req.params.id);
+    
+    if (!device || device.licenseCode !== req.authSession.licenseCode) {
+        res.status(404).json({
+            success: false,
+            error: 'Device not found'
+        });
+        return null;
+    }
+    
+    return device;
+}
+
+// Rename a device
+app.patch('/api/devices/:id', guards.session, (req, res) => {
+    const device = findOwnDevice(req, res);
+    if (!device) {
+        return;
+    }
+    
+    const name = sanitizeDeviceName(req.body && req.body.name);
+    if (!name) {
+        return res.status(400).json({
+            success: false,
+            error: 'Device name is required'
+        });
+    }
+    
+    store.renameDevice(device.id, name);
+    
+    res.json({
+        success: true,
+        device: serializeDevice(device, req.authSession)
+    });
+});
+
+// Deactivate a device - frees its slot and signs it out everywhere
+app.delete('/api/devices/:id', guards.session, (req, res) => {
+    const device = findOwnDevice(req, res);
+    if (!device) {
+        return;
+    }
+    
+    store.removeDevice(device.id);
+    
+    console.log(`[Security] Device deactivated by ${req.authSession.username}`);
+    audit(req, 'device.deactivate', 'success', {
+        actor: req.authSession.username,
+        license: device.licenseCode,
+        hardwareID: device.hardwareID
+    });
+    
+    res.json({
+        success: true,
+        device_count: store.listDevices(req.authSession.licenseCode).length
+    });
+});
+
+function serializeAsset(asset) {
+    return {
+        id: asset.id,
+        name: asset.name,
+        type: asset.type,
+        version: asset.version,
+        entitlement: asset.entitlement,
+        size: asset.size,
+        sha256: asset.sha256,
+        url: `/api/content/${encodeURIComponent(asset.id)}`
+    };
+}
+
+// Content packs the signed-in license is entitled to, plus the key its downloads are encrypted with
+app.get('/api/content/manifest', guards.session, (req, res) => {
+    const session = req.authSession;
+    const entitlements = licenseEntitlements(store.getLicense(session.licenseCode));
+    
+    res.json({
+        success: true,
+        entitlements,
+        content_key: contentLibrary.contentKeyFor(session.id),
+        assets: contentLibrary.listFor(entitlements).map(serializeAsset)
+    });
+});
+
+// Encrypted download of a single content pack
+app.get('/api/content/:id', guards.session, async (req, res) => {
+    const session = req.authSession;
+    const asset = contentLibrary.getAsset(req.params.id);
+    
+    if (!asset) {
+        return res.status(404).json({
+            success: false,
+            error: 'Content not found'
+        });
+    }
+    
+    if (!licenseEntitlements(store.getLicense(session.licenseCode)).includes(asset.entitlement)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Your license does not include this content',
+            error_code: 'NOT_ENTITLED'
+        });
+    }
+    
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Cache-Control', 'no-store');
+    
+    try {
+        await contentLibrary.writeEncrypted(asset, contentLibrary.contentKeyFor(session.id), res);
+        res.end();
+    } catch (error) {
+        console.error(`[Security] Content download failed: ${error.message}`);
+        res.destroy();
+    }
+});
+
+function serializeKeyring(keyring) {
+    return keyring ? {
+        key_id: keyring.keyId,
+        wrapped_key: keyring.wrappedKey,
+        escrowed: Boolean(keyring.escrowedKey),
+        updated_at: keyring.updatedAt
+    } : null;
+}
+
+// Step-up check for the routes that replace or hand out the file-encryption
+// key - a session alone isn't enough, the request must carry the account
+// password too. Sends the 401 itself and resolves to false when it doesn't match.
+async function confirmPassword(req, res, event, password = (req.body || {}).password) {
+    const { username, licenseCode, hardwareID } = req.authSession;
+    const user = store.getUser(username);
+    
+    if (user && typeof password === 'string' && password && (await checkPassword(password, user))) {
+        return true;
+    }
+    
+    recordFailedAttempt(req);
+    audit(req, event, 'failure', { actor: username, license: licenseCode, hardwareID, reason: 'INVALID_PASSWORD' });
+    res.status(401).json({
+        success: false,
+        error: 'Your account password is required for this',
+        error_code: 'PASSWORD_REQUIRED'
+    });
+    return false;
+}
+
+// The signed-in user's password-wrapped file-encryption key, if they have one yet
+app.get('/api/keys', guards.session, (req, res) => {
+    res.json({
+        success: true,
+        keyring: serializeKeyring(store.getKeyring(req.authSession.username))
+    });
+});
+
+// Store a newly created key, or the same key re-wrapped after a password
+// change. Sending `escrow_key` (the raw key, base64) escrows it; sending
+// `escrow: false` removes an existing escrowed copy. Requires `password`.
+app.put('/api/keys', guards.session, limitAttempts(accountOfSession), async (req, res) => {
+    const { username } = req.authSession;
+    const { key_id: keyId, wrapped_key: wrappedKey, escrow_key: escrowKey, escrow } = req.body || {};
+    const existing = store.getKeyring(username);
+    
+    if (typeof keyId !== 'string' || !keyId || typeof wrappedKey !== 'string' || !wrappedKey) {
+        return res.status(400).json({
+            success: false,
+            error: 'key_id and wrapped_key are required'
+        });
+    }
+    
+    // Replacing the key itself would strand every file encrypted under it
+    if (existing && existing.keyId !== keyId) {
+        return res.status(409).json({
+            success: false,
+            error: 'A different encryption key is already stored for this account',
+            error_code: 'KEY_MISMATCH'
+        });
+    }
+    
+    if (!(await confirmPassword(req, res, 'keys.update'))) {
+        return;
+    }
+    
+    // Re-read after the password check - no awaits past this point
+    if (store.getKeyring(username) !== existing) {
+        return res.status(409).json({
+            success: false,
+            error: 'The encryption key changed while saving - please try again',
+            error_code: 'KEY_CHANGED'
+        });
+    }
+    
+    let escrowedKey = existing ? existing.escrowedKey : null;
+    if (escrowKey) {
+        const rawKey = Buffer.from(String(escrowKey), 'base64');
+        if (rawKey.length !== 32) {
+            return res.status(400).json({
+                success: false,
+                error: 'escrow_key must be a 32-byte key encoded as base64'
+            });
+        }
+        escrowedKey = keyEscrow.seal(rawKey, username);
+    } else if (escrow === false) {
+        escrowedKey = null;
+    }
+    
+    const keyring = store.setKeyring(username, { keyId, wrappedKey, escrowedKey });
+    
+    console.log(`[Security] Encryption key ${existing ? 're-wrapped' : 'stored'} for ${username}${escrowedKey ? ' (escrowed)' : ''}`);
+    audit(req, 'keys.update', 'success', {
+        actor: username,
+        license: req.authSession.licenseCode,
+        hardwareID: req.authSession.hardwareID,
+        details: { escrowed: Boolean(escrowedKey) }
+    });
+    
+    res.json({
+        success: true,
+        keyring: serializeKeyring(keyring)
+    });
+});
+
+// Hands back the escrowed key so the client can re-wrap it under a new
+// password - only after a reset, and only with that new password
+app.post('/api/keys/recover', guards.session, limitAttempts(accountOfSession), async (req, res) => {
+    const { username } = req.authSession;
+    
+    if (!(await confirmPassword(req, res, 'keys.recover'))) {
+        return;
+    }
+    
+    const keyring = store.getKeyring(username);
+    const rawKey = keyring && keyring.escrowedKey ? keyEscrow.open(keyring.escrowedKey, username) : null;
+    
+    if (!rawKey) {
+        return res.status(404).json({
+            success: false,
+            error: 'No escrowed encryption key for this account',
+            error_code: 'NO_ESCROWED_KEY'
+        });
+    }
+    
+    console.log(`[Security] Escrowed encryption key recovered by ${username}`);
+    audit(req, 'keys.recover', 'success', {
+        actor: username,
+        license: req.authSession.licenseCode,
+        hardwareID: req.authSession.hardwareID
+    });
+    
+    res.json({
+        success: true,
+        key_id: keyring.keyId,
+        key: rawKey.toString('base64')
+    });
+});
+
+// Changes the password of the signed-in account. The client re-wraps its
+// file-encryption key under the new password and sends it along, so the
+// stored key is never left wrapped under a password that no longer works.
+// Every other session is signed out.
+app.post('/api/account/password', guards.session, limitAttempts(accountOfSession), async (req, res) => {
+    const { username, licenseCode, hardwareID } = req.authSession;
+    const { current_password: currentPassword, new_password: newPassword, key_id: keyId, wrapped_key: wrappedKey } = req.body || {};
+    
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+        return res.status(400).json({
+            success: false,
+            error: 'New password must be at least 6 characters'
+        });
+    }
+    
+    const existing = store.getKeyring(username);
+    
+    if (existing && (keyId !== existing.keyId || typeof wrappedKey !== 'string' || !wrappedKey)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Your file encryption key must be re-wrapped under the new password',
+            error_code: 'KEY_REWRAP_REQUIRED'
+        });
+    }
+    
+    if (!(await confirmPassword(req, res, 'account.change_password', currentPassword))) {
+        return;
+    }
+    
+    const passwordHash = await passwordHasher.hash(newPassword);
+    
+    // Re-read after the awaits, as PUT /api/keys does
+    if (store.getKeyring(username) !== existing) {
+        return res.status(409).json({
+            success: false,
+            error: 'The encryption key changed while saving - please try again',
+            error_code: 'KEY_CHANGED'
+        });
+    }
+    
+    store.setUserPasswordHash(username, passwordHash);
+    if (existing) {
+        store.setKeyring(username, { keyId, wrappedKey, escrowedKey: existing.escrowedKey });
+    }
+    const revoked = store.revokeUserSessions(username, 'password_changed', req.authSession.id);
+    
+    console.log(`[Security] Password changed for ${username} - ${revoked} other session(s) signed out`);
+    audit(req, 'account.change_password', 'success', {
+        actor: username,
+        license: licenseCode,
+        hardwareID,
+        details: { sessions_revoked: revoked }
+    });
+    
+    res.json({ success: true });
+});
+
+// Build attestation - the client sends the SHA-256 of its security.js and a
+// fresh nonce, and gets back a verdict signed with the license key that names
+// both, so it can't be forged or replayed
+app.post('/api/attest', guards.public, limitAttempts(), (req, res) => {
+    const { fingerprint, nonce } = req.body || {};
+    
+    if (typeof fingerprint !== 'string' || !/^[a-f0-9]{64}$/.test(fingerprint)
+        || typeof nonce !== 'string' || !/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) {
+        return res.status(400).json({
+            success: false,
+            error: 'A SHA-256 fingerprint and a nonce are required'
+        });
+    }
+    
+    const { verdict, version } = buildAllowlist.check(fingerprint);
+    const issuedAt = new Date();
+    
+    if (verdict !== 'trusted') {
+        console.log(`[Security] Attestation for ${verdict} build ${fingerprint.slice(0, 12)}`);
+    }
+    
+    res.json({
+        success: true,
+        attestation: licenseSigner.signAttestation({
+            verdict,
+            version,
+            fingerprint,
+            nonce,
+            issued_at: issuedAt.toISOString(),
+            expires_at: new Date(issuedAt.getTime() + ATTESTATION_TTL_MS).toISOString()
+        })
+    });
+});
+
+function clipString(value, maxLength) {
+    return typeof value === 'string' ? value.slice(0, maxLength) : null;
+}
+
+// Tamper report from a signed-in client that failed a startup check. The
+// report id is shown to the user to quote to support. Clients without a
+// session don't report - the route is not an open write for anyone online.
+app.post('/api/tamper-report', guards.session, limitAttempts(), (req, res) => {
+    const session = req.authSession;
+    const deviceKey = `device:${session.licenseCode}:${session.hardwareID}`;
+    const retryAfterMs = Math.max(
+        tamperReportLimiter.retryAfter(clientKey(req)),
+        tamperReportLimiter.retryAfter(deviceKey)
+    );
+    
+    if (retryAfterMs > 0) {
+        return rejectRateLimited(res, retryAfterMs);
+    }
+    
+    const lockoutMs = Math.max(tamperReportLimiter.record(clientKey(req)), tamperReportLimiter.record(deviceKey));
+    if (lockoutMs > 0) {
+        console.log(`[Security] Rate limit - Too many tamper reports from ${session.username}`);
+        return rejectRateLimited(res, lockoutMs);
+    }
+    
+    const { reason, details, fingerprint, install_id: installId, mode, page_url: pageUrl, user_agent: userAgent } = req.body || {};
+    
+    if (!TAMPER_REASONS.includes(reason)) {
+        return res.status(400).json({
+            success: false,
+            error: `reason must be one of: ${TAMPER_REASONS.join(', ')}`
+        });
+    }
+    
+    const detailsJson = JSON.stringify(details === undefined ? null : details);
+    if (Buffer.byteLength(detailsJson) > MAX_TAMPER_DETAILS_BYTES) {
+        return res.status(413).json({
+            success: false,
+            error: `details must be at most ${MAX_TAMPER_DETAILS_BYTES} bytes`
+        });
+    }
+    
+    const report = tamperReports.add({
+        reason,
+        details: JSON.parse(detailsJson),
+        fingerprint: /^[a-f0-9]{64}$/.test(fingerprint) ? fingerprint : null,
+        installId: clipString(installId, 100),
+        mode: clipString(mode, 20),
+        pageUrl: clipString(pageUrl, 500),
+        userAgent: clipString(userAgent || req.headers['user-agent'], 300),
+        username: session.username,
+        ip: req.ip
+    });
+    
+    console.log(`[Security] Tamper report ${report.id} - ${reason} from ${report.username}`);
+    
+    res.status(201).json({
+        success: true,
+        report_id: report.id
+    });
+});
+
+// Public half of the license signing key, for building clients that verify .psylic files
+app.get('/api/license/public-key', guards.public, (req, res) => {
+    res.json({
+        algorithm: 'Ed25519',
+        public_key: licenseSigner.exportRawPublicKey()
+    });
+});
+
 // Health check endpoint for server status
-app.get('/status', (req, res) => {
+app.get('/status', guards.public, (req, res) => {
     res.json({ 
         status: 'online',
         timestamp: new Date().toISOString()
     });
 });
 
-app.listen(port, () => {
-    console.log(`[Security] Server running at http://localhost:${port}`);
-    console.log(`[Security] Only requests with valid security codes are accepted`);
-});
\ No newline at end of file
+assertRoutesGuarded(app);
+
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`[Security] Server running at http://localhost:${port}`);
+        console.log(`[Security] License data stored in ${DATA_DIR}`);
+        console.log(`[Security] Admin API ${adminKeys.length ? `enabled with ${adminKeys.length} key(s)` : 'disabled - no admin keys configured'}`);
+    });
+}
+
+module.exports = { app };
\ No newline at end of file
@@ -0,0 +1,96 @@
+// session-tokens.js
+// Short-lived access tokens as HS256 JWTs. Each token names its server-side
+// session in the `sid` claim, so revoking the session also kills every access
+// token issued for it, even before the token expires.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRET_FILE = 'session-secret';
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+class SessionTokens {
+    // The signing secret comes from SESSION_SECRET when set. Otherwise one is
+    // generated once and kept in the data directory.
+    constructor({ dataDir, secret, accessTtlMs }) {
+        this.secret = secret || this.loadOrCreateSecret(path.join(dataDir, SECRET_FILE));
+        this.accessTtlMs = accessTtlMs;
+    }
+
+    loadOrCreateSecret(secretPath) {
+        if (fs.existsSync(secretPath)) {
+            return fs.readFileSync(secretPath, 'utf8').trim();
+        }
+
+        const secret = crypto.randomBytes(48).toString('base64');
+        fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+        fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+
+        console.log(`[Security] Generated new session signing secret at ${secretPath}`);
+        return secret;
+    }
+
+    sign(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+
+    // Returns the token and its expiry as a Date
+    signAccessToken({ sessionId, username }) {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const expiresAt = new Date((issuedAt * 1000) + this.accessTtlMs);
+
+        const header = encodeSegment({ alg: 'HS256', typ: 'JWT' });
+        const payload = encodeSegment({
+            sub: username,
+            sid: sessionId,
+            jti: crypto.randomUUID(),
+            iat: issuedAt,
+            exp: Math.floor(expiresAt.getTime() / 1000)
+        });
+
+        return {
+            token: `${header}.${payload}.${this.sign(`${header}.${payload}`)}`,
+            expiresAt
+        };
+    }
+
+    // Returns the token's claims, or null if it is malformed, forged or expired
+    verifyAccessToken(token) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        const [header, payload, signature] = parts;
+        const expected = Buffer.from(this.sign(`${header}.${payload}`));
+        const provided = Buffer.from(signature);
+
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            return null;
+        }
+
+        try {
+            if (decodeSegment(header).alg !== 'HS256') {
+                return null;
+            }
+
+            const claims = decodeSegment(payload);
+            if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+                return null;
+            }
+
+            return claims;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = { SessionTokens };
@@ -0,0 +1,72 @@
+// tamper-report-log.js
+// Append-only record of the tamper reports clients send when a startup check
+// fails - one JSON object per line in tamper-reports.jsonl under the data
+// directory, kept apart from the license store so a flood of reports never
+// grows the file that is rewritten on every sign-in:
+//
+//   { "id", "reason", "details", "fingerprint", "installId", "mode", "pageUrl",
+//     "userAgent", "username", "ip", "receivedAt" }
+//
+// Entries are never rewritten; rotate the file out of band if it grows too big.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TAMPER_REPORT_FILE = 'tamper-reports.jsonl';
+
+class TamperReportLog {
+    constructor({ dataDir }) {
+        this.dataDir = dataDir;
+        this.filePath = path.join(dataDir, TAMPER_REPORT_FILE);
+    }
+
+    open() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        return this;
+    }
+
+    add(report) {
+        const entry = { id: crypto.randomUUID(), ...report, receivedAt: new Date().toISOString() };
+
+        // One write per entry, so concurrent requests never interleave a line
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+        return entry;
+    }
+
+    get(id) {
+        return this.readAll().find(report => report.id === id) || null;
+    }
+
+    // Newest first
+    list({ reason, installId, username } = {}) {
+        return this.readAll()
+            .filter(report => reason === undefined || report.reason === reason)
+            .filter(report => installId === undefined || report.installId === installId)
+            .filter(report => username === undefined || report.username === username)
+            .reverse();
+    }
+
+    readAll() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const reports = [];
+
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line) {
+                continue;
+            }
+
+            try {
+                reports.push(JSON.parse(line));
+            } catch (error) {
+                // A torn final line from a crash mid-write - skip it
+            }
+        }
+
+        return reports;
+    }
+}
+
+module.exports = { TamperReportLog };
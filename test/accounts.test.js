@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Mailer } = require('../mailer');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+// One-time codes mailed to `address`, optionally only from emails with
+// `subject`. Without APP_URL the emails carry the token as a code to paste
+// into the app.
+function mailedTokens(address, subject) {
+    const outbox = path.join(server.dataDir, 'outbox');
+    if (!fs.existsSync(outbox)) {
+        return [];
+    }
+
+    return fs.readdirSync(outbox)
+        .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')))
+        .filter(message => message.to === address && (!subject || message.subject === subject))
+        .map(message => message.text.match(/app: (\S+)/)[1]);
+}
+
+function login(username, password) {
+    return server.request('POST', '/api/login', { body: { username, password, hardware_id: `hw-${username}` } });
+}
+
+test('a registered account signs in once its email is confirmed and it holds a license', async () => {
+    const register = await server.request('POST', '/api/register', {
+        body: { username: 'alice', email: 'Alice@Example.com', password: 'secret1' }
+    });
+    assert.strictEqual(register.status, 201);
+    assert.strictEqual(register.body.verification_required, true);
+
+    for (const body of [
+        { username: 'alice', email: 'other@example.com', password: 'secret1' },
+        { username: 'alice2', email: 'alice@example.com', password: 'secret1' }
+    ]) {
+        const taken = await server.request('POST', '/api/register', { body });
+        assert.strictEqual(taken.status, 409);
+    }
+
+    const unverified = await login('alice', 'secret1');
+    assert.strictEqual(unverified.status, 403);
+    assert.strictEqual(unverified.body.error_code, 'EMAIL_NOT_VERIFIED');
+
+    const [token] = mailedTokens('alice@example.com');
+    const verify = await server.request('POST', '/api/verify-email', { body: { token } });
+    assert.strictEqual(verify.status, 200);
+    assert.strictEqual(verify.body.has_license, false);
+
+    const reused = await server.request('POST', '/api/verify-email', { body: { token } });
+    assert.strictEqual(reused.status, 400);
+
+    const code = await server.mintCode();
+    const redeem = await server.request('POST', '/api/redeem-code', {
+        body: { code, username: 'alice', password: 'secret1', hardwareID: 'hw-alice' }
+    });
+    assert.strictEqual(redeem.status, 200);
+
+    const signedIn = await login('alice', 'secret1');
+    assert.strictEqual(signedIn.status, 200);
+});
+
+test('a password reset replaces the password and signs out every session', async () => {
+    await server.registerAccount('carol', 'secret1');
+    const code = await server.mintCode();
+    const { body: redeemed } = await server.request('POST', '/api/redeem-code', {
+        body: { code, username: 'carol', password: 'secret1', hardwareID: 'hw-carol' }
+    });
+
+    // Unknown addresses get the same answer and no email
+    const unknown = await server.request('POST', '/api/password-reset', { body: { email: 'nobody@example.com' } });
+    assert.strictEqual(unknown.status, 200);
+    assert.deepStrictEqual(mailedTokens('nobody@example.com'), []);
+
+    const reset = await server.request('POST', '/api/password-reset', { body: { email: 'carol@example.com' } });
+    assert.strictEqual(reset.status, 200);
+
+    const [token] = mailedTokens('carol@example.com', 'Reset your password');
+    const confirmed = await server.request('POST', '/api/password-reset/confirm', { body: { token, password: 'secret2' } });
+    assert.strictEqual(confirmed.status, 200);
+
+    const session = await server.request('GET', '/api/session', { token: redeemed.session_token });
+    assert.strictEqual(session.status, 401);
+    assert.strictEqual((await login('carol', 'secret1')).status, 401);
+    assert.strictEqual((await login('carol', 'secret2')).status, 200);
+
+    const reused = await server.request('POST', '/api/password-reset/confirm', { body: { token, password: 'secret3' } });
+    assert.strictEqual(reused.status, 400);
+});
+
+test('a password that is not a string is refused, not stringified', async () => {
+    const password = { length: 10 };
+
+    const register = await server.request('POST', '/api/register', {
+        body: { username: 'mallory', email: 'mallory@example.com', password }
+    });
+    assert.strictEqual(register.status, 400);
+
+    const licenseCode = await server.mintCode();
+    const activate = await server.request('POST', '/api/activate-license', {
+        body: { licenseCode, username: 'mallory', password, hardwareID: 'hw-1' }
+    });
+    assert.strictEqual(activate.status, 400);
+
+    const reset = await server.request('POST', '/api/password-reset/confirm', {
+        body: { token: 'some-token', password }
+    });
+    assert.strictEqual(reset.status, 400);
+
+    // Nobody can sign in with the stringified form either
+    await server.activateAccount('trent', 'secret1');
+    const login = await server.request('POST', '/api/login', {
+        body: { username: 'trent', password: ['secret1'], hardware_id: 'hw-trent' }
+    });
+    assert.strictEqual(login.status, 401);
+});
+
+test('the console mail transport prints the link so local flows can be finished', async () => {
+    const printed = [];
+    const log = console.log;
+    console.log = line => printed.push(line);
+
+    try {
+        await new Mailer({ transport: 'console', from: 'studio@example.com' })
+            .send({ to: 'alice@example.com', subject: 'Reset', text: 'Open https://studio.example/#reset-password=abc123' });
+    } finally {
+        console.log = log;
+    }
+
+    assert.match(printed.join('\n'), /reset-password=abc123/);
+});
+
+test('the console mail transport is refused in production', () => {
+    const error = console.error;
+    console.error = () => {};
+
+    try {
+        assert.strictEqual(new Mailer({ transport: 'console', production: true }).isConfigured(), false);
+        assert.strictEqual(new Mailer({ transport: undefined, production: true }).isConfigured(), false);
+    } finally {
+        console.error = error;
+    }
+});
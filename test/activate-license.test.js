@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+function activate(body) {
+    return server.request('POST', '/api/activate-license', { body });
+}
+
+test('activating a code creates the account and returns a session', async () => {
+    const licenseCode = await server.mintCode();
+
+    const { status, body } = await activate({ licenseCode, username: 'alice', password: 'secret1', hardwareID: 'hw-1' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.ok(body.session_token);
+    assert.ok(Date.parse(body.expires_at) > Date.now());
+    assert.strictEqual(body.device_count, 1);
+
+    // The same account can activate the code on a second device
+    const again = await activate({ licenseCode, username: 'alice', password: 'secret1', hardwareID: 'hw-2' });
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.device_count, 2);
+
+    const login = await server.request('POST', '/api/login', {
+        body: { username: 'alice', password: 'secret1', hardware_id: 'hw-1' }
+    });
+    assert.strictEqual(login.status, 200);
+});
+
+test('activation turns away unknown codes and incomplete requests', async () => {
+    const unknown = await activate({ licenseCode: 'NOT-A-CODE', username: 'bob', password: 'secret1', hardwareID: 'hw-1' });
+    assert.strictEqual(unknown.status, 401);
+    assert.strictEqual(unknown.body.error_code, 'INVALID_CODE');
+
+    const licenseCode = await server.mintCode();
+    for (const missing of ['licenseCode', 'username', 'password', 'hardwareID']) {
+        const body = { licenseCode, username: 'bob', password: 'secret1', hardwareID: 'hw-1' };
+        delete body[missing];
+
+        const { status } = await activate(body);
+        assert.strictEqual(status, 400, `without ${missing}`);
+    }
+
+    const shortPassword = await activate({ licenseCode, username: 'bob', password: '12345', hardwareID: 'hw-1' });
+    assert.strictEqual(shortPassword.status, 400);
+});
+
+test('activation only accepts usernames registration would accept', async () => {
+    const licenseCode = await server.mintCode();
+
+    for (const username of ['__proto__', 'constructor', ['carol'], { name: 'carol' }, 'a b<script>', 'x'.repeat(5000), 'ab']) {
+        const { status, body } = await activate({ licenseCode, username, password: 'secret1', hardwareID: 'hw-1' });
+        assert.strictEqual(status, 400, `username ${JSON.stringify(username).slice(0, 40)}`);
+        assert.strictEqual(body.session_token, undefined);
+    }
+
+    // None of those used the code up
+    const { status } = await activate({ licenseCode, username: 'carol', password: 'secret1', hardwareID: 'hw-1' });
+    assert.strictEqual(status, 200);
+});
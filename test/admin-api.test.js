@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, ADMIN_KEY } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+function admin(method, urlPath, body) {
+    return server.request(method, urlPath, { body, adminKey: ADMIN_KEY });
+}
+
+test('the admin API needs a known key', async () => {
+    const missing = await server.request('GET', '/admin/codes');
+    assert.strictEqual(missing.status, 401);
+
+    const wrong = await server.request('GET', '/admin/codes', { adminKey: 'not-the-key' });
+    assert.strictEqual(wrong.status, 401);
+});
+
+test('minting a batch records its metadata and lists it by redemption status', async () => {
+    const { status, body } = await admin('POST', '/admin/codes', { count: 3, sku: 'studio-pro', customer_email: 'buyer@example.com' });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.codes.length, 3);
+    assert.strictEqual(new Set(body.codes.map(license => license.code)).size, 3);
+
+    for (const license of body.codes) {
+        assert.strictEqual(license.status, 'active');
+        assert.strictEqual(license.batch_id, body.batch_id);
+        assert.strictEqual(license.sku, 'studio-pro');
+        assert.strictEqual(license.customer_email, 'buyer@example.com');
+        assert.strictEqual(license.redemption, null);
+    }
+
+    for (const count of [0, -1, 1001, 1.5, '3']) {
+        const rejected = await admin('POST', '/admin/codes', { count });
+        assert.strictEqual(rejected.status, 400, `count ${count}`);
+    }
+
+    const [redeemedCode] = body.codes.map(license => license.code);
+    await server.request('POST', '/api/activate-license', {
+        body: { licenseCode: redeemedCode, username: 'alice', password: 'secret1', hardwareID: 'hw-1' }
+    });
+
+    const redeemed = await admin('GET', `/admin/codes?batch_id=${body.batch_id}&redeemed=true`);
+    assert.deepStrictEqual(redeemed.body.codes.map(license => license.code), [redeemedCode]);
+    assert.strictEqual(redeemed.body.codes[0].redemption.username, 'alice');
+
+    const unredeemed = await admin('GET', `/admin/codes?batch_id=${body.batch_id}&redeemed=false`);
+    assert.strictEqual(unredeemed.body.total, 2);
+});
+
+test('metadata can be changed on an existing code', async () => {
+    const code = await server.mintCode();
+
+    const { status, body } = await admin('PATCH', `/admin/codes/${code}`, { notes: 'Refund requested', sku: 'studio-lite' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.notes, 'Refund requested');
+    assert.strictEqual(body.sku, 'studio-lite');
+
+    const fetched = await admin('GET', `/admin/codes/${code}`);
+    assert.strictEqual(fetched.body.notes, 'Refund requested');
+
+    const unknown = await admin('PATCH', '/admin/codes/NOT-A-CODE', { notes: 'x' });
+    assert.strictEqual(unknown.status, 404);
+});
+
+test('revoking or suspending a code ends its sessions until it is reinstated', async () => {
+    const { licenseCode, session_token: token } = await server.activateAccount('bob', 'secret1');
+    const sessionValid = async () => (await server.request('GET', '/api/session', { token })).status === 200;
+
+    assert.strictEqual(await sessionValid(), true);
+
+    for (const [action, status] of [['suspend', 'suspended'], ['revoke', 'revoked']]) {
+        const changed = await admin('POST', `/admin/codes/${licenseCode}/${action}`, { reason: 'chargeback' });
+        assert.strictEqual(changed.status, 200);
+        assert.strictEqual(changed.body.status, status);
+        assert.strictEqual(changed.body.status_reason, 'chargeback');
+        assert.strictEqual(await sessionValid(), false, `after ${action}`);
+
+        const login = await server.request('POST', '/api/login', {
+            body: { username: 'bob', password: 'secret1', hardware_id: 'hw-bob' }
+        });
+        assert.notStrictEqual(login.status, 200, `login after ${action}`);
+
+        await admin('POST', `/admin/codes/${licenseCode}/reinstate`);
+        assert.strictEqual(await sessionValid(), true, `after reinstating a ${status} code`);
+    }
+
+    const audit = await admin('GET', '/admin/audit-log?event=admin.license.*');
+    const events = audit.body.entries.map(entry => entry.event);
+    assert.ok(events.includes('admin.license.revoke'));
+    assert.ok(events.includes('admin.license.suspend'));
+    assert.strictEqual(audit.body.entries[0].actor, 'admin:tests');
+});
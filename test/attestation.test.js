@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, loadClient } = require('./helpers');
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+const TRUSTED = sha256('security.js 1.4.0');
+const REVOKED = sha256('security.js 1.3.0');
+const UNKNOWN = sha256('security.js, edited');
+
+let server;
+let allowlistDir;
+let client;
+test.before(async () => {
+    allowlistDir = fs.mkdtempSync(path.join(os.tmpdir(), 'psystudio-builds-'));
+    process.env.BUILD_ALLOWLIST_FILE = path.join(allowlistDir, 'build-allowlist.json');
+    fs.writeFileSync(process.env.BUILD_ALLOWLIST_FILE, JSON.stringify({
+        builds: [
+            { version: '1.4.0', sha256: TRUSTED },
+            { version: '1.3.0', sha256: REVOKED, revoked: true }
+        ]
+    }));
+
+    server = await startServer();
+
+    const { body } = await server.request('GET', '/api/license/public-key');
+    client = loadClient({ LICENSE_PUBLIC_KEY: body.public_key });
+});
+test.after(async () => {
+    await server.stop();
+    fs.rmSync(allowlistDir, { recursive: true, force: true });
+});
+
+// A SecurityManager that reports `fingerprint` as its own and records what it
+// treats as tampering, without the page a real one needs
+function attestingManager(fingerprint) {
+    const manager = Object.create(client('SecurityManager.prototype'));
+    Object.assign(manager, {
+        API_URL: server.baseUrl,
+        devMode: false,
+        tampering: [],
+        getScriptFingerprint: async () => fingerprint,
+        handleTampering(reason) {
+            this.tampering.push(reason);
+        }
+    });
+    return manager;
+}
+
+test('the client trusts a build the allowlist names', async () => {
+    const manager = attestingManager(TRUSTED);
+
+    assert.strictEqual(await manager.validateWithServer(), true);
+    assert.deepStrictEqual(manager.tampering, []);
+});
+
+test('a revoked build is treated as tampering, an unknown one is only refused', async () => {
+    const error = console.error;
+    console.error = () => {};
+
+    try {
+        const revoked = attestingManager(REVOKED);
+        assert.strictEqual(await revoked.validateWithServer(), false);
+        assert.deepStrictEqual([...revoked.tampering], ['build_rejected']);
+
+        const unknown = attestingManager(UNKNOWN);
+        assert.strictEqual(await unknown.validateWithServer(), false);
+        assert.deepStrictEqual([...unknown.tampering], []);
+    } finally {
+        console.error = error;
+    }
+});
+
+test('the signed verdict names the fingerprint and nonce it answers', async () => {
+    const nonce = 'n'.repeat(32);
+    const { status, body } = await server.request('POST', '/api/attest', { body: { fingerprint: TRUSTED, nonce } });
+    assert.strictEqual(status, 200);
+
+    const verdict = await client('SecurityManager.prototype').verifySignedEnvelope(body.attestation, 'psyattest');
+    assert.strictEqual(verdict.verdict, 'trusted');
+    assert.strictEqual(verdict.version, '1.4.0');
+    assert.strictEqual(verdict.fingerprint, TRUSTED);
+    assert.strictEqual(verdict.nonce, nonce);
+    assert.ok(Date.parse(verdict.expires_at) > Date.now());
+
+    // Not usable as a license file
+    assert.strictEqual(await client('SecurityManager.prototype').verifySignedEnvelope(body.attestation, 'psylic'), null);
+});
+
+test('attestation needs a SHA-256 fingerprint and a nonce', async () => {
+    const nonce = 'n'.repeat(32);
+    const invalid = [
+        {},
+        { fingerprint: 'abc', nonce },
+        { fingerprint: [TRUSTED], nonce },
+        { fingerprint: TRUSTED },
+        { fingerprint: TRUSTED, nonce: 'short' }
+    ];
+
+    for (const body of invalid) {
+        const { status } = await server.request('POST', '/api/attest', { body });
+        assert.strictEqual(status, 400, JSON.stringify(body));
+    }
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { hashDevice, hashLicense } = require('../audit-log');
+const { startServer, ADMIN_KEY } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+function admin(urlPath) {
+    return server.request('GET', urlPath, { adminKey: ADMIN_KEY });
+}
+
+test('hashDevice skips non-string hardware IDs', () => {
+    for (const hardwareID of [{ id: 'x' }, ['hw'], 42, true, null, undefined]) {
+        assert.strictEqual(hashDevice(hardwareID), null);
+    }
+
+    assert.match(hashDevice('hw-1'), /^[a-f0-9]{16}$/);
+});
+
+function login(username, password) {
+    return server.request('POST', '/api/login', { body: { username, password, hardware_id: `hw-${username}` } });
+}
+
+test('sign-ins are logged with actor, hashed license and device, IP and result', async () => {
+    const { licenseCode } = await server.activateAccount('alice', 'secret1');
+    await login('alice', 'wrong-password');
+    await login('alice', 'secret1');
+
+    const { status, body } = await admin('/admin/audit-log?actor=alice');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.entries.map(entry => [entry.event, entry.result]), [
+        ['auth.login', 'success'],
+        ['auth.login', 'failure'],
+        ['license.activate', 'success']
+    ]);
+
+    const [success, failure] = body.entries;
+    assert.strictEqual(failure.reason, 'INVALID_PASSWORD');
+    assert.strictEqual(success.license, hashLicense(licenseCode));
+    assert.strictEqual(success.device, hashDevice('hw-alice'));
+    assert.strictEqual(success.ip, '127.0.0.1');
+    assert.ok(Date.parse(success.timestamp));
+
+    // Neither codes nor hardware IDs are written in the clear
+    const raw = fs.readFileSync(path.join(server.dataDir, 'audit-log.jsonl'), 'utf8');
+    assert.ok(!raw.includes(licenseCode));
+    assert.ok(!raw.includes('hw-alice'));
+});
+
+test('repeated failures log the lockout they cause', async () => {
+    await server.activateAccount('bob', 'secret1');
+    for (let i = 0; i < 5; i++) {
+        await login('bob', 'wrong-password');
+    }
+
+    const { body } = await admin('/admin/audit-log?event=auth.lockout&actor=bob');
+    assert.strictEqual(body.total, 1);
+    assert.strictEqual(body.entries[0].result, 'blocked');
+    assert.strictEqual(body.entries[0].details.scope, 'account');
+
+    const locked = await login('bob', 'secret1');
+    assert.strictEqual(locked.status, 429);
+});
+
+test('the audit log filters by event prefix, license, result and time, newest first', async () => {
+    const { licenseCode } = await server.activateAccount('carol', 'secret1');
+
+    // Entries carry millisecond timestamps - keep the activation strictly before `since`
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const before = new Date().toISOString();
+    await server.request('POST', `/admin/codes/${licenseCode}/suspend`, { adminKey: ADMIN_KEY });
+    await server.request('POST', `/admin/codes/${licenseCode}/reinstate`, { adminKey: ADMIN_KEY });
+
+    const byCode = await admin(`/admin/audit-log?license=${licenseCode}`);
+    const byHash = await admin(`/admin/audit-log?license=${hashLicense(licenseCode)}`);
+    assert.deepStrictEqual(byHash.body.entries, byCode.body.entries);
+    assert.deepStrictEqual(byCode.body.entries.map(entry => entry.event),
+        ['admin.license.reinstate', 'admin.license.suspend', 'license.activate']);
+
+    const adminOnly = await admin(`/admin/audit-log?event=admin.license.*&license=${licenseCode}`);
+    assert.strictEqual(adminOnly.body.total, 2);
+    assert.ok(adminOnly.body.entries.every(entry => entry.actor === 'admin:tests'));
+
+    const since = await admin(`/admin/audit-log?license=${licenseCode}&since=${encodeURIComponent(before)}`);
+    assert.strictEqual(since.body.total, 2);
+
+    const failures = await admin('/admin/audit-log?result=failure');
+    assert.ok(failures.body.total > 0);
+    assert.ok(failures.body.entries.every(entry => entry.result === 'failure'));
+
+    const page = await admin(`/admin/audit-log?license=${licenseCode}&limit=1&offset=1`);
+    assert.strictEqual(page.body.total, 3);
+    assert.deepStrictEqual(page.body.entries, [byCode.body.entries[1]]);
+
+    const badTime = await admin('/admin/audit-log?since=yesterday');
+    assert.strictEqual(badTime.status, 400);
+});
+
+test('repeated or nested audit-log filters are refused', async () => {
+    await server.mintCode();
+
+    for (const query of ['event=a&event=b', 'license=x&license=y', 'actor[x]=y', 'since=2020-01-01&since=2021-01-01']) {
+        const { status, body } = await admin(`/admin/audit-log?${query}`);
+        assert.strictEqual(status, 400, query);
+        assert.ok(body.error);
+    }
+
+    const { status } = await admin('/admin/audit-log?event=admin.*');
+    assert.strictEqual(status, 200);
+});
+
+test('tamper reports page with limit and offset like the audit log', async () => {
+    const { session_token: token } = await server.activateAccount('reporter', 'secret1');
+    for (let i = 0; i < 3; i++) {
+        await server.request('POST', '/api/tamper-report', { body: { reason: 'integrity_mismatch' }, token });
+    }
+
+    for (const query of ['limit=-1', 'limit=0', 'limit=1001', 'limit=abc', 'offset=-1', 'offset=1.5']) {
+        const { status } = await admin(`/admin/tamper-reports?${query}`);
+        assert.strictEqual(status, 400, query);
+    }
+
+    const { status: repeated } = await admin('/admin/tamper-reports?reason=a&reason=b');
+    assert.strictEqual(repeated, 400);
+
+    const all = await admin('/admin/tamper-reports');
+    assert.strictEqual(all.body.total, 3);
+
+    const page = await admin('/admin/tamper-reports?limit=1&offset=1');
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.body.total, 3);
+    assert.deepStrictEqual(page.body.reports.map(report => report.id), [all.body.reports[1].id]);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createGuards, assertRoutesGuarded } = require('../authorization');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+// The guard kind ('public', 'session' or 'admin') each route of `stack`
+// declares, resolving guards mounted with router.use() on enclosing routers
+function listRoutes(stack, prefix = '', inherited = null) {
+    const routes = [];
+    let guard = inherited;
+
+    for (const layer of stack) {
+        const kind = guardKind(layer.handle);
+
+        if (kind) {
+            guard = kind;
+        } else if (layer.route) {
+            for (const method of Object.keys(layer.route.methods)) {
+                routes.push({
+                    method: method.toUpperCase(),
+                    path: prefix + layer.route.path,
+                    guard: guardKind(layer.route.stack[0].handle) || guard
+                });
+            }
+        } else if (layer.handle.stack) {
+            const mountPath = layer.regexp.source.match(/^\^\\(\/[\w-]+)/);
+            routes.push(...listRoutes(layer.handle.stack, prefix + (mountPath ? mountPath[1] : ''), guard));
+        }
+    }
+
+    return routes;
+}
+
+function guardKind(handler) {
+    const symbol = Object.getOwnPropertySymbols(handler).find(s => s.description === 'guard');
+    return symbol ? handler[symbol] : null;
+}
+
+function routeUrl(path) {
+    return path.replace(/:\w+/g, 'placeholder');
+}
+
+test('every route of the server declares a guard', () => {
+    const routes = listRoutes(server.app._router.stack);
+
+    assert.ok(routes.length > 20);
+    assert.deepStrictEqual(routes.filter(route => !route.guard), []);
+    assert.doesNotThrow(() => assertRoutesGuarded(server.app));
+});
+
+test('assertRoutesGuarded refuses a route without a guard, also inside a router', () => {
+    const guards = createGuards({ findSession: () => null, adminKeys: [], auditLog: { record() {} } });
+
+    const app = express();
+    app.get('/open', guards.public, (req, res) => res.end());
+    app.get('/forgotten', (req, res) => res.end());
+    assert.throws(() => assertRoutesGuarded(app), /GET \/forgotten/);
+
+    const router = express.Router();
+    router.get('/also-forgotten', (req, res) => res.end());
+    const nested = express();
+    nested.use('/nested', router);
+    assert.throws(() => assertRoutesGuarded(nested), /GET \/also-forgotten/);
+
+    const guardedRouter = express.Router();
+    guardedRouter.use(guards.admin);
+    guardedRouter.get('/fine', (req, res) => res.end());
+    const admin = express();
+    admin.use('/admin', guardedRouter);
+    assert.doesNotThrow(() => assertRoutesGuarded(admin));
+});
+
+test('session routes turn away requests without a valid access token', async () => {
+    const routes = listRoutes(server.app._router.stack).filter(route => route.guard === 'session');
+    assert.ok(routes.length > 5);
+
+    for (const route of routes) {
+        for (const token of [undefined, 'not-a-token']) {
+            const { status } = await server.request(route.method, routeUrl(route.path), { token, body: {} });
+            assert.strictEqual(status, 401, `${route.method} ${route.path} with token ${token}`);
+        }
+    }
+});
+
+test('admin routes turn away requests without a valid admin key', async () => {
+    const routes = listRoutes(server.app._router.stack).filter(route => route.guard === 'admin');
+    assert.ok(routes.length > 5);
+
+    for (const route of routes) {
+        for (const adminKey of [undefined, 'wrong-key']) {
+            const { status } = await server.request(route.method, routeUrl(route.path), { adminKey, body: {} });
+            assert.strictEqual(status, 401, `${route.method} ${route.path} with key ${adminKey}`);
+        }
+    }
+});
+
+test('a customer access token is not an admin key', async () => {
+    const session = await server.activateAccount('alice', 'secret1');
+
+    const { status } = await server.request('GET', '/admin/codes', { token: session.session_token });
+    assert.strictEqual(status, 401);
+});
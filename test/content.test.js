@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, loadClient } = require('./helpers');
+
+const client = loadClient();
+const FileEncryption = client('FileEncryption');
+const FileCipher = client('FileCipher');
+
+// Just over one 4 MB chunk, so downloads carry a final short chunk
+const PRESET = crypto.randomBytes(4 * 1024 * 1024 + 100);
+
+let server;
+let contentDir;
+test.before(async () => {
+    contentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'psystudio-content-'));
+    fs.writeFileSync(path.join(contentDir, 'analog-keys.psypreset'), PRESET);
+    fs.writeFileSync(path.join(contentDir, 'orchestra.psysamples'), 'strings');
+    fs.writeFileSync(path.join(contentDir, 'manifest.json'), JSON.stringify({
+        assets: [
+            { id: 'analog-keys', name: 'Analog Keys', type: 'preset', file: 'analog-keys.psypreset', entitlement: 'pro', version: '1.0.0' },
+            { id: 'orchestra', name: 'Orchestra', type: 'sample-pack', file: 'orchestra.psysamples', entitlement: 'enterprise' },
+            { id: 'escape', type: 'preset', file: '../escape.psypreset', entitlement: 'pro' }
+        ]
+    }));
+
+    process.env.CONTENT_DIR = contentDir;
+    server = await startServer();
+});
+test.after(async () => {
+    await server.stop();
+    fs.rmSync(contentDir, { recursive: true, force: true });
+});
+
+async function download(id, token) {
+    const response = await fetch(`${server.baseUrl}/api/content/${id}`, { headers: { Authorization: `Bearer ${token}` } });
+    return { status: response.status, data: new Uint8Array(await response.arrayBuffer()) };
+}
+
+async function decrypt(data, contentKey) {
+    const encryption = new FileEncryption(contentKey, { kdf: FileCipher.KDF_HKDF_SHA256 });
+    try {
+        return Buffer.from(await (await encryption.decryptFile(new Blob([data]))).arrayBuffer());
+    } finally {
+        encryption.terminate();
+    }
+}
+
+test('the manifest lists only the content the license is entitled to', async () => {
+    const { session_token: token } = await server.activateAccount('alice', 'secret1');
+
+    const { status, body } = await server.request('GET', '/api/content/manifest', { token });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.entitlements, ['pro']);
+    assert.ok(body.content_key);
+    assert.deepStrictEqual(body.assets.map(asset => asset.id), ['analog-keys']);
+    assert.strictEqual(body.assets[0].sha256, crypto.createHash('sha256').update(PRESET).digest('hex'));
+    assert.strictEqual(body.assets[0].url, '/api/content/analog-keys');
+
+    const anonymous = await server.request('GET', '/api/content/manifest');
+    assert.strictEqual(anonymous.status, 401);
+});
+
+test('a download decrypts with the client cipher and the session content key only', async () => {
+    const { session_token: token } = await server.activateAccount('bob', 'secret1');
+    const { body: manifest } = await server.request('GET', '/api/content/manifest', { token });
+
+    const { status, data } = await download('analog-keys', token);
+    assert.strictEqual(status, 200);
+    assert.ok((await decrypt(data, manifest.content_key)).equals(PRESET));
+
+    // Another session's key doesn't open it, and neither does a flipped byte
+    const { session_token: otherToken } = await server.activateAccount('carol', 'secret1');
+    const { body: otherManifest } = await server.request('GET', '/api/content/manifest', { token: otherToken });
+    assert.notStrictEqual(otherManifest.content_key, manifest.content_key);
+    await assert.rejects(decrypt(data, otherManifest.content_key));
+
+    const tampered = Uint8Array.from(data);
+    tampered[tampered.length - 20] ^= 1;
+    await assert.rejects(decrypt(tampered, manifest.content_key));
+});
+
+test('content outside the license or the library is not served', async () => {
+    const { session_token: token } = await server.activateAccount('dave', 'secret1');
+
+    const notEntitled = await server.request('GET', '/api/content/orchestra', { token });
+    assert.strictEqual(notEntitled.status, 403);
+    assert.strictEqual(notEntitled.body.error_code, 'NOT_ENTITLED');
+
+    for (const id of ['escape', 'missing']) {
+        const { status } = await server.request('GET', `/api/content/${id}`, { token });
+        assert.strictEqual(status, 404, id);
+    }
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { identifyDevice, matchDevice } = require('../device-matching');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+const MALFORMED_IDS = [{ id: 'x' }, ['hw'], 42, true, ''];
+
+test('identifyDevice treats anything but a non-empty string as missing', () => {
+    for (const hardwareID of [...MALFORMED_IDS, null, undefined]) {
+        assert.deepStrictEqual(identifyDevice(hardwareID, null), { hardwareID: null, signals: null });
+    }
+
+    assert.strictEqual(identifyDevice('hw-1', null).hardwareID, 'hw-1');
+    assert.match(identifyDevice('data:image/png;base64,' + 'A'.repeat(100), null).hardwareID, /^[a-f0-9]{64}$/);
+});
+
+function signal(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+const HARDWARE = {
+    platform: signal('Win32'),
+    language: signal('en-GB'),
+    timezone: signal('Europe/London'),
+    screen: signal('1920x1080'),
+    cores: signal('8'),
+    memory: signal('16'),
+    canvas: signal('canvas'),
+    webgl: signal('webgl')
+};
+
+test('matchDevice tolerates drift in a signal or two on the same install', () => {
+    const known = { hardwareID: 'device-1', signals: { install: signal('install-1'), ...HARDWARE } };
+
+    const drifted = { ...HARDWARE, canvas: signal('new driver') };
+    assert.strictEqual(matchDevice([known], { hardwareID: 'device-2', signals: { install: signal('install-1'), ...drifted } }), known);
+
+    // A client that lost its install ID still matches on the hardware
+    assert.strictEqual(matchDevice([known], { hardwareID: 'device-3', signals: drifted }), known);
+});
+
+test('matchDevice keeps identical machines with their own install IDs apart', () => {
+    const known = { hardwareID: 'device-1', signals: { install: signal('install-1'), ...HARDWARE } };
+    const clone = { hardwareID: 'device-2', signals: { install: signal('install-2'), ...HARDWARE } };
+
+    assert.strictEqual(matchDevice([known], clone), null);
+});
+
+test('sign-in routes answer a malformed hardware ID with 400 and keep serving', async () => {
+    await server.activateAccount('alice', 'secret1');
+    const code = await server.mintCode();
+
+    for (const hardwareID of MALFORMED_IDS) {
+        const requests = [
+            ['/api/login', { username: 'alice', password: 'secret1', hardware_id: hardwareID }],
+            ['/api/activate-license', { licenseCode: code, username: 'bob', password: 'secret1', hardwareID }],
+            ['/api/redeem-code', { code, username: 'alice', password: 'secret1', hardwareID }]
+        ];
+
+        for (const [path, body] of requests) {
+            const { status } = await server.request('POST', path, { body });
+            assert.strictEqual(status, 400, `${path} with ${JSON.stringify(hardwareID)}`);
+        }
+    }
+
+    const health = await server.request('GET', '/health');
+    assert.strictEqual(health.status, 200);
+});
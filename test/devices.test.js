@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+function login(username, hardwareID, deviceName) {
+    return server.request('POST', '/api/login', {
+        body: { username, password: 'secret1', hardware_id: hardwareID, device_name: deviceName }
+    });
+}
+
+test('the signed-in license lists its devices, newest first, marking the current one', async () => {
+    await server.activateAccount('alice', 'secret1', 'hw-desk');
+    const { body: laptop } = await login('alice', 'hw-laptop', 'Laptop');
+
+    const { status, body } = await server.request('GET', '/api/devices', { token: laptop.session_token });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.max_devices, 3);
+    assert.strictEqual(body.devices.length, 2);
+    assert.strictEqual(body.devices[0].name, 'Laptop');
+    assert.strictEqual(body.devices[0].current, true);
+    assert.strictEqual(body.devices[1].current, false);
+    assert.ok(body.devices.every(device => Date.parse(device.last_seen)));
+    assert.ok(!JSON.stringify(body).includes('hw-desk'));
+
+    // Only the devices of the caller's own license
+    const { session_token: otherToken } = await server.activateAccount('bob', 'secret1');
+    const other = await server.request('GET', '/api/devices', { token: otherToken });
+    assert.strictEqual(other.body.devices.length, 1);
+
+    const foreign = await server.request('DELETE', `/api/devices/${body.devices[0].id}`, { token: otherToken });
+    assert.strictEqual(foreign.status, 404);
+});
+
+test('a device can be renamed', async () => {
+    const { session_token: token } = await server.activateAccount('carol', 'secret1');
+    const { body } = await server.request('GET', '/api/devices', { token });
+    const [device] = body.devices;
+
+    const renamed = await server.request('PATCH', `/api/devices/${device.id}`, { body: { name: 'Studio PC' }, token });
+    assert.strictEqual(renamed.status, 200);
+    assert.strictEqual(renamed.body.device.name, 'Studio PC');
+
+    const blank = await server.request('PATCH', `/api/devices/${device.id}`, { body: { name: '  ' }, token });
+    assert.strictEqual(blank.status, 400);
+});
+
+test('deactivating a device signs it out and frees its slot', async () => {
+    const { session_token: deskToken } = await server.activateAccount('dave', 'secret1', 'hw-1');
+    const { body: second } = await login('dave', 'hw-2');
+    await login('dave', 'hw-3');
+
+    const full = await login('dave', 'hw-4');
+    assert.strictEqual(full.status, 403);
+    assert.strictEqual(full.body.error_code, 'DEVICE_LIMIT_REACHED');
+
+    // Deactivate the second device from the first
+    const devices = await server.request('GET', '/api/devices', { token: second.session_token });
+    const secondDevice = devices.body.devices.find(device => device.current);
+
+    const removed = await server.request('DELETE', `/api/devices/${secondDevice.id}`, { token: deskToken });
+    assert.strictEqual(removed.status, 200);
+    assert.strictEqual(removed.body.device_count, 2);
+
+    const session = await server.request('GET', '/api/session', { token: second.session_token });
+    assert.strictEqual(session.status, 401);
+
+    const refresh = await server.request('POST', '/api/session/refresh', { body: { refresh_token: second.refresh_token } });
+    assert.notStrictEqual(refresh.status, 200);
+
+    const fourth = await login('dave', 'hw-4');
+    assert.strictEqual(fourth.status, 200);
+
+    const desk = await server.request('GET', '/api/session', { token: deskToken });
+    assert.strictEqual(desk.status, 200);
+});
@@ -0,0 +1,129 @@
+// test/helpers.js
+// Boots the real server against a throwaway data directory. server.js reads
+// its configuration when it is first required, so each test file - run in its
+// own process by `node --test` - calls startServer() once, before anything
+// else requires the server, and shares that server between its tests.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const ADMIN_KEY = 'test-admin-key';
+
+async function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'psystudio-test-'));
+
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        ADMIN_API_KEYS: `tests:${ADMIN_KEY}`,
+        MAIL_TRANSPORT: 'file',
+        // Cheap hashes - the tests check the flows, not the cost
+        PASSWORD_SCRYPT_N: '1024'
+    });
+
+    // Keep the server's own logging out of the test output
+    const log = console.log;
+    console.log = () => {};
+
+    const { app } = require('../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, urlPath, { body, token, adminKey } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        if (adminKey) {
+            headers['x-admin-key'] = adminKey;
+        }
+
+        const response = await fetch(baseUrl + urlPath, {
+            method,
+            headers,
+            body: body === undefined || method === 'GET' ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: text ? JSON.parse(text) : null
+        };
+    }
+
+    async function mintCode() {
+        const { body } = await request('POST', '/admin/codes', { body: { count: 1 }, adminKey: ADMIN_KEY });
+        return body.codes[0].code;
+    }
+
+    // A licensed account with a session on `hardwareID`
+    async function activateAccount(username, password, hardwareID = `hw-${username}`) {
+        const licenseCode = await mintCode();
+        const { body } = await request('POST', '/api/activate-license', {
+            body: { licenseCode, username, password, hardwareID }
+        });
+
+        return { licenseCode, ...body };
+    }
+
+    // An account without a license, with its email already confirmed
+    async function registerAccount(username, password) {
+        await request('POST', '/api/register', {
+            body: { username, email: `${username}@example.com`, password }
+        });
+
+        const outbox = path.join(dataDir, 'outbox');
+        for (const file of fs.readdirSync(outbox)) {
+            const message = JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8'));
+            const token = message.to === `${username}@example.com` && message.text.match(/app: (\S+)/);
+            if (token) {
+                await request('POST', '/api/verify-email', { body: { token: token[1] } });
+            }
+        }
+    }
+
+    async function stop() {
+        await new Promise(resolve => server.close(resolve));
+        console.log = log;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { app, dataDir, baseUrl, request, mintCode, activateAccount, registerAccount, stop };
+}
+
+// Runs security.js in a fresh context that has the browser globals its
+// encryption and signing classes need - Node provides WebCrypto, Blob, fetch
+// and the rest. There are no workers, so FileEncryption runs its cipher in
+// place, and the warning it prints about that is dropped.
+// `keys` fills in the public keys a release build embeds, e.g.
+// { LICENSE_PUBLIC_KEY: '...' }. Returns a function that evaluates an
+// expression in that context, e.g. client('KeyVault') for a top-level class.
+function loadClient(keys = {}) {
+    const context = vm.createContext({
+        console: { ...console, warn() {} },
+        crypto,
+        fetch,
+        Blob,
+        URL,
+        DOMException,
+        AbortController,
+        TextEncoder,
+        TextDecoder,
+        btoa,
+        atob,
+        window: {},
+        document: { addEventListener() {} }
+    });
+    let source = fs.readFileSync(path.join(__dirname, '..', 'security.js'), 'utf8');
+    for (const [name, value] of Object.entries(keys)) {
+        source = source.replace(new RegExp(`^const ${name} = '';`, 'm'), `const ${name} = '${value}';`);
+    }
+    vm.runInContext(source, context, { filename: 'security.js' });
+
+    return expression => vm.runInContext(expression, context);
+}
+
+module.exports = { startServer, loadClient, ADMIN_KEY };
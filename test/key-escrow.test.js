@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+test('storing and recovering the file encryption key needs the account password', async () => {
+    const { session_token: token } = await server.activateAccount('dave', 'secret1');
+    const escrowKey = crypto.randomBytes(32).toString('base64');
+    const keyring = { key_id: 'key-1', wrapped_key: 'wrapped-1', escrow_key: escrowKey };
+
+    const unconfirmed = await server.request('PUT', '/api/keys', { token, body: keyring });
+    assert.strictEqual(unconfirmed.status, 401);
+    assert.strictEqual(unconfirmed.body.error_code, 'PASSWORD_REQUIRED');
+
+    const stored = await server.request('PUT', '/api/keys', { token, body: { ...keyring, password: 'secret1' } });
+    assert.strictEqual(stored.status, 200);
+    assert.strictEqual(stored.body.keyring.escrowed, true);
+
+    for (const password of [undefined, 'wrong-password']) {
+        const { status, body } = await server.request('POST', '/api/keys/recover', { token, body: { password } });
+        assert.strictEqual(status, 401);
+        assert.strictEqual(body.key, undefined);
+    }
+
+    const recovered = await server.request('POST', '/api/keys/recover', { token, body: { password: 'secret1' } });
+    assert.strictEqual(recovered.status, 200);
+    assert.strictEqual(recovered.body.key, escrowKey);
+});
+
+test('changing the password re-wraps the key and signs out the other sessions', async () => {
+    const first = await server.activateAccount('erin', 'secret1', 'hw-erin-1');
+    const second = await server.request('POST', '/api/login', {
+        body: { username: 'erin', password: 'secret1', hardware_id: 'hw-erin-2' }
+    });
+    const token = first.session_token;
+
+    await server.request('PUT', '/api/keys', {
+        token,
+        body: { key_id: 'key-1', wrapped_key: 'wrapped-1', password: 'secret1' }
+    });
+
+    // The stored key must move to the new password in the same request
+    const unwrapped = await server.request('POST', '/api/account/password', {
+        token,
+        body: { current_password: 'secret1', new_password: 'secret2' }
+    });
+    assert.strictEqual(unwrapped.status, 400);
+    assert.strictEqual(unwrapped.body.error_code, 'KEY_REWRAP_REQUIRED');
+
+    const changed = await server.request('POST', '/api/account/password', {
+        token,
+        body: { current_password: 'secret1', new_password: 'secret2', key_id: 'key-1', wrapped_key: 'wrapped-2' }
+    });
+    assert.strictEqual(changed.status, 200);
+
+    const keys = await server.request('GET', '/api/keys', { token });
+    assert.strictEqual(keys.body.keyring.wrapped_key, 'wrapped-2');
+
+    const other = await server.request('GET', '/api/devices', { token: second.body.session_token });
+    assert.strictEqual(other.status, 401);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClient } = require('./helpers');
+
+const client = loadClient();
+const KeyVault = client('KeyVault');
+const FileCipher = client('FileCipher');
+
+const LICENSE_CODE = 'PSY-TEST-CODE-0001';
+const PROJECT = 'session: 120bpm, 16 tracks';
+
+// What the baseline FileEncryption._xorEncrypt wrote
+function xorEncrypt(text, secret) {
+    const bytes = new TextEncoder().encode(text);
+    const key = new TextEncoder().encode(secret);
+    return bytes.map((byte, i) => byte ^ key[i % key.length]);
+}
+
+async function decryptText(vault, data) {
+    return (await vault.decryptFile(data)).text();
+}
+
+test('files from before envelopes open with the license code or the old login secret', async () => {
+    const vault = new KeyVault({ fetchApi: null });
+    vault.addLegacySecret(LICENSE_CODE);
+
+    // Baseline XOR files written after an activation
+    assert.strictEqual(await decryptText(vault, xorEncrypt(PROJECT, LICENSE_CODE)), PROJECT);
+
+    // AES-GCM files from before envelopes, keyed after an activation...
+    const byCode = await new FileCipher(LICENSE_CODE).encryptFile(new Blob([PROJECT]));
+    assert.strictEqual(await decryptText(vault, byCode), PROJECT);
+
+    // ...and after a credential login, which keyed them with the empty userPassword
+    const byLogin = await new FileCipher('').encryptFile(new Blob([PROJECT]));
+    assert.strictEqual(await decryptText(vault, byLogin), PROJECT);
+});
+
+test('a legacy file no known secret opens is rejected', async () => {
+    const vault = new KeyVault({ fetchApi: null });
+    vault.addLegacySecret(LICENSE_CODE);
+
+    const byOtherCode = await new FileCipher('PSY-SOME-OTHER-CODE').encryptFile(new Blob([PROJECT]));
+    await assert.rejects(vault.decryptFile(byOtherCode));
+});
+
+test('envelope files round-trip under the user key', async () => {
+    const vault = new KeyVault({ fetchApi: null });
+    vault.keyId = 'key-1';
+    vault.userKey = crypto.getRandomValues(new Uint8Array(32));
+
+    const encrypted = await vault.encryptFile(new Blob([PROJECT]));
+    assert.strictEqual(await decryptText(vault, encrypted), PROJECT);
+
+    const otherVault = new KeyVault({ fetchApi: null });
+    otherVault.keyId = 'key-1';
+    otherVault.userKey = crypto.getRandomValues(new Uint8Array(32));
+    await assert.rejects(otherVault.decryptFile(encrypted), /corrupted/);
+});
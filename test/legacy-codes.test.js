@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LicenseStore } = require('../license-store');
+const { startServer, ADMIN_KEY } = require('./helpers');
+
+// Two of the codes that shipped in the original server.js
+const PUBLIC_CODES = ['020PSY969666POWER900', '030PSY969666POWER800'];
+
+function withStore(fn) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'psystudio-store-'));
+
+    // The store announces each migration it applies
+    const log = console.log;
+    console.log = () => {};
+
+    try {
+        return fn(new LicenseStore({ dataDir, seedCodes: [...PUBLIC_CODES, 'PSY-KEEP0-KEEP0-KEEP0-KEEP0'] }).open());
+    } finally {
+        console.log = log;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+test('retiring legacy codes moves redeemed ones to a fresh code and revokes the rest', () => {
+    withStore(store => {
+        const [redeemed, unredeemed] = PUBLIC_CODES;
+        store.createUser({ username: 'alice', licenseCode: redeemed, passwordHash: 'x', keyring: null, email: null, emailVerifiedAt: null });
+        store.redeemCode({ licenseCode: redeemed, username: 'alice', hardwareID: 'hw-1' });
+        store.addDevice(redeemed, 'hw-1', null, null);
+
+        assert.strictEqual(store.listLegacyPublicCodes().length, 2);
+
+        const retired = store.retireLegacyPublicCodes();
+        const moved = retired.find(entry => entry.code === redeemed);
+        assert.ok(moved.replacedBy);
+        assert.strictEqual(retired.find(entry => entry.code === unredeemed).replacedBy, null);
+
+        assert.strictEqual(store.getLicense(redeemed).status, 'revoked');
+        assert.strictEqual(store.getLicense(unredeemed).status, 'revoked');
+        assert.strictEqual(store.getUser('alice').licenseCode, moved.replacedBy);
+        assert.strictEqual(store.getRedemption(moved.replacedBy).username, 'alice');
+        assert.strictEqual(store.listDevices(moved.replacedBy).length, 1);
+        assert.ok(store.isLicenseActive('PSY-KEEP0-KEEP0-KEEP0-KEEP0'));
+
+        // Nothing left to retire
+        assert.deepStrictEqual(store.retireLegacyPublicCodes(), []);
+    });
+});
+
+test('legacy codes stay active unless the operator opts in', () => {
+    withStore(store => {
+        assert.strictEqual(store.listLegacyPublicCodes().length, 2);
+        assert.ok(PUBLIC_CODES.every(code => store.isLicenseActive(code)));
+    });
+});
+
+test('the server retires legacy codes on start when asked and audit-logs each one', async t => {
+    const seedFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'psystudio-seed-')), 'codes.json');
+    fs.writeFileSync(seedFile, JSON.stringify(PUBLIC_CODES));
+    process.env.LICENSE_SEED_FILE = seedFile;
+    process.env.RETIRE_LEGACY_CODES = 'true';
+
+    const server = await startServer();
+    t.after(() => {
+        server.stop();
+        fs.rmSync(path.dirname(seedFile), { recursive: true, force: true });
+    });
+
+    for (const code of PUBLIC_CODES) {
+        const { body } = await server.request('GET', `/admin/audit-log?license=${encodeURIComponent(code)}`, { adminKey: ADMIN_KEY });
+        assert.deepStrictEqual(body.entries.map(entry => entry.event), ['license.retire_legacy']);
+    }
+
+    const activation = await server.request('POST', '/api/activate-license', {
+        body: { licenseCode: PUBLIC_CODES[0], username: 'bob', password: 'secret1', hardwareID: 'hw-1' }
+    });
+    assert.strictEqual(activation.status, 401);
+});
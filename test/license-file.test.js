@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, loadClient, ADMIN_KEY } = require('./helpers');
+
+let server;
+// SecurityManager's checks, called without constructing one - that needs a page
+let manager;
+test.before(async () => {
+    server = await startServer();
+
+    const { body } = await server.request('GET', '/api/license/public-key');
+    manager = loadClient({ LICENSE_PUBLIC_KEY: body.public_key })('SecurityManager.prototype');
+});
+test.after(() => server.stop());
+
+function verify(envelope, format = 'psylic') {
+    return manager.verifySignedEnvelope(envelope, format);
+}
+
+function checkTerms(license, signIn) {
+    return manager.checkLicenseTerms(license, signIn);
+}
+
+test('activation issues a license file bound to the account and device', async () => {
+    const { licenseCode, license_file: licenseFile } = await server.activateAccount('alice', 'secret1', 'hw-alice');
+
+    const license = await verify(licenseFile);
+    assert.strictEqual(license.license, licenseCode);
+    assert.strictEqual(license.username, 'alice');
+    assert.strictEqual(license.hardware_id, 'hw-alice');
+    // Parsed in the client's context, so compare contents rather than prototypes
+    assert.deepStrictEqual([...license.entitlements], ['pro']);
+    assert.ok(Date.parse(license.expires_at) > Date.now());
+
+    assert.strictEqual(checkTerms(license, { username: 'alice', hardwareID: 'hw-alice' }), null);
+    assert.match(checkTerms(license, { username: 'alice', hardwareID: 'hw-other' }), /another device/);
+    assert.match(checkTerms(license, { username: 'bob', hardwareID: 'hw-alice' }), /different account/);
+    assert.match(checkTerms({ ...license, expires_at: '2000-01-01T00:00:00Z' }, { username: 'alice', hardwareID: 'hw-alice' }), /expired/);
+});
+
+test('a hand-edited or re-labelled license file does not verify', async () => {
+    const { license_file: licenseFile } = await server.activateAccount('bob', 'secret1');
+
+    const payload = JSON.parse(Buffer.from(licenseFile.payload, 'base64url').toString('utf8'));
+    const edited = Buffer.from(JSON.stringify({ ...payload, entitlements: ['pro', 'enterprise'] })).toString('base64url');
+
+    assert.strictEqual(await verify({ ...licenseFile, payload: edited }), null);
+    assert.strictEqual(await verify({ ...licenseFile, format: 'psyattest' }), null);
+    assert.strictEqual(await verify(licenseFile, 'psyattest'), null);
+    assert.strictEqual(await verify({ code: payload.license, username: 'bob' }), null);
+});
+
+test('the admin API issues unbound files for active codes only', async () => {
+    const licenseCode = await server.mintCode();
+
+    const { status, body } = await server.request('POST', `/admin/codes/${licenseCode}/license-file`, { adminKey: ADMIN_KEY });
+    assert.strictEqual(status, 200);
+
+    const license = await verify(body);
+    assert.strictEqual(license.license, licenseCode);
+    assert.strictEqual(license.username, null);
+    assert.strictEqual(license.hardware_id, null);
+    assert.strictEqual(checkTerms(license, { username: 'anyone', hardwareID: 'hw-any' }), null);
+
+    await server.request('POST', `/admin/codes/${licenseCode}/revoke`, { adminKey: ADMIN_KEY });
+    const revoked = await server.request('POST', `/admin/codes/${licenseCode}/license-file`, { adminKey: ADMIN_KEY });
+    assert.strictEqual(revoked.status, 409);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LicenseStore } = require('../license-store');
+const { TamperReportLog } = require('../tamper-report-log');
+
+let dataDir;
+test.beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'psystudio-store-'));
+});
+test.afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// The store announces each migration it applies
+function openStore(options = {}) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new LicenseStore({ dataDir, ...options }).open();
+    } finally {
+        console.log = log;
+    }
+}
+
+function storeFile() {
+    return path.join(dataDir, 'license-store.json');
+}
+
+test('state survives reopening the store', () => {
+    const store = openStore({ seedCodes: ['PSY-SEED0-SEED0-SEED0-SEED0'] });
+    store.redeemCode({ licenseCode: 'PSY-SEED0-SEED0-SEED0-SEED0', username: 'alice', hardwareID: 'hw-1' });
+
+    const reopened = openStore();
+    assert.strictEqual(reopened.getRedemption('PSY-SEED0-SEED0-SEED0-SEED0').username, 'alice');
+});
+
+test('migration v9 moves tamper reports out of the store into their own log', () => {
+    openStore();
+
+    // Turn the fresh store back into a v8 one holding a report
+    const data = JSON.parse(fs.readFileSync(storeFile(), 'utf8'));
+    const report = { id: 'report-1', reason: 'integrity_mismatch', receivedAt: '2024-01-01T00:00:00.000Z' };
+    fs.writeFileSync(storeFile(), JSON.stringify({ ...data, schemaVersion: 8, tamperReports: { [report.id]: report } }));
+
+    openStore();
+
+    const migrated = JSON.parse(fs.readFileSync(storeFile(), 'utf8'));
+    assert.strictEqual(migrated.schemaVersion, 9);
+    assert.strictEqual(migrated.tamperReports, undefined);
+    assert.deepStrictEqual(new TamperReportLog({ dataDir }).get('report-1'), report);
+});
+
+test('a store from a newer server is refused', () => {
+    openStore();
+    fs.writeFileSync(storeFile(), JSON.stringify({ schemaVersion: 99 }));
+
+    assert.throws(() => openStore(), /newer than this server/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Loads server.js in a fresh process, the way `npm start` would configure it
+function loadServer(env) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'psystudio-test-'));
+
+    try {
+        return spawnSync(process.execPath, ['-e', "require('./server'); process.exit(0)"], {
+            cwd: path.join(__dirname, '..'),
+            env: { PATH: process.env.PATH, DATA_DIR: dataDir, NODE_ENV: 'production', ...env },
+            encoding: 'utf8',
+            timeout: 30000
+        });
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+const secrets = {
+    LICENSE_SIGNING_KEY: crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    SESSION_SECRET: crypto.randomBytes(48).toString('base64'),
+    KEY_ESCROW_KEY: crypto.randomBytes(32).toString('base64')
+};
+
+test('a production server refuses to start without its secrets', () => {
+    for (const name of Object.keys(secrets)) {
+        const { status, stderr } = loadServer({ ...secrets, [name]: '' });
+        assert.notStrictEqual(status, 0, `without ${name}`);
+        assert.match(stderr, new RegExp(`${name} must be set when NODE_ENV=production`));
+    }
+
+    const { status, stderr } = loadServer(secrets);
+    assert.strictEqual(status, 0, stderr);
+});
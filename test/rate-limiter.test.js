@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter } = require('../rate-limiter');
+const { startServer } = require('./helpers');
+
+test('RateLimiter locks a key out once it reaches its limit', () => {
+    const limiter = new RateLimiter({ windowMs: 60000, limit: 3, baseLockoutMs: 1000, maxLockoutMs: 8000 });
+
+    assert.strictEqual(limiter.record('ip:a'), 0);
+    assert.strictEqual(limiter.record('ip:a'), 0);
+    assert.strictEqual(limiter.retryAfter('ip:a'), 0);
+
+    assert.strictEqual(limiter.record('ip:a'), 1000);
+    assert.ok(limiter.retryAfter('ip:a') > 0 && limiter.retryAfter('ip:a') <= 1000);
+
+    // Other keys are unaffected
+    assert.strictEqual(limiter.retryAfter('ip:b'), 0);
+});
+
+test('RateLimiter doubles each further lockout up to the maximum', () => {
+    const limiter = new RateLimiter({ windowMs: 60000, limit: 1, baseLockoutMs: 1000, maxLockoutMs: 5000 });
+
+    assert.deepStrictEqual(
+        [1, 2, 3, 4, 5].map(() => limiter.record('account:a')),
+        [1000, 2000, 4000, 5000, 5000]
+    );
+});
+
+test('RateLimiter.reset forgets a key and its lockout history', () => {
+    const limiter = new RateLimiter({ windowMs: 60000, limit: 1, baseLockoutMs: 1000, maxLockoutMs: 5000 });
+
+    limiter.record('account:a');
+    limiter.record('account:a');
+    limiter.reset('account:a');
+
+    assert.strictEqual(limiter.retryAfter('account:a'), 0);
+    assert.strictEqual(limiter.record('account:a'), 1000);
+});
+
+test('repeated failed sign-ins are answered with 429 and Retry-After', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    await server.activateAccount('alice', 'secret1');
+
+    // Five failures lock the account for 30 seconds
+    for (let i = 0; i < 5; i++) {
+        const { status } = await server.request('POST', '/api/login', {
+            body: { username: 'alice', password: 'wrong-password', hardware_id: 'hw-alice' }
+        });
+        assert.strictEqual(status, 401);
+    }
+
+    const { status, headers, body } = await server.request('POST', '/api/login', {
+        body: { username: 'alice', password: 'secret1', hardware_id: 'hw-alice' }
+    });
+
+    assert.strictEqual(status, 429);
+    assert.strictEqual(body.error_code, 'RATE_LIMITED');
+    assert.ok(body.retry_after > 0 && body.retry_after <= 30);
+    assert.strictEqual(headers.get('retry-after'), String(body.retry_after));
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+function redeem(body) {
+    return server.request('POST', '/api/redeem-code', { body: { hardwareID: 'hw-redeem', ...body } });
+}
+
+test('redeeming a code needs the account password', async () => {
+    await server.registerAccount('bob', 'secret1');
+    const code = await server.mintCode();
+
+    const missing = await redeem({ code, username: 'bob' });
+    assert.strictEqual(missing.status, 400);
+
+    const wrong = await redeem({ code, username: 'bob', password: 'not-his-password' });
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(wrong.body.session_token, undefined);
+
+    // Nobody can redeem into an account that doesn't exist either
+    const unknown = await redeem({ code, username: 'nobody', password: 'secret1' });
+    assert.strictEqual(unknown.status, 401);
+    assert.strictEqual(unknown.body.session_token, undefined);
+
+    // The failed attempts didn't use the code up
+    const redeemed = await redeem({ code, username: 'bob', password: 'secret1' });
+    assert.strictEqual(redeemed.status, 200);
+    assert.ok(redeemed.body.session_token);
+});
+
+test('a code cannot be redeemed into an account that already has a license', async () => {
+    await server.activateAccount('carol', 'secret1');
+    const code = await server.mintCode();
+
+    const { status, body } = await redeem({ code, username: 'carol', password: 'secret1' });
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.error_code, 'ACCOUNT_HAS_LICENSE');
+});
+
+test('a code can only be redeemed once', async () => {
+    const { licenseCode } = await server.activateAccount('dan', 'secret1');
+    await server.registerAccount('eve', 'secret1');
+
+    const second = await redeem({ code: licenseCode, username: 'eve', password: 'secret1' });
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual(second.body.error_code, 'CODE_ALREADY_REDEEMED');
+
+    const activation = await server.request('POST', '/api/activate-license', {
+        body: { licenseCode, username: 'frank', password: 'secret1', hardwareID: 'hw-frank' }
+    });
+    assert.strictEqual(activation.status, 409);
+    assert.strictEqual(activation.body.error_code, 'CODE_ALREADY_REDEEMED');
+});
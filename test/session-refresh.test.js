@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+test.before(async () => {
+    server = await startServer();
+});
+test.after(() => server.stop());
+
+test('refresh tokens rotate, and replaying a used one revokes the session', async () => {
+    const session = await server.activateAccount('alice', 'secret1');
+    assert.ok(session.refresh_token);
+
+    const first = await server.request('POST', '/api/session/refresh', {
+        body: { refresh_token: session.refresh_token }
+    });
+    assert.strictEqual(first.status, 200);
+    assert.notStrictEqual(first.body.refresh_token, session.refresh_token);
+
+    // The new access token works
+    const devices = await server.request('GET', '/api/devices', { token: first.body.session_token });
+    assert.strictEqual(devices.status, 200);
+
+    // Replaying the rotated-out token is treated as theft...
+    const replay = await server.request('POST', '/api/session/refresh', {
+        body: { refresh_token: session.refresh_token }
+    });
+    assert.strictEqual(replay.status, 401);
+    assert.strictEqual(replay.body.error_code, 'REFRESH_TOKEN_REUSED');
+
+    // ...so the whole session is gone, including the tokens issued after it
+    const after = await server.request('POST', '/api/session/refresh', {
+        body: { refresh_token: first.body.refresh_token }
+    });
+    assert.strictEqual(after.status, 401);
+
+    const revoked = await server.request('GET', '/api/devices', { token: first.body.session_token });
+    assert.strictEqual(revoked.status, 401);
+});
+
+test('an unknown refresh token is rejected', async () => {
+    const { status } = await server.request('POST', '/api/session/refresh', {
+        body: { refresh_token: 'not-a-real-token' }
+    });
+
+    assert.strictEqual(status, 401);
+});
+
+test('a refresh token that is not a string fails like an unknown one', async () => {
+    for (const refreshToken of [{}, { a: 1 }, 12, ['token']]) {
+        const refresh = await server.request('POST', '/api/session/refresh', { body: { refresh_token: refreshToken } });
+        assert.strictEqual(refresh.status, 401);
+        assert.strictEqual(refresh.body.error_code, 'INVALID_REFRESH_TOKEN');
+
+        const logout = await server.request('POST', '/api/logout', { body: { refresh_token: refreshToken } });
+        assert.strictEqual(logout.status, 200);
+    }
+});
@@ -0,0 +1,125 @@
+// tools/build-integrity-manifest.js
+// Build step for client releases. Records the SHA-256 digest of security.js
+// and each app bundle in integrity-manifest.json, which SecurityManager checks
+// at startup, and prints (or writes into HTML pages) the matching Subresource
+// Integrity attributes for their <script> tags.
+//
+//   node tools/build-integrity-manifest.js [--root dist] [--out integrity-manifest.json]
+//       [--html index.html]... [bundle.js]...
+//
+// Paths are relative to --root (default: the current directory). security.js
+// is always included, and must have its public keys embedded.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { assertKeysEmbedded } = require('./embedded-keys');
+
+const MANIFEST_VERSION = 1;
+
+function parseArgs(argv) {
+    const options = { root: process.cwd(), out: 'integrity-manifest.json', html: [], files: ['security.js'] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--root') {
+            options.root = path.resolve(argv[++i]);
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--html') {
+            options.html.push(argv[++i]);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (!options.files.includes(arg)) {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Manifest keys always use forward slashes, matching script URLs
+function toManifestPath(file) {
+    return file.split(path.sep).join('/').replace(/^\.\//, '');
+}
+
+function digestFile(filePath) {
+    const content = fs.readFileSync(filePath);
+
+    return {
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        integrity: `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`,
+        size: content.length
+    };
+}
+
+// Adds integrity/crossorigin to every <script src> the manifest covers,
+// replacing attributes left by an earlier build
+function annotateHtml(html, files) {
+    let annotated = 0;
+
+    const result = html.replace(/<script\b([^>]*)>/gi, (tag, attributes) => {
+        const src = attributes.match(/\bsrc\s*=\s*["']([^"']+)["']/i);
+        if (!src) {
+            return tag;
+        }
+
+        const entry = files[toManifestPath(src[1].split(/[?#]/)[0].replace(/^\//, ''))];
+        if (!entry) {
+            return tag;
+        }
+
+        annotated++;
+        const cleaned = attributes
+            .replace(/\s+integrity\s*=\s*["'][^"']*["']/i, '')
+            .replace(/\s+crossorigin(\s*=\s*["'][^"']*["'])?/i, '');
+
+        return `<script${cleaned} integrity="${entry.integrity}" crossorigin="anonymous">`;
+    });
+
+    return { html: result, annotated };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const files = {};
+
+    assertKeysEmbedded(path.resolve(options.root, 'security.js'));
+
+    for (const file of options.files) {
+        const filePath = path.resolve(options.root, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+
+        files[toManifestPath(path.relative(options.root, filePath))] = digestFile(filePath);
+    }
+
+    const manifest = {
+        version: MANIFEST_VERSION,
+        generated_at: new Date().toISOString(),
+        files
+    };
+
+    const outPath = path.resolve(options.root, options.out);
+    fs.writeFileSync(outPath, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`[Security] Wrote integrity manifest for ${Object.keys(files).length} file(s) to ${outPath}`);
+
+    for (const page of options.html) {
+        const pagePath = path.resolve(options.root, page);
+        const { html, annotated } = annotateHtml(fs.readFileSync(pagePath, 'utf8'), files);
+        fs.writeFileSync(pagePath, html);
+        console.log(`[Security] Added SRI attributes to ${annotated} script tag(s) in ${page}`);
+    }
+
+    for (const [file, entry] of Object.entries(files)) {
+        console.log(`<script src="${file}" integrity="${entry.integrity}" crossorigin="anonymous"></script>`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`[Security] ${error.message}`);
+    process.exit(1);
+}
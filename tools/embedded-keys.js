@@ -0,0 +1,37 @@
+// tools/embedded-keys.js
+// Reads the public keys compiled into security.js, so the release tools can
+// refuse to build or sign a client that could not verify anything - it would
+// start with every check skipped behind a misconfigured-build banner.
+const fs = require('fs');
+
+const KEY_NAMES = ['LICENSE_PUBLIC_KEY', 'RELEASE_PUBLIC_KEY'];
+
+function readEmbeddedKeys(securityJsPath) {
+    const source = fs.readFileSync(securityJsPath, 'utf8');
+    const keys = {};
+
+    for (const name of KEY_NAMES) {
+        const match = source.match(new RegExp(`^const ${name} = '([^']*)';`, 'm'));
+        if (!match) {
+            throw new Error(`No ${name} declaration found in ${securityJsPath}`);
+        }
+        keys[name] = match[1];
+    }
+
+    return keys;
+}
+
+// Throws unless each key is a raw 32-byte Ed25519 public key in base64
+function assertKeysEmbedded(securityJsPath) {
+    const keys = readEmbeddedKeys(securityJsPath);
+    const missing = KEY_NAMES.filter(name => Buffer.from(keys[name], 'base64').length !== 32);
+
+    if (missing.length > 0) {
+        throw new Error(`${securityJsPath} has no valid ${missing.join(' or ')} embedded - ` +
+            'see "Releasing the client" in README.md');
+    }
+
+    return keys;
+}
+
+module.exports = { readEmbeddedKeys, assertKeysEmbedded };
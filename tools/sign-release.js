@@ -0,0 +1,114 @@
+// tools/sign-release.js
+// Release signing for the client scripts. Signs each file with the Ed25519
+// release key and writes a detached <file>.sig next to it, which
+// SecurityManager.verifySignature() checks with the public key embedded as
+// RELEASE_PUBLIC_KEY. Sign security.js and integrity-manifest.json after
+// running build-integrity-manifest.js, and deploy the .sig files with them.
+//
+//   node tools/sign-release.js --generate-key release-signing-key.pem
+//   node tools/sign-release.js --key release-signing-key.pem security.js integrity-manifest.json
+//
+// The key may also be passed as PKCS#8 PEM in RELEASE_SIGNING_KEY. Keep it out
+// of the repository and off the license server - it only belongs on the
+// machine that builds releases. security.js is only signed when both public
+// keys are embedded in it and RELEASE_PUBLIC_KEY matches the signing key.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { assertKeysEmbedded } = require('./embedded-keys');
+
+const SIGNATURE_FORMAT = 'psysig';
+const SIGNATURE_VERSION = 1;
+
+function rawPublicKey(privateKey) {
+    const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+    return Buffer.from(jwk.x, 'base64url').toString('base64');
+}
+
+function generateKey(keyPath) {
+    if (fs.existsSync(keyPath)) {
+        throw new Error(`${keyPath} already exists - refusing to overwrite a release key`);
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+    console.log(`[Security] Generated release signing key at ${keyPath}`);
+    console.log(`[Security] Embed this as RELEASE_PUBLIC_KEY in security.js: ${rawPublicKey(privateKey)}`);
+}
+
+function loadKey(keyPath) {
+    const pem = keyPath ? fs.readFileSync(keyPath, 'utf8') : process.env.RELEASE_SIGNING_KEY;
+    if (!pem) {
+        throw new Error('Pass --key <file> or set RELEASE_SIGNING_KEY');
+    }
+
+    const privateKey = crypto.createPrivateKey(pem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error('Release signing key must be an Ed25519 key');
+    }
+
+    return privateKey;
+}
+
+// The signature covers the file's exact bytes; the digest is informational
+function signFile(filePath, privateKey) {
+    const content = fs.readFileSync(filePath);
+
+    const signature = {
+        format: SIGNATURE_FORMAT,
+        version: SIGNATURE_VERSION,
+        algorithm: 'Ed25519',
+        file: path.basename(filePath),
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        signed_at: new Date().toISOString(),
+        signature: crypto.sign(null, content, privateKey).toString('base64')
+    };
+
+    fs.writeFileSync(`${filePath}.sig`, JSON.stringify(signature, null, 2) + '\n');
+    console.log(`[Security] Signed ${filePath} -> ${filePath}.sig`);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    let keyPath = null;
+    const files = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--generate-key') {
+            return generateKey(args[++i] || 'release-signing-key.pem');
+        } else if (args[i] === '--key') {
+            keyPath = args[++i];
+        } else if (args[i].startsWith('--')) {
+            throw new Error(`Unknown option ${args[i]}`);
+        } else {
+            files.push(args[i]);
+        }
+    }
+
+    if (files.length === 0) {
+        throw new Error('Nothing to sign - pass the files to sign, e.g. security.js');
+    }
+
+    const privateKey = loadKey(keyPath);
+    const publicKey = rawPublicKey(privateKey);
+    console.log(`[Security] Signing with release key ${publicKey}`);
+
+    // A client whose embedded key doesn't match would reject its own signature
+    for (const file of files.filter(file => path.basename(file) === 'security.js')) {
+        if (assertKeysEmbedded(path.resolve(file)).RELEASE_PUBLIC_KEY !== publicKey) {
+            throw new Error(`RELEASE_PUBLIC_KEY in ${file} does not match the signing key`);
+        }
+    }
+
+    for (const file of files) {
+        signFile(path.resolve(file), privateKey);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`[Security] ${error.message}`);
+    process.exit(1);
+}